@@ -0,0 +1,133 @@
+import React, { useMemo, useState } from "react";
+import { ANOMALY_PATTERNS, DEFAULT_ANOMALY_THRESHOLDS, detectAnomalies, validateThresholds } from "./anomalies";
+
+const THRESHOLD_FIELDS = [
+  { key: "lowRating", label: "Low Rating", step: 0.05 },
+  { key: "streakKd", label: "Streak K/D", step: 0.5 },
+  { key: "streakLength", label: "Streak Length", step: 1 },
+  { key: "jumpSize", label: "Rating Jump", step: 0.05 },
+  { key: "jumpMatches", label: "Jump Within Matches", step: 1 },
+  { key: "unstableNetwork", label: "Unstable Network Below", step: 0.05 },
+  { key: "disconnectLosses", label: "Unstable Losses", step: 1 },
+  { key: "disconnectLossShare", label: "Unstable Loss Share", step: 0.05 },
+  { key: "afkRateMultiple", label: "AFK Rate x Average", step: 0.5 },
+  { key: "afkMinMatches", label: "AFK Min. Matches", step: 1 },
+];
+
+const patternLabel = (key) => ANOMALY_PATTERNS.find(pattern => pattern.key === key).label;
+
+// The number each pattern's evidence is about, next to the match it came from
+const describeEvidence = (pattern, row) => {
+  switch (pattern) {
+    case "kdStreak":
+      return `K/D ${row.kd.toFixed(2)} at ${row.contextBefore.toFixed(3)}`;
+    case "ratingJump":
+      return `${row.result} ${row.contextBefore.toFixed(3)} → ${row.contextAfter.toFixed(3)}`;
+    case "disconnects":
+      return `${row.result}, network ${row.networkStability.toFixed(2)}`;
+    default:
+      return `${row.result}, AFK ${(row.afkValue * 100).toFixed(0)}%`;
+  }
+};
+
+// Review of players whose results do not fit their rating, with adjustable thresholds and the matches
+// behind every flag (see anomalies.js)
+function AnomalyPanel({ matchHistory, settings, onShowHistory }) {
+  const [thresholds, setThresholds] = useState(DEFAULT_ANOMALY_THRESHOLDS);
+  const [drafts, setDrafts] = useState({}); // Raw text of fields being edited
+  const [errors, setErrors] = useState([]);
+  // A scan of the whole match history, so only redone when it or the thresholds change
+  const flags = useMemo(() => detectAnomalies(matchHistory, thresholds, settings), [matchHistory, thresholds, settings]);
+
+  const handleFieldChange = (key, text) => {
+    setDrafts({ ...drafts, [key]: text });
+    const candidate = { ...thresholds, [key]: parseFloat(text) };
+    const problems = validateThresholds(candidate);
+    setErrors(problems);
+    if (problems.length === 0) setThresholds(candidate);
+  };
+
+  // Leaving a field drops its draft, so it shows the last valid value again and its errors go with it
+  const handleFieldBlur = (key) => {
+    setDrafts({ ...drafts, [key]: undefined });
+    setErrors([]);
+  };
+
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <h3>Anomaly Review</h3>
+      <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: "15px" }}>
+        {THRESHOLD_FIELDS.map(({ key, label, step }) => (
+          <label key={key}>
+            {label}:{" "}
+            <input
+              type="number"
+              step={step}
+              value={drafts[key] ?? thresholds[key]}
+              onChange={(e) => handleFieldChange(key, e.target.value)}
+              onBlur={() => handleFieldBlur(key)}
+              style={{ width: "70px" }}
+            />
+          </label>
+        ))}
+        <button
+          onClick={() => {
+            setThresholds(DEFAULT_ANOMALY_THRESHOLDS);
+            setDrafts({});
+            setErrors([]);
+          }}
+        >
+          Reset Thresholds
+        </button>
+      </div>
+
+      {errors.length > 0 && (
+        <div style={{ marginTop: "10px", color: "red" }}>
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+
+      {matchHistory.length === 0 ? (
+        <p>No matches played yet.</p>
+      ) : flags.length === 0 ? (
+        <p>No suspicious patterns in {matchHistory.length} matches.</p>
+      ) : (
+        <>
+          <p>
+            {flags.length} flag{flags.length === 1 ? "" : "s"} on {new Set(flags.map(flag => flag.playerId)).size} players:{" "}
+            {ANOMALY_PATTERNS.map(({ key, label }) => `${label} ${flags.filter(flag => flag.pattern === key).length}`).join(" / ")}
+          </p>
+          <table border="1" style={{ width: "80%", marginLeft: "auto", marginRight: "auto" }}>
+            <thead>
+              <tr>
+                <th>Player</th>
+                <th>Pattern</th>
+                <th>Summary</th>
+                <th>Evidence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {flags.map(flag => (
+                <tr key={`${flag.playerId}:${flag.pattern}`}>
+                  <td>
+                    {flag.playerId}
+                    <button style={{ marginLeft: "10px" }} onClick={() => onShowHistory(flag.playerId)}>History</button>
+                  </td>
+                  <td>{patternLabel(flag.pattern)}</td>
+                  <td>{flag.summary}</td>
+                  <td>
+                    {flag.evidence.map(row => (
+                      <div key={row.matchId}>{row.matchId}: {describeEvidence(flag.pattern, row)}</div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AnomalyPanel;
@@ -1,461 +1,417 @@
-import React, { useState } from "react";
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-
-// Constants for Elo calculations
-const K_FACTOR = 0.1;
-const LATENCY_WEIGHT = 0.02;
-const MAP_FAMILIARITY_WEIGHT = 0.0002;
-const AFK_WEIGHT = 0.06;
-
-// Helper functions
-const generateRandomNumber = (min, max, decimals = 3) => {
-  return (Math.random() * (max - min) + min).toFixed(decimals);
-};
-
-const generatePlayers = (existingPlayers) => {
-  const players = [...existingPlayers]; // Preserve existing players
-  const startId = existingPlayers.length + 1; // Continue ID sequence
-
-  for (let i = startId; i < startId + 50; i++) {
-    players.push({
-      id: `P${i.toString().padStart(3, "0")}`,
-      elo: generateRandomNumber(0, 1), // Elo between 0-1 (3 decimals)
-      lastElo: "-",
-      rankChange: "", // Initially blank
-      bestMap: "", // Initially blank
-      hoursA: null, // Will be generated later
-      hoursB: null,
-      hoursC: null,
-    });
-  }
-  return players;
-};
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Area, ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  DEFAULT_SETTINGS,
+  calculateMapFamiliarity,
+  commitMatchResults,
+  isProvisional,
+  matchesPlayed,
+  rateMatch,
+  ratingUncertainty,
+  timeAway,
+} from "./ratingEngine";
+import { createRng, randomSeed } from "./random";
+import { applyDecay, daysInactive, isDecayed, joinRoster } from "./decay";
+import { formatMatchId } from "./batch";
+import BatchSimulator from "./BatchSimulator";
+import PredictionPanel from "./PredictionPanel";
+import QueueSimulator from "./QueueSimulator";
+import PlacementPanel from "./PlacementPanel";
+import PartyPanel from "./PartyPanel";
+import AnomalyPanel from "./AnomalyPanel";
+import { generateParties } from "./parties";
+import SettingsPanel from "./SettingsPanel";
+import TuningPanel from "./TuningPanel";
+import CsvImportPanel from "./CsvImportPanel";
+import MatchLogPanel from "./MatchLogPanel";
+import MapPoolPanel from "./MapPoolPanel";
+import MapLeaderboard from "./MapLeaderboard";
+import MapVetoPanel from "./MapVetoPanel";
+import TeamBalancePanel from "./TeamBalancePanel";
+import RatingSystemsTable from "./RatingSystemsTable";
+import { findRatingSystem } from "./ratingSystems";
+import RoundLogPanel from "./RoundLogPanel";
+import { simulateMatch } from "./roundEngine";
+import { formTeamsWithEveryStrategy } from "./teamBalance";
+import { describeVetoStep, randomVeto, startVeto } from "./mapVeto";
+import { DEFAULT_MAP_POOL, activeMaps, mapName } from "./mapPool";
+import { PLAYER_FIELDS, hoursFields, importHours, importPlayers } from "./rosterImport";
+import { createMatchRecord, nextMatchNumber } from "./matchHistory";
+import { describeReadError, downloadFile, readFileAsText } from "./download";
+import ChartExportButtons from "./ChartExportButtons";
+import { matchResultsToCsv, matchResultsToJson, ratingHistoryToCsv, ratingHistoryToJson } from "./reports";
+import {
+  clearLocalStorage,
+  createSnapshot,
+  loadFromLocalStorage,
+  parseSnapshot,
+  saveToLocalStorage,
+} from "./persistence";
+import {
+  assignMapFamiliarity,
+  describeFailedPick,
+  generateHours,
+  generatePlayers,
+  pickPlayersForMatch,
+} from "./simulation";
 
-const generateHours = (players) => {
-  return players.map(player => ({
-    ...player,
-    hoursA: Math.floor(Math.random() * 31), // Random hours (0-30)
-    hoursB: Math.floor(Math.random() * 31),
-    hoursC: Math.floor(Math.random() * 31),
-  }));
-};
+// Line colours of the other rating systems on the Elo comparison chart
+const SYSTEM_COLORS = { glicko2: "#9C27B0", trueskill: "#2196F3" };
 
-const calculateMapFamiliarity = (players) => {
-  const validPlayers = players.filter(p => p.hoursA !== null && p.hoursB !== null && p.hoursC !== null);
+// The team tables mark who went AFK and for what share of the match: the chance per round until it is
+// played, then the rounds actually missed (see timeAway)
+const formatAfk = (player) => (timeAway(player) > 0 ? `AFK ${Math.round(timeAway(player) * 100)}%` : "-");
+const afkRowStyle = (player) => (timeAway(player) > 0 ? { backgroundColor: "#FFE0E0", fontWeight: "bold" } : undefined);
 
-  if (validPlayers.length === 0) return players;
+// Who went AFK in the simulated match, e.g. "P012 (Team A, 35% of the match)"
+const describeAfk = (teams) => [["Team A", teams.teamA], ["Team B", teams.teamB]].flatMap(([team, members]) =>
+  members.filter(player => timeAway(player) > 0)
+    .map(player => `${player.id} (${team}, ${Math.round(timeAway(player) * 100)}% of the match)`)
+);
 
-  // Calculate Average Hours Spent Per Map
-  const avgA = validPlayers.reduce((sum, p) => sum + p.hoursA, 0) / validPlayers.length || 1;
-  const avgB = validPlayers.reduce((sum, p) => sum + p.hoursB, 0) / validPlayers.length || 1;
-  const avgC = validPlayers.reduce((sum, p) => sum + p.hoursC, 0) / validPlayers.length || 1;
+// Calendar days are fractional while a queue runs; the Player List shows whole days
+const formatDay = (day) => (day === null || day === undefined ? "Never" : `Day ${Math.floor(day)}`);
 
-  return players.map(player => {
-    if (player.hoursA === null || player.hoursB === null || player.hoursC === null) {
-      return player;
-    }
+const EMPTY_ELO_RESULTS = {
+  traditional: { teamA: [], teamB: [] },
+  contextAware: { teamA: [], teamB: [] },
+};
 
-    // Map Familiarity Calculation (as a hundredth percentage)
-    const familiarityA = ((player.hoursA / avgA) * 100).toFixed(2);
-    const familiarityB = ((player.hoursB / avgB) * 100).toFixed(2);
-    const familiarityC = ((player.hoursC / avgC) * 100).toFixed(2);
+function App() {
+  // Pick up where the last session left off (read once, on first render)
+  const [saved] = useState(loadFromLocalStorage);
+  const savedMatch = saved?.currentMatch;
 
-    // Select Best Map based on highest familiarity value
-    const familiarityMap = {
-      "Map A": parseFloat(familiarityA),
-      "Map B": parseFloat(familiarityB),
-      "Map C": parseFloat(familiarityC),
-    };
+  const [players, setPlayers] = useState(saved?.players ?? []);
+  const [view, setView] = useState("players"); // players, maps, simulator or matchLog
+  const [hoursGenerated, setHoursGenerated] = useState(saved?.hoursGenerated ?? false);
+  const [selectedPlayers, setSelectedPlayers] = useState([]);
+  const [pickError, setPickError] = useState(null); // Why no lobby could be picked, see pickPlayersForMatch
+  const [teams, setTeams] = useState(savedMatch?.teams ?? { teamA: [], teamB: [] });
+  const [teamOptions, setTeamOptions] = useState(savedMatch?.teamOptions ?? []); // Split of every strategy, see teamBalance.js
+  const [teamStrategy, setTeamStrategy] = useState(savedMatch?.teamStrategy ?? "exhaustive");
+  const [matchResult, setMatchResult] = useState(savedMatch?.matchResult ?? null);
+  const [rounds, setRounds] = useState(savedMatch?.rounds ?? []); // Round log of the simulated match, see roundEngine.js
+  const [matchStage, setMatchStage] = useState(savedMatch?.matchStage ?? 0); // 0: Not started, 1: Players selected, 2: Match simulated, 3: Elo calculated, 4: Saved to roster
+  const [selectedMap, setSelectedMap] = useState(savedMatch?.selectedMap ?? null);
+  const [veto, setVeto] = useState(savedMatch?.veto ?? null); // Map veto of the current match, see mapVeto.js
+  const [showEloVisualization, setShowEloVisualization] = useState(false);
+  const [eloResults, setEloResults] = useState(savedMatch?.eloResults ?? EMPTY_ELO_RESULTS);
+  const [baselineEloResults, setBaselineEloResults] = useState(savedMatch?.baselineEloResults ?? null); // Results under the settings used at calculation
+  const [matchHistory, setMatchHistory] = useState(saved?.matchHistory ?? []);
+  const matchCount = matchHistory.length;
+  const nextMatchId = formatMatchId(nextMatchNumber(matchHistory));
+  const [historyPlayerId, setHistoryPlayerId] = useState(null);
+  const [settings, setSettings] = useState(saved ? { ...DEFAULT_SETTINGS, ...saved.settings } : DEFAULT_SETTINGS);
+  const [settingsPresets, setSettingsPresets] = useState(
+    saved?.settingsPresets ?? [{ name: "Default", settings: DEFAULT_SETTINGS }]
+  );
+  const [mapPool, setMapPool] = useState(saved?.mapPool ?? DEFAULT_MAP_POOL);
+  const [calendarDay, setCalendarDay] = useState(saved?.calendarDay ?? 0); // Simulated days since the run started
+  const [seed, setSeed] = useState(saved?.seed ?? randomSeed);
+  const [seedInput, setSeedInput] = useState(seed);
+  const [saveError, setSaveError] = useState(null);
+  const [legacyAfkRatings, setLegacyAfkRatings] = useState(saved?.legacyAfkRatings ?? false); // See persistence.js
+  const [importErrors, setImportErrors] = useState([]);
+  const rngRef = useRef(null);
+  const eloChartRef = useRef(null);
+  if (rngRef.current === null) {
+    rngRef.current = createRng(seed, saved?.rngState);
+  }
 
-    const bestMap = Object.keys(familiarityMap).reduce((a, b) => familiarityMap[a] > familiarityMap[b] ? a : b);
+  // Everything needed to resume this session, see persistence.js
+  const buildSnapshot = useCallback(() => createSnapshot({
+    seed,
+    rngState: rngRef.current.getState(),
+    players,
+    hoursGenerated,
+    matchHistory,
+    calendarDay,
+    settings,
+    settingsPresets,
+    mapPool,
+    currentMatch: matchStage > 0
+      ? { matchStage, teams, teamOptions, teamStrategy, matchResult, rounds, selectedMap, veto, eloResults, baselineEloResults }
+      : null,
+    legacyAfkRatings,
+  }), [seed, players, hoursGenerated, matchHistory, calendarDay, settings, settingsPresets, mapPool, legacyAfkRatings,
+      matchStage, teams, teamOptions, teamStrategy, matchResult, rounds, selectedMap, veto, eloResults, baselineEloResults]);
 
-    return {
-      ...player,
-      mapFamiliarityA: familiarityA,
-      mapFamiliarityB: familiarityB,
-      mapFamiliarityC: familiarityC,
-      bestMap: bestMap, // Assign best map correctly
-    };
-  });
-};
+  // Autosave after every change; the RNG only advances together with a state change, so its state is current here
+  useEffect(() => {
+    setSaveError(saveToLocalStorage(buildSnapshot()));
+  }, [buildSnapshot]);
 
-// Generate network stability with realistic distribution
-const generateNetworkStability = () => {
-  // 80% chance of good connection (0.8-1.0)
-  // 15% chance of moderate issues (0.5-0.79)
-  // 5% chance of poor connection (0.1-0.49)
-  const rand = Math.random();
-  
-  if (rand < 0.05) {
-    // Poor connection (5% chance)
-    return parseFloat((Math.random() * 0.39 + 0.1).toFixed(2));
-  } else if (rand < 0.2) {
-    // Moderate issues (15% chance)
-    return parseFloat((Math.random() * 0.29 + 0.5).toFixed(2));
-  } else {
-    // Good connection (80% chance)
-    return parseFloat((Math.random() * 0.2 + 0.8).toFixed(2));
-  }
-};
+  const handleGenerateHours = () => {
+    const playersWithHours = generateHours(players, mapPool, rngRef.current);
+    const calculatedPlayers = calculateMapFamiliarity(playersWithHours, mapPool);
+    setPlayers(calculatedPlayers);
+    setHoursGenerated(true);
+  };
 
-// Simulate AFK teammates - ensuring every match has at least one AFK player
-const generateAFKStatus = (teamPlayers) => {
-  // Choose one random player to be AFK
-  const afkPlayerIndex = Math.floor(Math.random() * teamPlayers.length);
-  
-  // Generate how long they were AFK (mostly smaller values to be realistic)
-  // 70% chance of brief AFK (10-30% of match time)
-  // 20% chance of moderate AFK (30-60% of match time)
-  // 10% chance of severe AFK (60-90% of match time)
-  let afkPercentage;
-  const rand = Math.random();
-  
-  if (rand < 0.7) {
-    // Brief AFK (more common)
-    afkPercentage = parseFloat((Math.random() * 0.2 + 0.1).toFixed(2));
-  } else if (rand < 0.9) {
-    // Moderate AFK
-    afkPercentage = parseFloat((Math.random() * 0.3 + 0.3).toFixed(2));
-  } else {
-    // Severe AFK (rare)
-    afkPercentage = parseFloat((Math.random() * 0.3 + 0.6).toFixed(2));
-  }
-  
-  // Assign AFK values to team
-  return teamPlayers.map((player, index) => ({
-    ...player,
-    afkValue: index === afkPlayerIndex ? 0 : afkPercentage
-  }));
-};
+  // Best maps follow the pool, so retiring or restoring a map re-derives them
+  const handleMapPoolChange = (newPool) => {
+    setMapPool(newPool);
+    setPlayers(calculateMapFamiliarity(players, newPool));
+  };
 
-// Pick 10 players with similar ELO scores
-const pickPlayersForMatch = (players) => {
-  if (players.length < 10) return [];
-  
-  // Sort players by ELO
-  const sortedPlayers = [...players].sort((a, b) => parseFloat(a.elo) - parseFloat(b.elo));
-  
-  // Find a window of 10 players with minimal ELO difference
-  let bestStartIndex = 0;
-  let minEloDifference = 1; // Max possible difference is 1
-  
-  for (let i = 0; i <= sortedPlayers.length - 10; i++) {
-    const currentDifference = parseFloat(sortedPlayers[i + 9].elo) - parseFloat(sortedPlayers[i].elo);
-    if (currentDifference < minEloDifference) {
-      minEloDifference = currentDifference;
-      bestStartIndex = i;
+  const handlePickPlayers = () => {
+    const pickedPlayers = pickPlayersForMatch(players);
+    // Nobody is picked when no lobby of 10 keeps every party whole
+    if (pickedPlayers.length === 0) {
+      setPickError(describeFailedPick(players));
+      return;
     }
-  }
-  
-  // Return the 10 players with the most similar ELO
-  return sortedPlayers.slice(bestStartIndex, bestStartIndex + 10);
-};
-
-// Divide players into two teams
-const divideIntoTeams = (selectedPlayers) => {
-  // Shuffle players
-  const shuffled = [...selectedPlayers].sort(() => 0.5 - Math.random());
-  
-  // Split into two teams
-  const teamA = shuffled.slice(0, 5);
-  const teamB = shuffled.slice(5, 10);
-  
-  return { teamA, teamB };
-};
+    setPickError(null);
+    setSelectedPlayers(pickedPlayers);
+    const options = formTeamsWithEveryStrategy(pickedPlayers, { rng: rngRef.current, mapPool });
+    const { teamA, teamB } = options.find(option => option.key === teamStrategy);
+    setTeamOptions(options);
+    setTeams({ teamA, teamB });
+    setVeto(startVeto(mapPool));
+    setMatchStage(1);
+  };
 
-// Assign kills and deaths based on network stability and AFK status
-const assignKillsAndDeaths = (teamA, teamB) => {
-  // First assign network stability and AFK status to have context for kills/deaths
-  const assignNetworkAndAFK = (team) => {
-    return team.map(player => ({
-      ...player,
-      networkStability: generateNetworkStability(),
-      // Will be updated later in generateAFKStatus
-      afkValue: 0
-    }));
+  // Switch to another strategy's split; the veto starts over for the new teams
+  const handleSelectTeamStrategy = (key) => {
+    const { teamA, teamB } = teamOptions.find(option => option.key === key);
+    setTeamStrategy(key);
+    setTeams({ teamA, teamB });
+    setVeto(startVeto(mapPool));
   };
-  
-  const teamAWithContext = assignNetworkAndAFK(teamA);
-  const teamBWithContext = assignNetworkAndAFK(teamB);
-  
-  // Apply AFK status
-  const teamAWithAFK = generateAFKStatus(teamAWithContext);
-  const teamBWithAFK = generateAFKStatus(teamBWithContext);
-  
-  // Assign kills and deaths based on network stability and AFK status
-  const assignStats = (player) => {
-    // Calculate performance factor (0-1) based on network stability and AFK status
-    // A player with perfect connection (1.0) and no AFK (0.0) gets full performance factor (1.0)
-    // A player with poor connection or high AFK time gets reduced performance
-    const performanceFactor = player.networkStability * (1 - player.afkValue);
+
+  const handleSimulateMatch = () => {
+    // Play on the vetoed map, so familiarity shapes the duels
+    const teamsOnMap = assignMapFamiliarity(teams.teamA, teams.teamB, veto.map);
     
-    // Base kill range is 1-20
-    // Scale based on performance factor
-    const maxPossibleKills = 20;
-    const killCeiling = Math.max(1, Math.floor(maxPossibleKills * performanceFactor));
+    // Draw network stability and AFK status, then play the rounds
+    const { teamA, teamB, result, rounds: playedRounds } = simulateMatch(teamsOnMap.teamA, teamsOnMap.teamB, rngRef.current);
     
-    // Players with very poor performance (AFK or bad connection) rarely get kills
-    let kills;
-    if (performanceFactor < 0.3) {
-      // 95% chance of very few kills (0-2) for poor performers
-      if (Math.random() < 0.95) {
-        kills = Math.floor(Math.random() * 3); // 0-2 kills
-      } else {
-        // 5% chance to get a few more kills despite poor performance
-        kills = Math.floor(Math.random() * killCeiling) + 1;
-      }
-    } else {
-      // Normal kill distribution for average to good performers
-      kills = Math.floor(Math.random() * killCeiling) + 1;
-    }
+    setTeams({ teamA, teamB });
+    setSelectedMap(veto.map);
+    setMatchResult(result);
+    setRounds(playedRounds);
+    setMatchStage(2);
     
-    // Deaths tend to be higher with worse connection/AFK
-    // AFK players especially have higher deaths
-    let deaths;
-    if (player.afkValue > 0.5) {
-      // High AFK players die more (AFK in dangerous situations)
-      deaths = Math.floor(Math.random() * 10) + 10; // 10-19 deaths
-    } else if (player.networkStability < 0.5) {
-      // Players with poor connection die more
-      deaths = Math.floor(Math.random() * 12) + 8; // 8-19 deaths
-    } else {
-      // Normal death distribution for stable players
-      deaths = Math.floor(Math.random() * 15) + 1; // 1-15 deaths
-    }
+    // Reset Elo visualization
+    setShowEloVisualization(false);
+  };
+
+  // Add new function for calculating Elo
+  const handleCalculateElo = () => {
+    // Calculate traditional and context-aware Elo
+    const ratings = rateMatch(teams.teamA, teams.teamB, matchResult, settings);
     
-    return {
-      ...player,
-      kills,
-      deaths,
-      kd: 0 // Will be calculated later
-    };
+    // Update state with results
+    setEloResults(ratings);
+    setBaselineEloResults(ratings);
+    
+    setMatchStage(3);
   };
-  
-  const teamAWithStats = teamAWithAFK.map(assignStats);
-  const teamBWithStats = teamBWithAFK.map(assignStats);
-  
-  // Calculate K/D ratios
-  const calculateKD = (player) => ({
-    ...player,
-    kd: parseFloat((player.kills / Math.max(1, player.deaths)).toFixed(2)), // Avoid division by zero
-  });
-  
-  return {
-    teamA: teamAWithStats.map(calculateKD),
-    teamB: teamBWithStats.map(calculateKD),
+
+  // Commit the calculated ratings into the roster
+  const handleCommitResults = () => {
+    const matchId = nextMatchId;
+    setPlayers(commitMatchResults(players, eloResults.contextAware, {
+      id: matchId,
+      map: selectedMap,
+      winner: matchResult.winner,
+      day: calendarDay,
+    }, mapPool));
+    setMatchHistory([
+      ...matchHistory,
+      createMatchRecord({
+        id: matchId, map: selectedMap, winner: matchResult.winner, score: matchResult.score ?? null,
+        ratings: eloResults, veto: veto?.steps ?? [], day: calendarDay,
+      }),
+    ]);
+    setMatchStage(4);
   };
-};
 
-// Select a random map and assign map familiarity
-const selectMapAndAssignFamiliarity = (teamA, teamB) => {
-  const maps = ["A", "B", "C"];
-  const selectedMap = maps[Math.floor(Math.random() * maps.length)];
-  
-  const assignMapFamiliarity = (player) => ({
-    ...player,
-    currentMapFamiliarity: parseFloat(player[`mapFamiliarity${selectedMap}`] || 0)
-  });
-  
-  return {
-    selectedMap,
-    teamA: teamA.map(assignMapFamiliarity),
-    teamB: teamB.map(assignMapFamiliarity)
+  // New settings apply to future matches and instantly re-rate a calculated but unsaved match
+  const handleSettingsChange = (newSettings) => {
+    setSettings(newSettings);
+    if (matchStage === 3) {
+      setEloResults(rateMatch(teams.teamA, teams.teamB, matchResult, newSettings));
+    }
   };
-};
 
-// Determine match winner
-const determineWinner = (teamA, teamB) => {
-  const teamAAvgKD = teamA.reduce((sum, player) => sum + parseFloat(player.kd), 0) / teamA.length;
-  const teamBAvgKD = teamB.reduce((sum, player) => sum + parseFloat(player.kd), 0) / teamB.length;
-  
-  return {
-    teamAAvgKD: teamAAvgKD.toFixed(2),
-    teamBAvgKD: teamBAvgKD.toFixed(2),
-    winner: teamAAvgKD > teamBAvgKD ? "Team A" : "Team B",
+  const handleSavePreset = (name, presetSettings) => {
+    setSettingsPresets([
+      ...settingsPresets.filter(p => p.name !== name),
+      { name, settings: presetSettings },
+    ]);
   };
-};
 
-// Calculate traditional Elo adjustments
-const calculateTraditionalElo = (teamA, teamB, matchResult) => {
-  // Calculate team average Elo
-  const teamAAvgElo = teamA.reduce((sum, player) => sum + parseFloat(player.elo), 0) / teamA.length;
-  const teamBAvgElo = teamB.reduce((sum, player) => sum + parseFloat(player.elo), 0) / teamB.length;
-  
-  // Calculate expected outcome using Elo formula
-  const expectedA = 1 / (1 + Math.pow(10, (teamBAvgElo - teamAAvgElo) * 10));
-  const expectedB = 1 - expectedA;
-  
-  // Actual outcome
-  const actualA = matchResult.winner === "Team A" ? 1 : 0;
-  const actualB = 1 - actualA;
-  
-  // Calculate Elo adjustments
-  const calculateNewElo = (player, isTeamA) => {
-    const expected = isTeamA ? expectedA : expectedB;
-    const actual = isTeamA ? actualA : actualB;
-    
-    // Store last Elo
-    const lastElo = parseFloat(player.elo);
-    
-    // Calculate new Elo
-    const newElo = parseFloat(player.elo) + K_FACTOR * (actual - expected);
-    
-    // Ensure Elo stays within bounds (0-1)
-    const boundedElo = Math.max(0, Math.min(1, newElo));
-    
-    return {
-      ...player,
-      tradElo: parseFloat(boundedElo.toFixed(3)),
-      lastElo: lastElo.toFixed(3),
-      rankChange: (boundedElo > lastElo) ? "↑" : (boundedElo < lastElo) ? "↓" : "="
-    };
+  // Take over the roster produced by a batch or queue run, which leaves the calendar on `endDay`
+  const handleBatchComplete = (updatedPlayers, matches, endDay) => {
+    setPlayers(updatedPlayers);
+    setCalendarDay(endDay);
+    setMatchHistory(history => [...history, ...matches]);
+    resetMatch();
+  };
+
+  // Move the calendar on without playing, decaying players who have been away too long
+  const handleAdvanceCalendar = (days) => {
+    setPlayers(applyDecay(players, calendarDay, calendarDay + days, settings));
+    setCalendarDay(calendarDay + days);
   };
-  
-  return {
-    teamA: teamA.map(player => calculateNewElo(player, true)),
-    teamB: teamB.map(player => calculateNewElo(player, false)),
-    expectedA,
-    expectedB
+
+  // Restart the whole run from a seed so it can be replayed exactly
+  const handleStartSeededRun = () => {
+    const newSeed = seedInput.trim() || randomSeed();
+    rngRef.current = createRng(newSeed);
+    setSeed(newSeed);
+    setSeedInput(newSeed);
+    setPlayers([]);
+    setHoursGenerated(false);
+    setMatchHistory([]);
+    setCalendarDay(0);
+    setHistoryPlayerId(null);
+    resetMatch();
   };
-};
 
-// Calculate context-aware Elo adjustments
-const calculateContextAwareElo = (teamA, teamB, matchResult, tradEloResults) => {
-  // Use the expected outcome from traditional Elo
-  const expectedA = tradEloResults.expectedA;
-  const expectedB = tradEloResults.expectedB;
-  
-  // Actual outcome
-  const actualA = matchResult.winner === "Team A" ? 1 : 0;
-  const actualB = 1 - actualA;
-  
-  // Calculate Context-Aware Elo adjustments
-  const calculateNewContextElo = (player, isTeamA) => {
-    const expected = isTeamA ? expectedA : expectedB;
-    const actual = isTeamA ? actualA : actualB;
-    
-    // Contextual factors
-    const latencyFactor = (player.networkStability - 1) * LATENCY_WEIGHT; // Negative adjustment for poor connection
-    const mapFactor = (player.currentMapFamiliarity) * MAP_FAMILIARITY_WEIGHT; // Adjust based on map familiarity
-    const afkFactor = player.afkValue * AFK_WEIGHT * -1; // Negative adjustment for having AFK teammates
-    
-    // Store traditional Elo result
-    const tradElo = player.tradElo;
-    
-    // Calculate context-aware Elo adjustment
-    // R′ = R + K(S - E) + wL + wM + wA
-    const eloAdjustment = K_FACTOR * (actual - expected);
-    const contextAdjustment = latencyFactor + mapFactor + afkFactor;
-    const newElo = parseFloat(player.elo) + eloAdjustment + contextAdjustment;
-    
-    // Ensure Elo stays within bounds (0-1)
-    const boundedElo = Math.max(0, Math.min(1, newElo));
-    
+  // Add (or swap in) players from a CSV roster
+  const handleImportPlayers = (rows, mapping, { replace, lines }) => {
+    const { players: imported, errors } = importPlayers(rows, mapping, replace ? [] : players, settings, lines);
+    if (errors.length > 0) return { errors };
+
+    if (replace) {
+      setPlayers(joinRoster(imported, calendarDay));
+      setHoursGenerated(false);
+      setMatchHistory([]);
+      setLegacyAfkRatings(false); // Nothing left that was rated before the AFK fix
+      setHistoryPlayerId(null);
+      resetMatch();
+    } else {
+      setPlayers([...players, ...joinRoster(imported, calendarDay)]);
+    }
+    return { errors, message: `Imported ${imported.length} players.` };
+  };
+
+  const handleImportHours = (rows, mapping, { lines }) => {
+    const { players: updated, errors } = importHours(rows, mapping, players, mapPool, lines);
+    if (errors.length > 0) return { errors };
+
+    setPlayers(updated);
+    // The simulator needs hours for everyone; a file covering part of the roster does not unlock it
+    const missing = updated.filter(player => activeMaps(mapPool).some(map => player.hours[map.id] === undefined));
+    setHoursGenerated(hoursGenerated || missing.length === 0);
     return {
-      ...player,
-      contextElo: parseFloat(boundedElo.toFixed(3)),
-      tradElo: tradElo,
-      contextFactors: {
-        latency: parseFloat(latencyFactor.toFixed(4)),
-        map: parseFloat(mapFactor.toFixed(4)),
-        afk: parseFloat(afkFactor.toFixed(4)),
-        total: parseFloat(contextAdjustment.toFixed(4))
-      }
+      errors,
+      message: `Imported map hours for ${rows.length} players.` +
+        (missing.length > 0 && !hoursGenerated ? ` ${missing.length} players still have no hours.` : ""),
     };
   };
-  
-  return {
-    teamA: teamA.map(player => calculateNewContextElo(player, true)),
-    teamB: teamB.map(player => calculateNewContextElo(player, false))
+
+  // Take over the roster and match records produced by replaying an imported match log
+  const handleApplyMatchLog = ({ players: replayedPlayers, matches }) => {
+    setPlayers(replayedPlayers);
+    setMatchHistory([...matchHistory, ...matches]);
+    resetMatch();
   };
-};
 
-function App() {
-  const [players, setPlayers] = useState([]);
-  const [showMapDatabase, setShowMapDatabase] = useState(false);
-  const [hoursGenerated, setHoursGenerated] = useState(false);
-  const [showMatchSimulator, setShowMatchSimulator] = useState(false);
-  const [selectedPlayers, setSelectedPlayers] = useState([]);
-  const [teams, setTeams] = useState({ teamA: [], teamB: [] });
-  const [matchResult, setMatchResult] = useState(null);
-  const [matchStage, setMatchStage] = useState(0); // 0: Not started, 1: Players selected, 2: Match simulated, 3: Elo calculated
-  const [selectedMap, setSelectedMap] = useState(null);
-  const [showEloVisualization, setShowEloVisualization] = useState(false);
-  const [eloResults, setEloResults] = useState({
-    traditional: { teamA: [], teamB: [] },
-    contextAware: { teamA: [], teamB: [] },
-  });
+  const handleExportSnapshot = () => {
+    downloadFile(`context-elo-${seed}.json`, JSON.stringify(buildSnapshot(), null, 2), "application/json");
+  };
 
-  const handleGenerateHours = () => {
-    const playersWithHours = generateHours(players);
-    const calculatedPlayers = calculateMapFamiliarity(playersWithHours);
-    setPlayers(calculatedPlayers);
-    setHoursGenerated(true);
+  const handleExportMatchResults = (format) => {
+    const content = format === "csv" ? matchResultsToCsv(matchHistory) : matchResultsToJson(matchHistory);
+    downloadFile(`match-results-${seed}.${format}`, content, format === "csv" ? "text/csv" : "application/json");
   };
 
-  const handlePickPlayers = () => {
-    const pickedPlayers = pickPlayersForMatch(players);
-    setSelectedPlayers(pickedPlayers);
-    const { teamA, teamB } = divideIntoTeams(pickedPlayers);
-    setTeams({ teamA, teamB });
-    setMatchStage(1);
+  const handleExportRatingHistory = (format) => {
+    const content = format === "csv" ? ratingHistoryToCsv(players) : ratingHistoryToJson(players);
+    downloadFile(`rating-history-${seed}.${format}`, content, format === "csv" ? "text/csv" : "application/json");
   };
 
-  const handleSimulateMatch = () => {
-    // Generate stats, network stability, and AFK status
-    const teamsWithStats = assignKillsAndDeaths(teams.teamA, teams.teamB);
-    
-    // Select map and assign familiarity
-    const { selectedMap: map, teamA, teamB } = selectMapAndAssignFamiliarity(
-      teamsWithStats.teamA, 
-      teamsWithStats.teamB
-    );
-    
-    // Calculate final result
-    setTeams({ teamA, teamB });
-    setSelectedMap(map);
-    
-    const result = determineWinner(teamA, teamB);
-    setMatchResult(result);
-    setMatchStage(2);
-    
-    // Reset Elo visualization
-    setShowEloVisualization(false);
+  // Export the match on screen, whether or not it has been saved to the roster yet
+  const currentMatchId = matchStage === 4 ? matchHistory[matchCount - 1].id : nextMatchId;
+  const handleExportCurrentMatch = (format) => {
+    const record = [createMatchRecord({
+      id: currentMatchId, map: selectedMap, winner: matchResult.winner, score: matchResult.score ?? null,
+      ratings: eloResults, veto: veto?.steps ?? [],
+    })];
+    const content = format === "csv" ? matchResultsToCsv(record) : matchResultsToJson(record);
+    downloadFile(`match-${currentMatchId}.${format}`, content, format === "csv" ? "text/csv" : "application/json");
   };
 
-  // Add new function for calculating Elo
-  const handleCalculateElo = () => {
-    // Calculate traditional Elo
-    const tradEloResults = calculateTraditionalElo(teams.teamA, teams.teamB, matchResult);
-    
-    // Calculate context-aware Elo
-    const contextEloResults = calculateContextAwareElo(
-      tradEloResults.teamA, 
-      tradEloResults.teamB, 
-      matchResult,
-      tradEloResults
-    );
-    
-    // Update state with results
-    setEloResults({
-      traditional: {
-        teamA: tradEloResults.teamA,
-        teamB: tradEloResults.teamB
-      },
-      contextAware: {
-        teamA: contextEloResults.teamA,
-        teamB: contextEloResults.teamB
-      }
+  const handleImportSnapshot = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+
+    let text;
+    try {
+      text = await readFileAsText(file);
+    } catch (error) {
+      setImportErrors([describeReadError(file, error)]);
+      return;
+    }
+    const { snapshot, errors } = parseSnapshot(text);
+    setImportErrors(errors);
+    if (snapshot) restoreSnapshot(snapshot);
+  };
+
+  // Replace the whole session with a validated snapshot
+  const restoreSnapshot = (snapshot) => {
+    rngRef.current = createRng(snapshot.seed, snapshot.rngState);
+    setSeed(snapshot.seed);
+    setSeedInput(snapshot.seed);
+    setPlayers(snapshot.players);
+    setHoursGenerated(Boolean(snapshot.hoursGenerated));
+    setMatchHistory(snapshot.matchHistory);
+    setLegacyAfkRatings(Boolean(snapshot.legacyAfkRatings));
+    setCalendarDay(snapshot.calendarDay ?? 0);
+    setSettings({ ...DEFAULT_SETTINGS, ...snapshot.settings });
+    setSettingsPresets(snapshot.settingsPresets);
+    setMapPool(snapshot.mapPool);
+    setHistoryPlayerId(null);
+
+    const match = snapshot.currentMatch;
+    resetMatch();
+    if (match) {
+      setTeams(match.teams);
+      setTeamOptions(match.teamOptions ?? []);
+      setTeamStrategy(match.teamStrategy ?? "exhaustive");
+      setMatchResult(match.matchResult);
+      setRounds(match.rounds ?? []);
+      setSelectedMap(match.selectedMap);
+      setVeto(match.veto ?? null);
+      setEloResults(match.eloResults ?? EMPTY_ELO_RESULTS);
+      setBaselineEloResults(match.baselineEloResults ?? null);
+      setMatchStage(match.matchStage);
+    }
+  };
+
+  // Forget the autosave and start over with a fresh seed
+  const handleClearSavedData = () => {
+    clearLocalStorage();
+    const newSeed = randomSeed();
+    restoreSnapshot({
+      seed: newSeed,
+      players: [],
+      hoursGenerated: false,
+      matchHistory: [],
+      calendarDay: 0,
+      settings: DEFAULT_SETTINGS,
+      settingsPresets: [{ name: "Default", settings: DEFAULT_SETTINGS }],
+      mapPool: DEFAULT_MAP_POOL,
+      currentMatch: null,
     });
-    
-    setMatchStage(3);
   };
 
+  const historyPlayer = players.find(p => p.id === historyPlayerId);
+
   const resetMatch = () => {
     setSelectedPlayers([]);
+    setPickError(null);
     setTeams({ teamA: [], teamB: [] });
+    setTeamOptions([]);
     setMatchResult(null);
+    setRounds([]);
     setSelectedMap(null);
+    setVeto(null);
     setMatchStage(0);
     setShowEloVisualization(false);
   };
@@ -465,12 +421,20 @@ function App() {
     if (matchStage < 3) return [];
     
     const allPlayers = [...eloResults.contextAware.teamA, ...eloResults.contextAware.teamB];
+    const systemEntries = Object.entries(eloResults.systems ?? {}).map(([key, result]) =>
+      [key, new Map([...result.teamA, ...result.teamB].map(entry => [entry.id, entry.after]))]
+    );
     
     return allPlayers.map(player => ({
       id: player.id,
       previousElo: parseFloat(player.lastElo),
       traditionalElo: player.tradElo,
       contextElo: player.contextElo,
+      // Each other system's rating with a band of two deviations either side
+      ...Object.fromEntries(systemEntries.flatMap(([key, after]) => {
+        const { rating, deviation } = after.get(player.id);
+        return [[key, rating], [`${key}Band`, [rating - 2 * deviation, rating + 2 * deviation]]];
+      })),
       // Determine if this was a win or loss for the player
       isWinner: (eloResults.contextAware.teamA.some(p => p.id === player.id) && matchResult.winner === "Team A") ||
                 (eloResults.contextAware.teamB.some(p => p.id === player.id) && matchResult.winner === "Team B")
@@ -483,38 +447,99 @@ function App() {
       
       <div style={{ marginBottom: "20px" }}>
         <button onClick={() => {
-          setPlayers(generatePlayers(players));
+          setPlayers(joinRoster(generatePlayers(players, rngRef.current), calendarDay));
           setHoursGenerated(false);
           resetMatch();
         }}>Generate Players</button>
         
-        <button style={{ marginLeft: "10px" }} onClick={() => {
-          setShowMapDatabase(false);
-          setShowMatchSimulator(false);
-        }}>Player List</button>
+        <button style={{ marginLeft: "10px" }} onClick={() => setView("players")}>Player List</button>
         
-        <button style={{ marginLeft: "10px" }} onClick={() => {
-          setShowMapDatabase(true);
-          setShowMatchSimulator(false);
-        }}>Map Database</button>
+        <button style={{ marginLeft: "10px" }} onClick={() => setView("maps")}>Map Database</button>
         
         <button style={{ marginLeft: "10px" }} onClick={() => {
-          setShowMatchSimulator(true);
-          setShowMapDatabase(false);
+          setView("simulator");
           resetMatch();
         }}>Match Simulator</button>
+
+        <button style={{ marginLeft: "10px" }} onClick={() => setView("matchLog")}>Match Log Replay</button>
+      </div>
+
+      <div style={{ marginBottom: "20px" }}>
+        <label>
+          Seed:{" "}
+          <input value={seedInput} onChange={(e) => setSeedInput(e.target.value)} style={{ width: "120px" }} />
+        </label>
+        <button style={{ marginLeft: "10px" }} onClick={handleStartSeededRun}>Start Seeded Run</button>
+        <span style={{ marginLeft: "10px" }}>Current run seed: <strong>{seed}</strong></span>
+      </div>
+
+      <div style={{ marginBottom: "20px" }}>
+        <button onClick={handleExportSnapshot}>Export Snapshot</button>
+        <label style={{ marginLeft: "10px" }}>
+          Import Snapshot:{" "}
+          <input type="file" accept=".json,application/json" onChange={handleImportSnapshot} />
+        </label>
+        <button style={{ marginLeft: "10px" }} onClick={handleClearSavedData}>Clear Saved Data</button>
+        <div style={{ marginTop: "10px" }}>
+          <button disabled={matchCount === 0} onClick={() => handleExportMatchResults("csv")}>Export Match Results (CSV)</button>
+          <button style={{ marginLeft: "10px" }} disabled={matchCount === 0} onClick={() => handleExportMatchResults("json")}>
+            Export Match Results (JSON)
+          </button>
+          <button style={{ marginLeft: "10px" }} disabled={matchCount === 0} onClick={() => handleExportRatingHistory("csv")}>
+            Export Rating History (CSV)
+          </button>
+          <button style={{ marginLeft: "10px" }} disabled={matchCount === 0} onClick={() => handleExportRatingHistory("json")}>
+            Export Rating History (JSON)
+          </button>
+        </div>
+        {saveError && (
+          <div style={{ marginTop: "10px", color: "red" }}>
+            Autosave failed ({saveError}). Export a snapshot to keep this session.
+          </div>
+        )}
+        {legacyAfkRatings && (
+          <div style={{ marginTop: "10px", color: "#FF8800" }}>
+            This session was saved before AFK values were fixed to belong to the player who went AFK. The match
+            history now shows the fixed values, but ratings and rating histories were not recalculated and still
+            follow the old ones.
+            <button style={{ marginLeft: "10px" }} onClick={() => setLegacyAfkRatings(false)}>Dismiss</button>
+          </div>
+        )}
+        {importErrors.length > 0 && (
+          <div style={{ marginTop: "10px", color: "red" }}>
+            Could not import the snapshot:
+            {importErrors.map(error => <div key={error}>{error}</div>)}
+          </div>
+        )}
       </div>
       
-      {!showMapDatabase && !showMatchSimulator ? (
+      {view === "players" ? (
         <div>
+          <CsvImportPanel
+            title="Import Players from CSV"
+            fields={PLAYER_FIELDS}
+            onImport={handleImportPlayers}
+            allowReplace
+          />
+          <div style={{ marginTop: "20px" }}>
+            Calendar: <strong>{formatDay(calendarDay)}</strong>
+            <button style={{ marginLeft: "10px" }} onClick={() => handleAdvanceCalendar(1)}>Advance 1 Day</button>
+            <button style={{ marginLeft: "10px" }} onClick={() => handleAdvanceCalendar(7)}>Advance 7 Days</button>
+          </div>
           <table border="1" style={{ marginTop: "20px", width: "80%", marginLeft: "auto", marginRight: "auto" }}>
             <thead>
               <tr>
                 <th>ID</th>
                 <th>Elo</th>
+                <th>Traditional Elo</th>
                 <th>Last Elo</th>
                 <th>Rank Change</th>
                 <th>Best Map</th>
+                <th>Party</th>
+                <th>Uncertainty</th>
+                <th>Status</th>
+                <th>Last Played</th>
+                <th>Matches</th>
               </tr>
             </thead>
             <tbody>
@@ -522,48 +547,129 @@ function App() {
                 <tr key={player.id}>
                   <td>{player.id}</td>
                   <td>{player.elo}</td>
+                  <td>{player.tradElo.toFixed(3)}</td>
                   <td>{player.lastElo}</td>
                   <td>{player.rankChange}</td>
-                  <td>{player.bestMap || "-"}</td>
+                  <td>{player.bestMap ? mapName(mapPool, player.bestMap) : "-"}</td>
+                  <td>{player.partyId ?? "-"}</td>
+                  <td>± {ratingUncertainty(player).toFixed(3)}</td>
+                  <td>
+                    {isProvisional(player, settings)
+                      ? `Provisional (${matchesPlayed(player)}/${settings.placementMatches})`
+                      : "Established"}
+                    {isDecayed(player) && (
+                      <span style={{ color: "#FF8800" }}>
+                        {" "}Decayed ({Math.floor(daysInactive(player, calendarDay))} days inactive)
+                      </span>
+                    )}
+                  </td>
+                  <td>{formatDay(player.lastPlayed)}</td>
+                  <td>
+                    {player.history.length}
+                    {player.history.length > 0 && (
+                      <button style={{ marginLeft: "10px" }} onClick={() => setHistoryPlayerId(player.id)}>
+                        History
+                      </button>
+                    )}
+                  </td>
                 </tr>
               ))}
             </tbody>
           </table>
+
+          <PartyPanel
+            players={players}
+            onChange={setPlayers}
+            onFormRandom={() => setPlayers(generateParties(players, rngRef.current))}
+          />
+
+          {players.length > 0 && <PlacementPanel players={players} settings={settings} />}
+
+          <AnomalyPanel matchHistory={matchHistory} settings={settings} onShowHistory={setHistoryPlayerId} />
+
+          {historyPlayer && (
+            <div style={{ marginTop: "20px" }}>
+              <h3>Rating History: {historyPlayer.id}</h3>
+              <table border="1" style={{ width: "80%", marginLeft: "auto", marginRight: "auto" }}>
+                <thead>
+                  <tr>
+                    <th>Match</th>
+                    <th>Map</th>
+                    <th>Result</th>
+                    <th>Traditional</th>
+                    <th>Trad. Change</th>
+                    <th>Context-Aware</th>
+                    <th>Context Change</th>
+                    <th>Factors</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {historyPlayer.history.map(entry => (
+                    <tr key={entry.matchId}>
+                      <td>{entry.matchId}</td>
+                      <td>{entry.map ? mapName(mapPool, entry.map) : "-"}</td>
+                      <td>{entry.result}</td>
+                      <td>{entry.tradBefore.toFixed(3)} → {entry.tradAfter.toFixed(3)}</td>
+                      <td>{(entry.tradDelta * 1000).toFixed(1)}</td>
+                      <td>{entry.contextBefore.toFixed(3)} → {entry.contextAfter.toFixed(3)}</td>
+                      <td>{(entry.contextDelta * 1000).toFixed(1)}</td>
+                      <td>
+                        L: {entry.contextFactors.latency.toFixed(4)}<br />
+                        M: {entry.contextFactors.map.toFixed(4)}<br />
+                        A: {entry.contextFactors.afk.toFixed(4)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button style={{ marginTop: "10px" }} onClick={() => setHistoryPlayerId(null)}>Close History</button>
+            </div>
+          )}
         </div>
-      ) : showMapDatabase ? (
+      ) : view === "maps" ? (
         <div>
           <button onClick={handleGenerateHours}>Generate Hours</button>
+          <CsvImportPanel title="Import Map Hours from CSV" fields={hoursFields(mapPool)} onImport={handleImportHours} />
+          <MapPoolPanel mapPool={mapPool} onChange={handleMapPoolChange} />
           <h2>Map Database</h2>
           <table border="1" style={{ marginTop: "20px", width: "80%", marginLeft: "auto", marginRight: "auto" }}>
             <thead>
               <tr>
                 <th>Player ID</th>
-                <th>Hours on Map A</th>
-                <th>Hours on Map B</th>
-                <th>Hours on Map C</th>
-                <th>Map Familiarity A</th>
-                <th>Map Familiarity B</th>
-                <th>Map Familiarity C</th>
+                {activeMaps(mapPool).map(map => <th key={`hours-${map.id}`}>Hours on {map.name}</th>)}
+                {activeMaps(mapPool).map(map => <th key={`familiarity-${map.id}`}>Map Familiarity {map.name}</th>)}
+                {activeMaps(mapPool).map(map => <th key={`rating-${map.id}`}>Rating on {map.name}</th>)}
               </tr>
             </thead>
             <tbody>
               {players.map((player) => (
                 <tr key={player.id}>
                   <td>{player.id}</td>
-                  <td>{player.hoursA !== null ? player.hoursA : '-'}</td>
-                  <td>{player.hoursB !== null ? player.hoursB : '-'}</td>
-                  <td>{player.hoursC !== null ? player.hoursC : '-'}</td>
-                  <td>{player.mapFamiliarityA || '-'}</td>
-                  <td>{player.mapFamiliarityB || '-'}</td>
-                  <td>{player.mapFamiliarityC || '-'}</td>
+                  {activeMaps(mapPool).map(map => <td key={`hours-${map.id}`}>{player.hours?.[map.id] ?? '-'}</td>)}
+                  {activeMaps(mapPool).map(map => <td key={`familiarity-${map.id}`}>{player.mapFamiliarity?.[map.id] || '-'}</td>)}
+                  {activeMaps(mapPool).map(map => (
+                    <td key={`rating-${map.id}`}>
+                      {player.mapRatings?.[map.id] ? player.mapRatings[map.id].rating.toFixed(3) : '-'}
+                    </td>
+                  ))}
                 </tr>
               ))}
             </tbody>
           </table>
+          <MapLeaderboard players={players} mapPool={mapPool} />
         </div>
-      ) : (
+      ) : view === "simulator" ? (
         <div>
           <h2>Match Simulator</h2>
+
+          <SettingsPanel
+            settings={settings}
+            onChange={handleSettingsChange}
+            presets={settingsPresets}
+            onSavePreset={handleSavePreset}
+            baselineResults={matchStage === 3 ? baselineEloResults : null}
+            currentResults={matchStage === 3 ? eloResults : null}
+          />
           
           {players.length < 10 ? (
             <div style={{ margin: "20px", color: "red" }}>
@@ -578,6 +684,9 @@ function App() {
               {matchStage === 0 && (
                 <button onClick={handlePickPlayers}>Pick 10 Players with Similar ELO</button>
               )}
+              {matchStage === 0 && pickError && (
+                <div style={{ margin: "20px", color: "red" }}>{pickError}</div>
+              )}
               
               {matchStage >= 1 && (
                 <div style={{ margin: "20px" }}>
@@ -604,8 +713,8 @@ function App() {
                         </thead>
                         <tbody>
                           {teams.teamA.map(player => (
-                            <tr key={player.id}>
-                              <td>{player.id}</td>
+                            <tr key={player.id} style={afkRowStyle(player)}>
+                              <td>{player.id}{player.partyId && ` (${player.partyId})`}</td>
                               <td>{player.elo}</td>
                               {matchStage >= 2 && (
                                 <>
@@ -613,7 +722,7 @@ function App() {
                                   <td>{player.deaths}</td>
                                   <td>{player.kd}</td>
                                   <td>{player.networkStability?.toFixed(2) || '-'}</td>
-                                  <td>{player.afkValue?.toFixed(2) || '-'}</td>
+                                  <td>{formatAfk(player)}</td>
                                   <td>{player.currentMapFamiliarity?.toFixed(2) || '-'}</td>
                                 </>
                               )}
@@ -643,8 +752,8 @@ function App() {
                         </thead>
                         <tbody>
                           {teams.teamB.map(player => (
-                            <tr key={player.id}>
-                              <td>{player.id}</td>
+                            <tr key={player.id} style={afkRowStyle(player)}>
+                              <td>{player.id}{player.partyId && ` (${player.partyId})`}</td>
                               <td>{player.elo}</td>
                               {matchStage >= 2 && (
                                 <>
@@ -652,7 +761,7 @@ function App() {
                                   <td>{player.deaths}</td>
                                   <td>{player.kd}</td>
                                   <td>{player.networkStability?.toFixed(2) || '-'}</td>
-                                  <td>{player.afkValue?.toFixed(2) || '-'}</td>
+                                  <td>{formatAfk(player)}</td>
                                   <td>{player.currentMapFamiliarity?.toFixed(2) || '-'}</td>
                                 </>
                               )}
@@ -664,16 +773,49 @@ function App() {
                   </div>
                   
                   {matchStage === 1 && (
-                    <button style={{ marginTop: "20px" }} onClick={handleSimulateMatch}>
-                      Simulate Match (Assign Kills/Deaths)
-                    </button>
+                    <>
+                      {teamOptions.length > 0 && (
+                        <TeamBalancePanel
+                          options={teamOptions}
+                          selected={teamStrategy}
+                          mapPool={mapPool}
+                          settings={settings}
+                          onSelect={handleSelectTeamStrategy}
+                        />
+                      )}
+                      <MapVetoPanel
+                        veto={veto ?? startVeto(mapPool)}
+                        teamA={teams.teamA}
+                        teamB={teams.teamB}
+                        mapPool={mapPool}
+                        onChange={setVeto}
+                        onRandom={() => setVeto(randomVeto(mapPool, rngRef.current))}
+                      />
+                      <button style={{ marginTop: "20px" }} disabled={!veto?.map} onClick={handleSimulateMatch}>
+                        Simulate Match (Play Rounds)
+                      </button>
+                    </>
                   )}
                   
                   {matchStage === 2 && matchResult && (
                     <div>
                       <div style={{ marginTop: "20px", padding: "10px", backgroundColor: "#f0f0f0", borderRadius: "5px" }}>
                         <h3>Match Results</h3>
-                        <p>Map: {selectedMap ? `Map ${selectedMap}` : "Unknown"}</p>
+                        <p>Map: {selectedMap ? mapName(mapPool, selectedMap) : "Unknown"}</p>
+                        {veto?.steps.length > 0 && (
+                          <div>
+                            Veto:
+                            <ol style={{ display: "inline-block", textAlign: "left", margin: "0 0 0 10px" }}>
+                              {veto.steps.map((step, i) => <li key={i}>{describeVetoStep(step, mapPool)}</li>)}
+                            </ol>
+                          </div>
+                        )}
+                        {matchResult.score && (
+                          <p style={{ fontSize: "1.2em" }}>
+                            Score: Team A {matchResult.score.teamA} - {matchResult.score.teamB} Team B
+                          </p>
+                        )}
+                        <p>Went AFK: {describeAfk(teams).join(", ") || "nobody"}</p>
                         <p>Team A Average K/D: {matchResult.teamAAvgKD}</p>
                         <p>Team B Average K/D: {matchResult.teamBAvgKD}</p>
                         <p style={{ fontWeight: "bold", fontSize: "1.2em" }}>
@@ -692,7 +834,9 @@ function App() {
                     </div>
                   )}
                   
-                  {matchStage === 3 && (
+                  {matchStage >= 2 && rounds.length > 0 && <RoundLogPanel rounds={rounds} />}
+                  
+                  {matchStage >= 3 && (
                     <div style={{ marginTop: "20px" }}>
                       <h3>Elo Calculation Results</h3>
                       
@@ -703,12 +847,17 @@ function App() {
                         >
                           {showEloVisualization ? "Hide Visualization" : "Show Visualization"}
                         </button>
+                        <button style={{ marginLeft: "10px" }} onClick={() => handleExportCurrentMatch("csv")}>Download Results (CSV)</button>
+                        <button style={{ marginLeft: "10px" }} onClick={() => handleExportCurrentMatch("json")}>Download Results (JSON)</button>
                       </div>
                       
                       {showEloVisualization && (
-                        <div style={{ height: "400px", width: "80%", margin: "20px auto" }}>
+                        <ChartExportButtons chartRef={eloChartRef} filename={`elo-comparison-${currentMatchId}`} />
+                      )}
+                      {showEloVisualization && (
+                        <div ref={eloChartRef} style={{ height: "400px", width: "80%", margin: "20px auto" }}>
                           <ResponsiveContainer width="100%" height="100%">
-                            <LineChart
+                            <ComposedChart
                               data={prepareChartData()}
                               margin={{ top: 20, right: 30, left: 20, bottom: 10 }}
                             >
@@ -717,10 +866,30 @@ function App() {
                               <YAxis domain={[0, 1]} />
                               <Tooltip />
                               <Legend />
+                              {Object.keys(eloResults.systems ?? {}).map(key => (
+                                <Area
+                                  key={`${key}Band`}
+                                  type="monotone"
+                                  dataKey={`${key}Band`}
+                                  name={`${findRatingSystem(key).label} ±2 dev.`}
+                                  stroke="none"
+                                  fill={SYSTEM_COLORS[key]}
+                                  fillOpacity={0.15}
+                                />
+                              ))}
                               <Line type="monotone" dataKey="previousElo" name="Previous Elo" stroke="#FFA500" />
                               <Line type="monotone" dataKey="traditionalElo" name="Traditional Elo" stroke="#FF0000" />
                               <Line type="monotone" dataKey="contextElo" name="Context-Aware Elo" stroke="#00AA00" />
-                            </LineChart>
+                              {Object.keys(eloResults.systems ?? {}).map(key => (
+                                <Line
+                                  key={key}
+                                  type="monotone"
+                                  dataKey={key}
+                                  name={findRatingSystem(key).label}
+                                  stroke={SYSTEM_COLORS[key]}
+                                />
+                              ))}
+                            </ComposedChart>
                           </ResponsiveContainer>
                         </div>
                       )}
@@ -797,13 +966,16 @@ function App() {
                                   {eloResults.contextAware.teamA.map(player => (
                                     <tr key={player.id}>
                                       <td>{player.id}</td>
-                                      <td>{player.lastElo}</td>
+                                      <td>{player.lastContextElo}</td>
                                       <td>{player.contextElo}</td>
-                                      <td>{((player.contextElo - player.lastElo) * 1000).toFixed(1)}</td>
+                                      <td>{((player.contextElo - player.lastContextElo) * 1000).toFixed(1)}</td>
                                       <td>
                                         L: {player.contextFactors.latency.toFixed(4)}<br />
                                         M: {player.contextFactors.map.toFixed(4)}<br />
                                         A: {player.contextFactors.afk.toFixed(4)}
+                                        {player.contextFactors.compensation < 1 && (
+                                          <><br />Short-handed: loss x{player.contextFactors.compensation.toFixed(2)}</>
+                                        )}
                                       </td>
                                     </tr>
                                   ))}
@@ -826,13 +998,16 @@ function App() {
                                   {eloResults.contextAware.teamB.map(player => (
                                     <tr key={player.id}>
                                       <td>{player.id}</td>
-                                      <td>{player.lastElo}</td>
+                                      <td>{player.lastContextElo}</td>
                                       <td>{player.contextElo}</td>
-                                      <td>{((player.contextElo - player.lastElo) * 1000).toFixed(1)}</td>
+                                      <td>{((player.contextElo - player.lastContextElo) * 1000).toFixed(1)}</td>
                                       <td>
                                         L: {player.contextFactors.latency.toFixed(4)}<br />
                                         M: {player.contextFactors.map.toFixed(4)}<br />
                                         A: {player.contextFactors.afk.toFixed(4)}
+                                        {player.contextFactors.compensation < 1 && (
+                                          <><br />Short-handed: loss x{player.contextFactors.compensation.toFixed(2)}</>
+                                        )}
                                       </td>
                                     </tr>
                                   ))}
@@ -843,16 +1018,52 @@ function App() {
                         </div>
                       </div>
                       
+                      <RatingSystemsTable eloResults={eloResults} />
+                      
                       <div style={{ marginTop: "20px" }}>
+                        {matchStage === 3 ? (
+                          <button onClick={handleCommitResults} style={{ marginRight: "10px", backgroundColor: "#4CAF50", color: "white", padding: "10px 15px" }}>
+                            Save Results to Roster
+                          </button>
+                        ) : (
+                          <p>Results saved to the roster as match {currentMatchId}.</p>
+                        )}
                         <button onClick={resetMatch}>Start New Match</button>
                       </div>
                     </div>
                   )}
                 </div>
               )}
+
+              <BatchSimulator
+                players={players}
+                rng={rngRef.current}
+                matchCount={matchCount}
+                firstMatchNumber={nextMatchNumber(matchHistory)}
+                calendarDay={calendarDay}
+                settings={settings}
+                mapPool={mapPool}
+                onComplete={handleBatchComplete}
+              />
+
+              <QueueSimulator
+                players={players}
+                rng={rngRef.current}
+                firstMatchNumber={nextMatchNumber(matchHistory)}
+                calendarDay={calendarDay}
+                settings={settings}
+                mapPool={mapPool}
+                onComplete={handleBatchComplete}
+              />
+
+              <PredictionPanel matchHistory={matchHistory} mapPool={mapPool} />
+
+              <TuningPanel matchHistory={matchHistory} settings={settings} onApply={handleSettingsChange} />
             </>
           )}
         </div>
+      ) : (
+        <MatchLogPanel players={players} matchHistory={matchHistory} calendarDay={calendarDay} settings={settings} mapPool={mapPool} onApply={handleApplyMatchLog} />
       )}
     </div>
   );
@@ -1,8 +1,337 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { STORAGE_KEY } from './persistence';
+
+// App autosaves to localStorage, so every test starts from a clean slate
+beforeEach(() => localStorage.clear());
+
+test('renders the simulator heading', () => {
+  render(<App />);
+  expect(screen.getByText(/match simulator with context-aware elo/i)).toBeInTheDocument();
+});
+
+test('generates a roster of 50 players', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  expect(screen.getByText('P001')).toBeInTheDocument();
+  expect(screen.getByText('P050')).toBeInTheDocument();
+  expect(screen.getAllByText('Provisional (0/10)')).toHaveLength(50);
+  expect(screen.getByText(/provisional players: 50 \/ 50/i)).toBeInTheDocument();
+});
+
+test('runs a batch of matches and commits them to the roster', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  userEvent.click(screen.getByText('Map Database'));
+  userEvent.click(screen.getByText('Generate Hours'));
+  userEvent.click(screen.getByText('Match Simulator'));
+
+  const countInput = screen.getByLabelText(/matches to play/i);
+  userEvent.clear(countInput);
+  userEvent.type(countInput, '10');
+  userEvent.click(screen.getByText('Run Batch'));
+
+  expect(screen.getByText(/10 \/ 10 matches played/)).toBeInTheDocument();
+  expect(screen.getByText(/scored over 10 matches/i)).toBeInTheDocument();
+  userEvent.click(screen.getByText('Player List'));
+  expect(screen.getAllByText('History').length).toBeGreaterThan(0);
+
+  // Thresholds loose enough that every K/D counts as a suspicious streak
+  [[/^low rating/i, '1'], [/^streak k\/d/i, '0.01'], [/^streak length/i, '1']].forEach(([label, value]) => {
+    userEvent.clear(screen.getByLabelText(label));
+    userEvent.type(screen.getByLabelText(label), value);
+  });
+  expect(screen.getAllByText('Low rating, extreme K/D streak').length).toBeGreaterThan(0);
+});
+
+test('adds a map to the pool and tracks hours on it', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  userEvent.click(screen.getByText('Map Database'));
+  userEvent.type(screen.getByPlaceholderText('New map name'), 'Harbor');
+  userEvent.click(screen.getByText('Add Map'));
+  userEvent.click(screen.getAllByText('Retire')[1]);
+  userEvent.click(screen.getByText('Generate Hours'));
+
+  expect(screen.getByText('Hours on Harbor')).toBeInTheDocument();
+  expect(screen.queryByText('Hours on Map B')).not.toBeInTheDocument();
+  const row = screen.getByRole('row', { name: /^P001 / });
+  // ID, then hours, familiarity and per-map rating on each of the three maps in rotation
+  expect(within(row).getAllByRole('cell')).toHaveLength(10);
+  expect(screen.getByText('Per-Map Leaderboard')).toBeInTheDocument();
+  expect(screen.getByText(/nobody has played map a yet/i)).toBeInTheDocument();
+});
+
+test('an invalid map weight goes back to the last valid value and takes its error along on blur', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Map Database'));
+  const weight = screen.getByLabelText('Weight of map A');
+  userEvent.clear(weight);
+  userEvent.type(weight, '-2');
+  expect(screen.getByText('weight of Map A must be a number of at least 0')).toBeInTheDocument();
+
+  userEvent.tab();
+  expect(weight).toHaveValue(1);
+  expect(screen.queryByText('weight of Map A must be a number of at least 0')).not.toBeInTheDocument();
+});
+
+test('runs the map veto before simulating and shows it with the results', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  userEvent.click(screen.getByText('Map Database'));
+  userEvent.click(screen.getByText('Generate Hours'));
+  userEvent.click(screen.getByText('Match Simulator'));
+  userEvent.click(screen.getByText('Pick 10 Players with Similar ELO'));
+
+  expect(screen.getByRole('row', { name: /exhaustive search .* in use/i })).toBeInTheDocument();
+  userEvent.click(within(screen.getByRole('row', { name: /snake draft/i })).getByText('Use'));
+  expect(screen.getByRole('row', { name: /snake draft .* in use/i })).toBeInTheDocument();
+
+  const simulate = screen.getByText('Simulate Match (Play Rounds)');
+  expect(simulate).toBeDisabled();
+  expect(screen.getByText('Team A to ban')).toBeInTheDocument();
+  userEvent.click(screen.getAllByText('Ban')[1]);
+  expect(screen.getByText('Team B to pick')).toBeInTheDocument();
+  userEvent.click(screen.getAllByText('Pick')[1]);
+  userEvent.click(simulate);
+
+  expect(screen.getByText('Map: Map C')).toBeInTheDocument();
+  expect(screen.getByText('Team A banned Map B')).toBeInTheDocument();
+  expect(screen.getByText('Team B picked Map C')).toBeInTheDocument();
+  expect(screen.getByText(/^Score: Team A \d+ - \d+ Team B$/)).toBeInTheDocument();
+  // One player per team goes AFK, named with their share of the match and marked in the team tables
+  expect(screen.getByText(/^Went AFK: P\d+ \(Team A, \d+% of the match\), P\d+ \(Team B, \d+% of the match\)$/))
+    .toBeInTheDocument();
+  expect(screen.getAllByText(/^AFK \d+%$/)).toHaveLength(2);
+
+  userEvent.click(screen.getByText(/show round log/i));
+  expect(screen.getAllByText(/ killed /).length).toBeGreaterThanOrEqual(13);
+});
+
+test('runs the matchmaking queue and reports queue statistics', async () => {
+  render(<App />);
+  // Whether every player is matched within 30 minutes depends on the roster, so fix the seed
+  const seed = screen.getByLabelText(/seed/i);
+  userEvent.clear(seed);
+  userEvent.type(seed, 'a');
+  userEvent.click(screen.getByText('Start Seeded Run'));
+  userEvent.click(screen.getByText('Generate Players'));
+  userEvent.click(screen.getByText('Map Database'));
+  userEvent.click(screen.getByText('Generate Hours'));
+  userEvent.click(screen.getByText('Match Simulator'));
+
+  const minutes = screen.getByLabelText(/simulated minutes/i);
+  userEvent.clear(minutes);
+  userEvent.type(minutes, '30');
+  userEvent.click(screen.getByText('Run Queue'));
+
+  expect(await screen.findByText('Matches formed')).toBeInTheDocument();
+  expect(screen.getByRole('row', { name: /players matched 50 \/ 50/i })).toBeInTheDocument();
+});
+
+test('re-rates the current match when the settings change', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  userEvent.click(screen.getByText('Map Database'));
+  userEvent.click(screen.getByText('Generate Hours'));
+  userEvent.click(screen.getByText('Match Simulator'));
+  userEvent.click(screen.getByText('Pick 10 Players with Similar ELO'));
+  userEvent.click(screen.getByText('Auto Veto by Familiarity'));
+  userEvent.click(screen.getByText('Simulate Match (Play Rounds)'));
+  userEvent.click(screen.getByText('Calculate Elo Ratings'));
+
+  userEvent.click(screen.getByText('Rating Settings'));
+  const kFactor = screen.getByLabelText(/^k-factor/i);
+  userEvent.clear(kFactor);
+  userEvent.type(kFactor, '0.3');
+
+  expect(kFactor).toHaveValue(0.3);
+  expect(screen.getByText(/what-if/i)).toBeInTheDocument();
+  expect(screen.getByText('Glicko-2 (± deviation)')).toBeInTheDocument();
+  expect(screen.getByText('TrueSkill-style (± deviation)')).toBeInTheDocument();
+});
+
+test('flags players who decay while the calendar moves on', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  userEvent.click(screen.getByText('Match Simulator'));
+  userEvent.click(screen.getByText('Rating Settings'));
+  userEvent.selectOptions(screen.getByLabelText(/inactivity decay/i), 'mean');
+
+  userEvent.click(screen.getByText('Player List'));
+  expect(screen.getAllByText('Never')).toHaveLength(50);
+  userEvent.click(screen.getByText('Advance 7 Days'));
+  userEvent.click(screen.getByText('Advance 7 Days'));
+  expect(screen.queryByText(/decayed/i)).not.toBeInTheDocument(); // Still within the 14-day grace period
+  userEvent.click(screen.getByText('Advance 7 Days'));
+
+  expect(screen.getByText('Day 21')).toBeInTheDocument();
+  expect(screen.getAllByText(/decayed \(21 days inactive\)/i)).toHaveLength(50);
+});
+
+test('forms a party by hand and reports invalid ones', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  expect(screen.getByText('Everyone is queueing solo.')).toBeInTheDocument();
+
+  userEvent.type(screen.getByLabelText(/party members/i), 'P001, P999');
+  userEvent.click(screen.getByText('Create Party'));
+  expect(screen.getByText('player P999 is not in the roster')).toBeInTheDocument();
+
+  userEvent.clear(screen.getByLabelText(/party members/i));
+  userEvent.type(screen.getByLabelText(/party members/i), 'P001, P002, P003');
+  userEvent.click(screen.getByText('Create Party'));
+  expect(screen.getByText('P001, P002, P003')).toBeInTheDocument();
+  expect(screen.getAllByText('G01')).toHaveLength(4); // Party table and three Player List rows
+
+  userEvent.click(screen.getByText('Disband'));
+  expect(screen.getByText('Everyone is queueing solo.')).toBeInTheDocument();
+});
+
+// A roster of 10 in three trios and a solo player: 3 + 3 + 3 + 1 cannot make two teams of 5
+const renderUnsplittableParties = async () => {
+  const roster = ['id,rating', ...Array.from({ length: 10 }, (_, i) => `Q${i + 1},0.5`)].join('\n');
+  render(<App />);
+  userEvent.upload(screen.getByLabelText('Import Players from CSV'), new File([roster], 'roster.csv', { type: 'text/csv' }));
+  userEvent.click(await screen.findByLabelText(/replace the current roster/i));
+  userEvent.click(screen.getByText('Import'));
+  ['Q1, Q2, Q3', 'Q4, Q5, Q6', 'Q7, Q8, Q9'].forEach(members => {
+    userEvent.clear(screen.getByLabelText(/party members/i));
+    userEvent.type(screen.getByLabelText(/party members/i), members);
+    userEvent.click(screen.getByText('Create Party'));
+  });
+  userEvent.click(screen.getByText('Map Database'));
+  userEvent.click(screen.getByText('Generate Hours'));
+  userEvent.click(screen.getByText('Match Simulator'));
+};
+
+test('explains why no lobby can be picked when the parties cannot be split into two teams of 5', async () => {
+  await renderUnsplittableParties();
+  userEvent.click(screen.getByText('Pick 10 Players with Similar ELO'));
+
+  expect(screen.getByText(/the parties cannot be split into two teams of 5/i)).toBeInTheDocument();
+  expect(screen.getByText('Pick 10 Players with Similar ELO')).toBeInTheDocument();
+});
+
+test('explains why a batch stops early when the parties cannot be split into two teams of 5', async () => {
+  await renderUnsplittableParties();
+  userEvent.click(screen.getByText('Run Batch'));
+
+  expect(screen.getByText(/0 \/ 500 matches played \(stopped early\)/)).toBeInTheDocument();
+  expect(screen.getByText(/the parties cannot be split into two teams of 5/i)).toBeInTheDocument();
+});
+
+test('an invalid anomaly threshold goes back to the last valid value and takes its error along on blur', () => {
+  render(<App />);
+  const lowRating = screen.getByLabelText(/^low rating:/i);
+  userEvent.clear(lowRating);
+  userEvent.type(lowRating, '2');
+  expect(screen.getByText('lowRating must be between 0 and 1')).toBeInTheDocument();
+
+  userEvent.tab();
+  expect(lowRating).toHaveValue(0.4);
+  expect(screen.queryByText('lowRating must be between 0 and 1')).not.toBeInTheDocument();
+});
+
+test('turning a rating system off also turns off its context factors', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Match Simulator'));
+  userEvent.click(screen.getByText('Rating Settings'));
+  const [glickoContext] = screen.getAllByLabelText('with context factors');
+  userEvent.click(glickoContext);
+  expect(glickoContext).toBeChecked();
+
+  userEvent.click(screen.getByLabelText('Glicko-2'));
+  expect(glickoContext).not.toBeChecked();
+  userEvent.click(screen.getByLabelText('Glicko-2'));
+  expect(glickoContext).not.toBeChecked();
+  expect(glickoContext).toBeEnabled();
+});
+
+test('an invalid rating setting goes back to the last valid value and takes its error along on blur', () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Match Simulator'));
+  userEvent.click(screen.getByText('Rating Settings'));
+  const kFactor = screen.getByLabelText(/^k-factor:/i);
+  userEvent.clear(kFactor);
+  userEvent.type(kFactor, '-1');
+  expect(screen.getByText('kFactor must not be negative')).toBeInTheDocument();
+
+  userEvent.tab();
+  expect(kFactor).toHaveValue(0.1);
+  expect(screen.queryByText('kFactor must not be negative')).not.toBeInTheDocument();
+});
+
+test('reports a snapshot file that cannot be read', async () => {
+  const readAsText = jest.spyOn(FileReader.prototype, 'readAsText').mockImplementation(function fail() {
+    this.onerror();
+  });
+  render(<App />);
+  userEvent.upload(screen.getByLabelText(/import snapshot/i), new File(['{}'], 'broken.json', { type: 'application/json' }));
+
+  expect(await screen.findByText('broken.json could not be read: unknown error')).toBeInTheDocument();
+  readAsText.mockRestore();
+});
+
+test('keeps the simulator locked until map hours cover the whole roster', async () => {
+  render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  userEvent.click(screen.getByText('Map Database'));
+  userEvent.upload(
+    screen.getByLabelText('Import Map Hours from CSV'),
+    new File(['id,Map A,Map B,Map C\nP001,10,5,0\n'], 'hours.csv', { type: 'text/csv' })
+  );
+  userEvent.click(await screen.findByText('Import'));
+
+  expect(screen.getByText('Imported map hours for 1 players. 49 players still have no hours.')).toBeInTheDocument();
+  userEvent.click(screen.getByText('Match Simulator'));
+  expect(screen.getByText(/generate map familiarity data first/i)).toBeInTheDocument();
+});
+
+test('refuses to apply the same match log twice', async () => {
+  const log = [{ id: 'M0001', map: 'A', winner: 'A', teamA: [{ id: 'p1', kills: 5, deaths: 2 }], teamB: [{ id: 'p2', kills: 2, deaths: 5 }] }];
+  render(<App />);
+  userEvent.click(screen.getByText('Match Log Replay'));
+  userEvent.upload(screen.getByLabelText('Match log file'), new File([JSON.stringify(log)], 'log.json', { type: 'application/json' }));
+  userEvent.click(await screen.findByText('Replay Matches'));
+  userEvent.click(screen.getByText('Apply Ratings to Roster and Match History'));
+  expect(screen.getByText('Applied to Session')).toBeInTheDocument();
+
+  userEvent.click(screen.getByText('Replay Matches'));
+  expect(screen.getByText('match M0001 is already in the match history')).toBeInTheDocument();
+});
+
+test('restores the roster after a reload', () => {
+  const { unmount } = render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  const firstRow = screen.getByRole('row', { name: /^P001 / }).textContent;
+  unmount();
+
+  render(<App />);
+  expect(screen.getByRole('row', { name: /^P001 / })).toHaveTextContent(firstRow);
+});
+
+test('warns that ratings were not recalculated when a saved session has its AFK values migrated', () => {
+  const { unmount } = render(<App />);
+  userEvent.click(screen.getByText('Generate Players'));
+  userEvent.click(screen.getByText('Map Database'));
+  userEvent.click(screen.getByText('Generate Hours'));
+  userEvent.click(screen.getByText('Match Simulator'));
+  const countInput = screen.getByLabelText(/matches to play/i);
+  userEvent.clear(countInput);
+  userEvent.type(countInput, '1');
+  userEvent.click(screen.getByText('Run Batch'));
+  unmount();
+
+  // Save it back as version 2, with Team A's AFK values the old way round
+  const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  const [match] = saved.matchHistory;
+  match.teamA = match.teamA.map((player, i) => ({ ...player, afkValue: i === 0 ? 0 : 0.2 }));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...saved, version: 2 }));
 
-test('renders learn react link', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/ratings and rating histories were not recalculated/i)).toBeInTheDocument();
+  userEvent.click(screen.getByText('Dismiss'));
+  expect(screen.queryByText(/ratings and rating histories were not recalculated/i)).not.toBeInTheDocument();
 });
@@ -0,0 +1,210 @@
+import React, { useEffect, useRef, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatMatchId, playMatch, summarizeRatings } from "./batch";
+import { applyDecay } from "./decay";
+import EvaluationPanel from "./EvaluationPanel";
+import { describeFailedPick } from "./simulation";
+import { TEAM_STRATEGIES } from "./teamBalance";
+
+// Matches played per tick, so the progress bar and cancel button stay responsive
+const CHUNK_SIZE = 25;
+
+// Plays a batch of matches over simulated days, starting on `calendarDay`; players who sit out
+// long enough decay between days (see decay.js)
+function BatchSimulator({ players, rng, matchCount, firstMatchNumber, calendarDay, settings, mapPool, onComplete }) {
+  const [matchesToRun, setMatchesToRun] = useState(500);
+  const [matchesPerDay, setMatchesPerDay] = useState(10);
+  const [mapSelection, setMapSelection] = useState("veto");
+  const [teamStrategy, setTeamStrategy] = useState("exhaustive");
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ played: 0, total: 0 });
+  const [stopReason, setStopReason] = useState(null); // Why the batch ended before `total`, when no lobby could be picked
+  const [snapshots, setSnapshots] = useState([]);
+  const [chartPlayerId, setChartPlayerId] = useState("");
+  const cancelRef = useRef(false);
+  const timerRef = useRef(null);
+
+  // Stop scheduling chunks if the panel goes away mid-run
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const handleRun = () => {
+    const total = Math.max(1, parseInt(matchesToRun, 10) || 0);
+    const perDay = Math.max(1, parseInt(matchesPerDay, 10) || 0);
+    cancelRef.current = false;
+    setRunning(true);
+    setProgress({ played: 0, total });
+    setStopReason(null);
+
+    const runChunk = (state) => {
+      let { roster, played, history, matches, day } = state;
+      const chunkEnd = Math.min(total, played + CHUNK_SIZE);
+
+      while (!cancelRef.current && played < chunkEnd) {
+        const matchDay = calendarDay + Math.floor(played / perDay);
+        roster = applyDecay(roster, day, matchDay, settings);
+        day = matchDay;
+        const outcome = playMatch(roster, {
+          rng,
+          matchId: formatMatchId(firstMatchNumber + played),
+          settings,
+          mapPool,
+          mapSelection,
+          teamStrategy,
+          day,
+        });
+        if (!outcome) {
+          setStopReason(describeFailedPick(roster));
+          break;
+        }
+        roster = outcome.players;
+        matches.push(outcome.match);
+        played++;
+        history.push(summarizeRatings(roster, matchCount + played));
+      }
+
+      setProgress({ played, total });
+
+      if (cancelRef.current || played >= total || played < chunkEnd) {
+        setSnapshots(history);
+        setRunning(false);
+        // The calendar moves on to the day after the batch's last match day
+        const endDay = calendarDay + Math.ceil(played / perDay);
+        onComplete(applyDecay(roster, day, endDay, settings), matches, endDay);
+        return;
+      }
+      timerRef.current = setTimeout(() => runChunk({ roster, played, history, matches, day }), 0);
+    };
+
+    runChunk({
+      roster: players, played: 0, history: [summarizeRatings(players, matchCount)], matches: [], day: calendarDay,
+    });
+  };
+
+  const handleCancel = () => {
+    cancelRef.current = true;
+  };
+
+  const playersWithHistory = players.filter(p => p.history.length > 0);
+  const chartPlayer = players.find(p => p.id === chartPlayerId);
+  const playerChartData = chartPlayer
+    ? chartPlayer.history.map(entry => ({
+        matchId: entry.matchId,
+        traditionalElo: entry.tradAfter,
+        contextElo: entry.contextAfter,
+      }))
+    : [];
+
+  return (
+    <div style={{ marginTop: "40px" }}>
+      <h2>Batch Simulation</h2>
+
+      <div>
+        <label>
+          Matches to play:{" "}
+          <input
+            type="number"
+            min="1"
+            value={matchesToRun}
+            disabled={running}
+            onChange={(e) => setMatchesToRun(e.target.value)}
+            style={{ width: "80px" }}
+          />
+        </label>
+        <label style={{ marginLeft: "10px" }}>
+          Matches per day:{" "}
+          <input
+            type="number"
+            min="1"
+            value={matchesPerDay}
+            disabled={running}
+            onChange={(e) => setMatchesPerDay(e.target.value)}
+            style={{ width: "60px" }}
+          />
+        </label>
+        <label style={{ marginLeft: "10px" }}>
+          Teams:{" "}
+          <select value={teamStrategy} onChange={(e) => setTeamStrategy(e.target.value)} disabled={running}>
+            {TEAM_STRATEGIES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label style={{ marginLeft: "10px" }}>
+          Map selection:{" "}
+          <select value={mapSelection} onChange={(e) => setMapSelection(e.target.value)} disabled={running}>
+            <option value="veto">Veto by familiarity</option>
+            <option value="random">Random by weight</option>
+          </select>
+        </label>
+        {running ? (
+          <button style={{ marginLeft: "10px" }} onClick={handleCancel}>Cancel</button>
+        ) : (
+          <button style={{ marginLeft: "10px" }} onClick={handleRun}>Run Batch</button>
+        )}
+      </div>
+
+      {progress.total > 0 && (
+        <div style={{ margin: "20px auto", width: "60%" }}>
+          <progress value={progress.played} max={progress.total} style={{ width: "100%" }} />
+          <p>
+            {progress.played} / {progress.total} matches played
+            {!running && progress.played < progress.total && " (stopped early)"}
+          </p>
+          {!running && stopReason && <div style={{ color: "red" }}>{stopReason}</div>}
+        </div>
+      )}
+
+      {!running && snapshots.length > 1 && (
+        <div>
+          <h3>Population Ratings Over Time</h3>
+          <div style={{ height: "400px", width: "80%", margin: "20px auto" }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={snapshots} margin={{ top: 20, right: 30, left: 20, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="match" />
+                <YAxis domain={[0, 1]} />
+                <Tooltip />
+                <Legend />
+                <Line type="monotone" dataKey="tradMean" name="Traditional Mean" stroke="#FF0000" dot={false} />
+                <Line type="monotone" dataKey="contextMean" name="Context-Aware Mean" stroke="#00AA00" dot={false} />
+                <Line type="monotone" dataKey="tradSpread" name="Traditional Std Dev" stroke="#FF8888" strokeDasharray="5 5" dot={false} />
+                <Line type="monotone" dataKey="contextSpread" name="Context-Aware Std Dev" stroke="#66CC66" strokeDasharray="5 5" dot={false} />
+                <Line type="monotone" dataKey="meanGap" name="Mean |Trad - Context|" stroke="#2196F3" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      {!running && <EvaluationPanel players={players} snapshots={snapshots} />}
+
+      {!running && playersWithHistory.length > 0 && (
+        <div>
+          <h3>Player Rating Over Time</h3>
+          <select value={chartPlayerId} onChange={(e) => setChartPlayerId(e.target.value)}>
+            <option value="">Select a player</option>
+            {playersWithHistory.map(p => (
+              <option key={p.id} value={p.id}>{p.id} ({p.history.length} matches)</option>
+            ))}
+          </select>
+
+          {chartPlayer && (
+            <div style={{ height: "400px", width: "80%", margin: "20px auto" }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={playerChartData} margin={{ top: 20, right: 30, left: 20, bottom: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="matchId" />
+                  <YAxis domain={[0, 1]} />
+                  <Tooltip />
+                  <Legend />
+                  <Line type="monotone" dataKey="traditionalElo" name="Traditional Elo" stroke="#FF0000" dot={false} />
+                  <Line type="monotone" dataKey="contextElo" name="Context-Aware Elo" stroke="#00AA00" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BatchSimulator;
@@ -0,0 +1,39 @@
+import React, { useState } from "react";
+import { serializeChartSvg, svgToPngBlob } from "./chartExport";
+import { downloadFile } from "./download";
+
+// Save the chart inside `chartRef` as SVG or PNG
+function ChartExportButtons({ chartRef, filename }) {
+  const [error, setError] = useState(null);
+
+  const exportChart = () => {
+    const chart = serializeChartSvg(chartRef.current);
+    setError(chart ? null : "Nothing to export: the chart has not been drawn yet.");
+    return chart;
+  };
+
+  const handleSaveSvg = () => {
+    const chart = exportChart();
+    if (chart) downloadFile(`${filename}.svg`, chart.svg, "image/svg+xml");
+  };
+
+  const handleSavePng = async () => {
+    const chart = exportChart();
+    if (!chart) return;
+    try {
+      downloadFile(`${filename}.png`, await svgToPngBlob(chart.svg, chart.width, chart.height));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+      <button onClick={handleSavePng}>Save Chart as PNG</button>
+      <button style={{ marginLeft: "10px" }} onClick={handleSaveSvg}>Save Chart as SVG</button>
+      {error && <div style={{ marginTop: "5px", color: "red" }}>{error}</div>}
+    </div>
+  );
+}
+
+export default ChartExportButtons;
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import { parseCsvLines } from "./csv";
+import { describeReadError, readFileAsText } from "./download";
+import { guessColumnMapping, unmappedFields } from "./rosterImport";
+
+// Most row errors listed at once; the rest are summarised
+const MAX_ERRORS_SHOWN = 20;
+
+// Loads a CSV file, lets the user map its columns to `fields`, then hands the rows to onImport.
+// onImport(rows, mapping, options) returns { errors, message }; options.lines holds each row's file line.
+function CsvImportPanel({ title, fields, onImport, allowReplace = false }) {
+  const [file, setFile] = useState(null); // { name, headers, rows, lines }
+  const [mapping, setMapping] = useState({});
+  const [replace, setReplace] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState("");
+
+  const handleFileChange = async (event) => {
+    const picked = event.target.files[0];
+    event.target.value = "";
+    if (!picked) return;
+
+    let text;
+    try {
+      text = await readFileAsText(picked);
+    } catch (error) {
+      setFile(null);
+      setErrors([{ row: null, message: describeReadError(picked, error) }]);
+      setMessage("");
+      return;
+    }
+    const { rows: [headers = [], ...rows], lines: [, ...lines] } = parseCsvLines(text);
+    setFile({ name: picked.name, headers, rows, lines });
+    setMapping(guessColumnMapping(headers, fields));
+    setErrors([]);
+    setMessage("");
+  };
+
+  const handleImport = () => {
+    const result = onImport(file.rows, mapping, { replace, lines: file.lines });
+    setErrors(result.errors);
+    setMessage(result.message || "");
+    if (result.errors.length === 0) setFile(null);
+  };
+
+  const missing = file ? unmappedFields(mapping, fields) : [];
+
+  return (
+    <div style={{ margin: "20px auto", padding: "10px", width: "80%", backgroundColor: "#f0f0f0", borderRadius: "5px" }}>
+      <h3>{title}</h3>
+      <input type="file" accept=".csv,text/csv" aria-label={title} onChange={handleFileChange} />
+
+      {file && (
+        <div style={{ marginTop: "10px" }}>
+          <p>{file.name}: {file.rows.length} data rows</p>
+          {fields.map(field => (
+            <label key={field.key} style={{ marginRight: "15px" }}>
+              {field.label}:{" "}
+              <select
+                value={mapping[field.key] ?? ""}
+                onChange={(e) => setMapping({
+                  ...mapping,
+                  [field.key]: e.target.value === "" ? null : parseInt(e.target.value, 10),
+                })}
+              >
+                <option value="">(not mapped)</option>
+                {file.headers.map((header, index) => (
+                  <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {allowReplace && (
+            <label style={{ display: "block", marginTop: "10px" }}>
+              <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} />
+              {" "}Replace the current roster (clears match history)
+            </label>
+          )}
+          <button style={{ marginTop: "10px" }} disabled={missing.length > 0} onClick={handleImport}>
+            Import
+          </button>
+          {missing.length > 0 && (
+            <span style={{ marginLeft: "10px", color: "red" }}>
+              Map a column for: {missing.map(field => field.label).join(", ")}
+            </span>
+          )}
+        </div>
+      )}
+
+      {message && <p>{message}</p>}
+      {errors.length > 0 && (
+        <div style={{ marginTop: "10px", color: "red", textAlign: "left", display: "inline-block" }}>
+          Nothing was imported:
+          <ul>
+            {errors.slice(0, MAX_ERRORS_SHOWN).map(error => (
+              <li key={`${error.row}-${error.message}`}>{error.row !== null && `Line ${error.row}: `}{error.message}</li>
+            ))}
+          </ul>
+          {errors.length > MAX_ERRORS_SHOWN && <p>...and {errors.length - MAX_ERRORS_SHOWN} more</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CsvImportPanel;
@@ -0,0 +1,64 @@
+import React from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { matchesToConverge, measureRatingAccuracy } from "./evaluation";
+
+const formatMetric = (value) => (value === null ? "-" : value.toFixed(3));
+
+// Compares how well traditional and context-aware ratings recover the hidden true skill
+function EvaluationPanel({ players, snapshots }) {
+  const accuracy = measureRatingAccuracy(players);
+  if (accuracy.tradSpearman === null) return null;
+
+  const rows = [
+    { name: "Traditional Elo", prefix: "trad" },
+    { name: "Context-Aware Elo", prefix: "context" },
+  ];
+
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <h3>Rating Accuracy vs True Skill</h3>
+      <table border="1" style={{ width: "60%", marginLeft: "auto", marginRight: "auto" }}>
+        <thead>
+          <tr>
+            <th>System</th>
+            <th>Rank Correlation</th>
+            <th>Mean Abs. Error</th>
+            <th>Matches to Converge (Correlation)</th>
+            <th>Matches to Converge (MAE)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ name, prefix }) => (
+            <tr key={prefix}>
+              <td>{name}</td>
+              <td>{formatMetric(accuracy[`${prefix}Spearman`])}</td>
+              <td>{formatMetric(accuracy[`${prefix}Mae`])}</td>
+              <td>{matchesToConverge(snapshots, `${prefix}Spearman`) ?? "-"}</td>
+              <td>{matchesToConverge(snapshots, `${prefix}Mae`) ?? "-"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {snapshots.length > 1 && (
+        <div style={{ height: "400px", width: "80%", margin: "20px auto" }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={snapshots} margin={{ top: 20, right: 30, left: 20, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="match" />
+              <YAxis domain={[-1, 1]} />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="tradSpearman" name="Traditional Rank Correlation" stroke="#FF0000" dot={false} />
+              <Line type="monotone" dataKey="contextSpearman" name="Context-Aware Rank Correlation" stroke="#00AA00" dot={false} />
+              <Line type="monotone" dataKey="tradMae" name="Traditional MAE" stroke="#FF8888" strokeDasharray="5 5" dot={false} />
+              <Line type="monotone" dataKey="contextMae" name="Context-Aware MAE" stroke="#66CC66" strokeDasharray="5 5" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EvaluationPanel;
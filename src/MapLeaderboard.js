@@ -0,0 +1,56 @@
+import React, { useState } from "react";
+import { mapLeaderboard } from "./ratingEngine";
+
+const formatDifference = (difference) => `${difference >= 0 ? "+" : ""}${(difference * 1000).toFixed(1)}`;
+
+// Per-map leaderboard: everyone who has played the chosen map, ranked by their rating on it,
+// next to their global context-aware rating
+function MapLeaderboard({ players, mapPool }) {
+  const [mapId, setMapId] = useState(mapPool[0]?.id ?? "");
+  const map = mapPool.find(m => m.id === mapId) ?? mapPool[0];
+  const rows = map ? mapLeaderboard(players, map.id) : [];
+
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <h3>Per-Map Leaderboard</h3>
+      <label>
+        Map:{" "}
+        <select value={map?.id ?? ""} onChange={(e) => setMapId(e.target.value)}>
+          {mapPool.map(m => (
+            <option key={m.id} value={m.id}>{m.name}{m.retired ? " (retired)" : ""}</option>
+          ))}
+        </select>
+      </label>
+      {rows.length === 0 ? (
+        <p>Nobody has played {map?.name ?? "this map"} yet.</p>
+      ) : (
+        <table border="1" style={{ marginTop: "10px", width: "60%", marginLeft: "auto", marginRight: "auto" }}>
+          <thead>
+            <tr>
+              <th>Rank</th>
+              <th>Player</th>
+              <th>Rating on {map.name}</th>
+              <th>Matches on {map.name}</th>
+              <th>Global Rating</th>
+              <th>Map vs Global</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => (
+              <tr key={row.id}>
+                <td>{i + 1}</td>
+                <td>{row.id}</td>
+                <td>{row.rating.toFixed(3)}</td>
+                <td>{row.matches}</td>
+                <td>{row.globalRating.toFixed(3)}</td>
+                <td>{formatDifference(row.rating - row.globalRating)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default MapLeaderboard;
@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { addMap, selectionShares, updateMap, validateMapPool } from "./mapPool";
+
+// Adds, renames, weights and retires the maps matches are played on
+function MapPoolPanel({ mapPool, onChange }) {
+  const [drafts, setDrafts] = useState({}); // Raw text of cells being edited, keyed "<mapId>:<field>"
+  const [errors, setErrors] = useState([]);
+  const [newName, setNewName] = useState("");
+  const [newWeight, setNewWeight] = useState("1");
+
+  // Apply a changed pool only when it is valid, otherwise keep showing why not
+  const tryChange = (candidate) => {
+    const problems = validateMapPool(candidate);
+    setErrors(problems);
+    if (problems.length === 0) onChange(candidate);
+    return problems.length === 0;
+  };
+
+  const handleEdit = (id, field, text) => {
+    setDrafts({ ...drafts, [`${id}:${field}`]: text });
+    tryChange(updateMap(mapPool, id, { [field]: field === "weight" ? parseFloat(text) : text.trim() }));
+  };
+
+  // Leaving a cell drops its draft, so it shows the last valid value again and its errors go with it
+  const handleBlur = (id, field) => {
+    setDrafts({ ...drafts, [`${id}:${field}`]: undefined });
+    setErrors([]);
+  };
+
+  const handleAdd = () => {
+    if (tryChange(addMap(mapPool, newName, parseFloat(newWeight)))) {
+      setNewName("");
+      setNewWeight("1");
+    }
+  };
+
+  const shares = selectionShares(mapPool);
+
+  return (
+    <div style={{ margin: "20px auto", padding: "10px", width: "80%", backgroundColor: "#f0f0f0", borderRadius: "5px" }}>
+      <h3>Map Pool</h3>
+      <table border="1" style={{ width: "90%", marginLeft: "auto", marginRight: "auto" }}>
+        <thead>
+          <tr>
+            <th>Map</th>
+            <th>Name</th>
+            <th>Selection Weight</th>
+            <th>Share of Matches</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {mapPool.map(map => (
+            <tr key={map.id} style={{ color: map.retired ? "#888" : "inherit" }}>
+              <td>{map.id}</td>
+              <td>
+                <input
+                  aria-label={`Name of map ${map.id}`}
+                  value={drafts[`${map.id}:name`] ?? map.name}
+                  onChange={(e) => handleEdit(map.id, "name", e.target.value)}
+                  onBlur={() => handleBlur(map.id, "name")}
+                />
+              </td>
+              <td>
+                <input
+                  aria-label={`Weight of map ${map.id}`}
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={drafts[`${map.id}:weight`] ?? map.weight}
+                  onChange={(e) => handleEdit(map.id, "weight", e.target.value)}
+                  onBlur={() => handleBlur(map.id, "weight")}
+                  style={{ width: "70px" }}
+                />
+              </td>
+              <td>{map.retired ? "-" : `${(shares[map.id] * 100).toFixed(1)}%`}</td>
+              <td>
+                {map.retired ? "Retired " : "In rotation "}
+                <button onClick={() => tryChange(updateMap(mapPool, map.id, { retired: !map.retired }))}>
+                  {map.retired ? "Restore" : "Retire"}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: "10px" }}>
+        <input placeholder="New map name" value={newName} onChange={(e) => setNewName(e.target.value)} />
+        <label style={{ marginLeft: "10px" }}>
+          Weight:{" "}
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={newWeight}
+            onChange={(e) => setNewWeight(e.target.value)}
+            style={{ width: "70px" }}
+          />
+        </label>
+        <button style={{ marginLeft: "10px" }} onClick={handleAdd}>Add Map</button>
+      </div>
+
+      {errors.length > 0 && (
+        <div style={{ marginTop: "10px", color: "red" }}>
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MapPoolPanel;
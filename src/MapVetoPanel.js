@@ -0,0 +1,72 @@
+import React from "react";
+import { mapName } from "./mapPool";
+import {
+  applyVetoChoice,
+  completeVeto,
+  describeVetoStep,
+  startVeto,
+  teamFamiliarity,
+  vetoMaps,
+  vetoTurn,
+} from "./mapVeto";
+
+// Pick/ban stage between team formation and the match: click through it or let the familiarity rules decide
+function MapVetoPanel({ veto, teamA, teamB, mapPool, onChange, onRandom }) {
+  const turn = vetoTurn(veto);
+  const stepFor = (mapId) => veto.steps.find(step => step.map === mapId);
+  const mapIds = vetoMaps(mapPool).map(map => map.id);
+
+  const statusOf = (mapId) => {
+    const step = stepFor(mapId);
+    if (step) return describeVetoStep(step, mapPool);
+    if (!turn) return "Not played";
+    return "Available";
+  };
+
+  return (
+    <div style={{ marginTop: "20px", padding: "10px", backgroundColor: "#f0f0f0", borderRadius: "5px" }}>
+      <h3>Map Veto</h3>
+      <p>
+        {turn
+          ? `${turn.team} to ${turn.action}`
+          : `Map: ${mapName(mapPool, veto.map)}`}
+      </p>
+      <table border="1" style={{ width: "80%", marginLeft: "auto", marginRight: "auto" }}>
+        <thead>
+          <tr>
+            <th>Map</th>
+            <th>Team A Familiarity</th>
+            <th>Team B Familiarity</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {mapIds.map(mapId => (
+            <tr key={mapId}>
+              <td>{mapName(mapPool, mapId)}</td>
+              <td>{teamFamiliarity(teamA, mapId).toFixed(2)}</td>
+              <td>{teamFamiliarity(teamB, mapId).toFixed(2)}</td>
+              <td>
+                {turn && veto.remaining.includes(mapId) ? (
+                  <button onClick={() => onChange(applyVetoChoice(veto, mapId))}>
+                    {turn.action === "ban" ? "Ban" : "Pick"}
+                  </button>
+                ) : statusOf(mapId)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: "10px" }}>
+        <button disabled={!turn} onClick={() => onChange(completeVeto(veto, teamA, teamB))}>
+          Auto Veto by Familiarity
+        </button>
+        <button style={{ marginLeft: "10px" }} onClick={onRandom}>Random Map by Weight</button>
+        <button style={{ marginLeft: "10px" }} onClick={() => onChange(startVeto(mapPool))}>Restart Veto</button>
+      </div>
+    </div>
+  );
+}
+
+export default MapVetoPanel;
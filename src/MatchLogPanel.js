@@ -0,0 +1,199 @@
+import React, { useState } from "react";
+import { describeReadError, readFileAsText } from "./download";
+import { mapName } from "./mapPool";
+import { duplicateMatchIds, toAuditRows } from "./matchHistory";
+import { MATCH_LOG_CSV_COLUMNS, parseMatchLog } from "./matchLogImport";
+import { isProvisional } from "./ratingEngine";
+import { replayMatchLog } from "./replay";
+
+// Audit rows rendered on screen; larger logs are summarised
+const MAX_AUDIT_ROWS = 200;
+
+const formatChange = (before, after) => `${before.toFixed(3)} → ${after.toFixed(3)}`;
+
+// Imports real match logs and replays them through both rating systems
+function MatchLogPanel({ players, matchHistory, calendarDay, settings, mapPool, onApply }) {
+  const [fileName, setFileName] = useState("");
+  const [matchLog, setMatchLog] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [startingRating, setStartingRating] = useState(0.5);
+  const [replay, setReplay] = useState(null);
+  const [applied, setApplied] = useState(false);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setFileName(file.name);
+    setReplay(null);
+    setApplied(false);
+    let text;
+    try {
+      text = await readFileAsText(file);
+    } catch (error) {
+      setMatchLog([]);
+      setErrors([describeReadError(file, error)]);
+      return;
+    }
+    const { matches, errors: parseErrors } = parseMatchLog(file.name, text);
+    setMatchLog(matches);
+    setErrors(parseErrors);
+  };
+
+  // Matches already in the session's history, reported instead of being rated a second time
+  const findDuplicates = (matches) => {
+    const duplicates = duplicateMatchIds(matches, matchHistory);
+    setErrors(duplicates.map(id => `match ${id} is already in the match history`));
+    return duplicates.length > 0;
+  };
+
+  const handleReplay = () => {
+    if (findDuplicates(matchLog)) return;
+    setReplay(replayMatchLog(matchLog, players, { settings, mapPool, startingRating: parseFloat(startingRating), day: calendarDay }));
+    setApplied(false);
+  };
+
+  const handleApply = () => {
+    if (findDuplicates(replay.matches)) return;
+    onApply(replay);
+    setApplied(true);
+  };
+
+  const auditRows = replay ? toAuditRows(replay.matches) : [];
+  const replayedById = new Map((replay?.players ?? []).map(player => [player.id, player]));
+  const validStartingRating = startingRating !== "" &&
+    parseFloat(startingRating) >= settings.minRating && parseFloat(startingRating) <= settings.maxRating;
+
+  return (
+    <div>
+      <h2>Match Log Replay</h2>
+      <p>
+        Load a JSON array of matches, or a CSV with one row per player per match and the columns:{" "}
+        <code>{MATCH_LOG_CSV_COLUMNS.join(", ")}</code>
+      </p>
+      <input
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        aria-label="Match log file"
+        onChange={handleFileChange}
+      />
+
+      {errors.length > 0 && (
+        <div style={{ marginTop: "10px", color: "red", textAlign: "left", display: "inline-block" }}>
+          {fileName} could not be imported:
+          <ul>{errors.slice(0, 20).map(error => <li key={error}>{error}</li>)}</ul>
+          {errors.length > 20 && <p>...and {errors.length - 20} more</p>}
+        </div>
+      )}
+
+      {matchLog.length > 0 && (
+        <div style={{ marginTop: "10px" }}>
+          <p>{fileName}: {matchLog.length} matches ready to replay in chronological order.</p>
+          <label>
+            Starting rating for players not in the roster:{" "}
+            <input
+              type="number"
+              step="0.05"
+              value={startingRating}
+              onChange={(e) => setStartingRating(e.target.value)}
+              style={{ width: "80px" }}
+            />
+          </label>
+          <button style={{ marginLeft: "10px" }} disabled={!validStartingRating} onClick={handleReplay}>
+            Replay Matches
+          </button>
+        </div>
+      )}
+
+      {replay && (
+        <div style={{ marginTop: "20px" }}>
+          <button onClick={handleApply} disabled={applied}>
+            {applied ? "Applied to Session" : "Apply Ratings to Roster and Match History"}
+          </button>
+
+          <h3>Final Leaderboard</h3>
+          <table border="1" style={{ width: "80%", marginLeft: "auto", marginRight: "auto" }}>
+            <thead>
+              <tr>
+                <th>Player</th>
+                <th>Matches</th>
+                <th>Wins</th>
+                <th>Traditional Rank</th>
+                <th>Traditional Elo</th>
+                <th>Context-Aware Rank</th>
+                <th>Context-Aware Elo</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {replay.leaderboard.map(row => (
+                <tr key={row.id}>
+                  <td>{row.id}</td>
+                  <td>{row.matches}</td>
+                  <td>{row.wins}</td>
+                  <td>{row.tradRank}</td>
+                  <td>{row.tradElo.toFixed(3)}</td>
+                  <td>{row.contextRank}</td>
+                  <td>{row.contextElo.toFixed(3)}</td>
+                  <td>{isProvisional(replayedById.get(row.id), settings) ? "Provisional" : "Established"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Audit Trail</h3>
+          {auditRows.length > MAX_AUDIT_ROWS && (
+            <p>Showing the first {MAX_AUDIT_ROWS} of {auditRows.length} rows.</p>
+          )}
+          <table border="1" style={{ width: "95%", marginLeft: "auto", marginRight: "auto" }}>
+            <thead>
+              <tr>
+                <th>Match</th>
+                <th>Time</th>
+                <th>Map</th>
+                <th>Team</th>
+                <th>Result</th>
+                <th>Player</th>
+                <th>K/D</th>
+                <th>Network</th>
+                <th>AFK</th>
+                <th>Trad. P(Win)</th>
+                <th>Traditional</th>
+                <th>Context P(Win)</th>
+                <th>Context-Aware</th>
+                <th>Factors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {auditRows.slice(0, MAX_AUDIT_ROWS).map(row => (
+                <tr key={`${row.matchId}-${row.id}`}>
+                  <td>{row.matchId}</td>
+                  <td>{row.timestamp ? new Date(row.timestamp).toLocaleString() : "-"}</td>
+                  <td>{row.map ? mapName(mapPool, row.map) : "-"}</td>
+                  <td>{row.team}</td>
+                  <td>{row.won ? "W" : "L"}</td>
+                  <td>{row.id}</td>
+                  <td>{row.kills}/{row.deaths}</td>
+                  <td>{row.networkStability.toFixed(2)}</td>
+                  <td>{row.afkValue.toFixed(2)}</td>
+                  <td>{row.tradExpected.toFixed(3)}</td>
+                  <td>{formatChange(row.tradBefore, row.tradAfter)}</td>
+                  <td>{row.contextExpected.toFixed(3)}</td>
+                  <td>{formatChange(row.contextBefore, row.contextAfter)}</td>
+                  <td>
+                    L: {row.contextFactors.latency.toFixed(4)}<br />
+                    M: {row.contextFactors.map.toFixed(4)}<br />
+                    A: {row.contextFactors.afk.toFixed(4)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MatchLogPanel;
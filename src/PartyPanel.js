@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { createParty, disbandParty, groupParties, hasParties } from "./parties";
+
+// Premade parties: form them by hand from comma-separated player ids or at random, and disband them.
+// Party members always queue, get matched and play on the same team together.
+function PartyPanel({ players, onChange, onFormRandom }) {
+  const [memberIds, setMemberIds] = useState("");
+  const [errors, setErrors] = useState([]);
+  const parties = groupParties(players.filter(player => player.partyId));
+
+  const handleCreate = () => {
+    const ids = memberIds.split(",").map(id => id.trim()).filter(Boolean);
+    const created = createParty(players, ids);
+    setErrors(created.errors);
+    if (created.errors.length === 0) {
+      onChange(created.players);
+      setMemberIds("");
+    }
+  };
+
+  const handleClear = () => {
+    onChange(players.map(player => (player.partyId ? { ...player, partyId: null } : player)));
+  };
+
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <h3>Parties</h3>
+      <div>
+        <label>
+          Party members:{" "}
+          <input
+            type="text"
+            placeholder="P001, P002, P003"
+            value={memberIds}
+            onChange={(e) => setMemberIds(e.target.value)}
+          />
+        </label>
+        <button style={{ marginLeft: "10px" }} onClick={handleCreate}>Create Party</button>
+        <button style={{ marginLeft: "10px" }} disabled={players.length === 0} onClick={onFormRandom}>
+          Form Random Parties
+        </button>
+        <button style={{ marginLeft: "10px" }} disabled={!hasParties(players)} onClick={handleClear}>
+          Disband All Parties
+        </button>
+      </div>
+
+      {errors.length > 0 && (
+        <div style={{ marginTop: "10px", color: "red" }}>
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+
+      {parties.length === 0 ? (
+        <p>Everyone is queueing solo.</p>
+      ) : (
+        <table border="1" style={{ marginTop: "10px", width: "60%", marginLeft: "auto", marginRight: "auto" }}>
+          <thead>
+            <tr>
+              <th>Party</th>
+              <th>Members</th>
+              <th>Size</th>
+              <th>Average Elo</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {parties.map(members => (
+              <tr key={members[0].partyId}>
+                <td>{members[0].partyId}</td>
+                <td>{members.map(player => player.id).join(", ")}</td>
+                <td>{members.length}</td>
+                <td>
+                  {(members.reduce((sum, player) => sum + parseFloat(player.elo), 0) / members.length).toFixed(3)}
+                </td>
+                <td>
+                  <button onClick={() => onChange(disbandParty(players, members[0].partyId))}>Disband</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default PartyPanel;
@@ -0,0 +1,41 @@
+import React from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { placementSettling } from "./evaluation";
+import { isProvisional } from "./ratingEngine";
+
+// How quickly new players settle: rating change and error vs true skill by matches played,
+// with the end of the placement matches marked
+function PlacementPanel({ players, settings }) {
+  const provisional = players.filter(player => isProvisional(player, settings)).length;
+  const curve = placementSettling(players, Math.max(10, settings.placementMatches * 2));
+
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <h3>Placement</h3>
+      <p>
+        Provisional players: {provisional} / {players.length} (placement lasts {settings.placementMatches} matches,
+        K-factor {settings.placementKFactor} easing to {settings.kFactor})
+      </p>
+      {curve.length > 0 && (
+        <div style={{ height: "300px", width: "80%", margin: "20px auto" }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={curve} margin={{ top: 20, right: 30, left: 20, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="match" label={{ value: "Matches played", position: "insideBottom", offset: -5 }} />
+              <YAxis />
+              <Tooltip />
+              <Legend verticalAlign="top" />
+              {settings.placementMatches > 0 && (
+                <ReferenceLine x={settings.placementMatches} stroke="#888" strokeDasharray="4 4" />
+              )}
+              <Line type="monotone" dataKey="meanChange" name="Mean |rating change|" stroke="#FF8800" />
+              <Line type="monotone" dataKey="meanError" name="Mean |rating - true skill|" stroke="#00AA00" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PlacementPanel;
@@ -0,0 +1,97 @@
+import React from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { DEFAULT_MAP_POOL, mapName } from "./mapPool";
+import { scorePredictions } from "./prediction";
+
+// Number of most recent matches listed in the prediction log
+const LOG_LENGTH = 20;
+
+const formatScore = (value) => (value === null ? "-" : value.toFixed(4));
+
+// Reliability diagram rows: one point per probability bin with both systems side by side
+const prepareCalibrationData = (reports) =>
+  reports[0].calibration.map((bin, i) => {
+    const point = { bin: `${bin.lower.toFixed(1)}-${bin.upper.toFixed(1)}`, perfect: (bin.lower + bin.upper) / 2 };
+    reports.forEach(report => {
+      const { observedRate, count } = report.calibration[i];
+      point[`${report.key}Observed`] = observedRate === null ? null : parseFloat(observedRate.toFixed(3));
+      point[`${report.key}Count`] = count;
+    });
+    return point;
+  });
+
+// Scores each system's pre-match win probabilities against the actual match results
+function PredictionPanel({ matchHistory, mapPool = DEFAULT_MAP_POOL }) {
+  if (matchHistory.length === 0) return null;
+
+  const reports = scorePredictions(matchHistory);
+  const recentMatches = matchHistory.slice(-LOG_LENGTH).reverse();
+
+  return (
+    <div style={{ marginTop: "40px" }}>
+      <h2>Prediction Quality</h2>
+      <p>Scored over {matchHistory.length} matches. Lower is better for both scores.</p>
+
+      <table border="1" style={{ width: "50%", marginLeft: "auto", marginRight: "auto" }}>
+        <thead>
+          <tr>
+            <th>System</th>
+            <th>Brier Score</th>
+            <th>Log-Loss</th>
+          </tr>
+        </thead>
+        <tbody>
+          {reports.map(report => (
+            <tr key={report.key}>
+              <td>{report.name}</td>
+              <td>{formatScore(report.brier)}</td>
+              <td>{formatScore(report.logLoss)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Calibration</h3>
+      <div style={{ height: "400px", width: "80%", margin: "20px auto" }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={prepareCalibrationData(reports)} margin={{ top: 20, right: 30, left: 20, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="bin" label={{ value: "Predicted P(Team A wins)", position: "insideBottom", offset: -5 }} />
+            <YAxis domain={[0, 1]} />
+            <Tooltip />
+            <Legend verticalAlign="top" />
+            <Line type="linear" dataKey="perfect" name="Perfect Calibration" stroke="#999999" strokeDasharray="5 5" dot={false} />
+            <Line type="linear" dataKey="tradObserved" name="Traditional Observed Win Rate" stroke="#FF0000" connectNulls />
+            <Line type="linear" dataKey="contextObserved" name="Context-Aware Observed Win Rate" stroke="#00AA00" connectNulls />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <h3>Prediction Log (latest {recentMatches.length})</h3>
+      <table border="1" style={{ width: "60%", marginLeft: "auto", marginRight: "auto" }}>
+        <thead>
+          <tr>
+            <th>Match</th>
+            <th>Map</th>
+            <th>Traditional P(A)</th>
+            <th>Context-Aware P(A)</th>
+            <th>Winner</th>
+          </tr>
+        </thead>
+        <tbody>
+          {recentMatches.map(match => (
+            <tr key={match.id}>
+              <td>{match.id}</td>
+              <td>{match.map ? mapName(mapPool, match.map) : "-"}</td>
+              <td>{match.tradExpectedA.toFixed(3)}</td>
+              <td>{match.contextExpectedA.toFixed(3)}</td>
+              <td>{match.winner}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default PredictionPanel;
@@ -0,0 +1,123 @@
+import React, { useEffect, useRef, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { applyDecay } from "./decay";
+import { DEFAULT_QUEUE_OPTIONS, LOBBY_SIZE, SECONDS_PER_DAY, queueStats, runQueue } from "./matchmaking";
+
+const QUEUE_FIELDS = [
+  { key: "baseSpread", label: "Starting Spread", step: 0.01 },
+  { key: "widenPerMinute", label: "Widening per Minute", step: 0.005 },
+  { key: "matchMinutes", label: "Match Length (min)", step: 5 },
+  { key: "cooldownMinutes", label: "Cooldown (min)", step: 1 },
+];
+
+const formatMinutes = (seconds) => (seconds === null ? "-" : `${(seconds / 60).toFixed(1)} min`);
+const formatNumber = (value, digits) => (value === null ? "-" : value.toFixed(digits));
+
+// Runs the matchmaking queue over simulated time, starting on `calendarDay`, and reports queue times and match quality
+function QueueSimulator({ players, rng, firstMatchNumber, calendarDay, settings, mapPool, onComplete }) {
+  const [minutes, setMinutes] = useState(120);
+  const [options, setOptions] = useState(DEFAULT_QUEUE_OPTIONS);
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const handleRun = () => {
+    const duration = Math.max(1, parseInt(minutes, 10) || 0);
+    setRunning(true);
+    // Let the "Running..." state render before the run blocks the main thread
+    timerRef.current = setTimeout(() => {
+      const run = runQueue(players, {
+        minutes: duration, rng, firstMatchNumber, settings, mapPool, options, day: calendarDay,
+      });
+      setReport({ ...queueStats(run, players.length, duration * 60), timeline: run.timeline });
+      setRunning(false);
+      const endDay = calendarDay + (duration * 60) / SECONDS_PER_DAY;
+      onComplete(applyDecay(run.players, calendarDay, endDay, settings), run.matches, endDay);
+    }, 0);
+  };
+
+  const handleOptionChange = (key, text) => {
+    const value = parseFloat(text);
+    if (Number.isFinite(value) && value >= 0) setOptions({ ...options, [key]: value });
+  };
+
+  return (
+    <div style={{ marginTop: "40px" }}>
+      <h2>Matchmaking Queue</h2>
+      <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: "15px" }}>
+        <label>
+          Simulated minutes:{" "}
+          <input
+            type="number"
+            min="1"
+            value={minutes}
+            onChange={(e) => setMinutes(e.target.value)}
+            style={{ width: "80px" }}
+          />
+        </label>
+        {QUEUE_FIELDS.map(({ key, label, step }) => (
+          <label key={key}>
+            {label}:{" "}
+            <input
+              type="number"
+              min="0"
+              step={step}
+              defaultValue={options[key]}
+              onChange={(e) => handleOptionChange(key, e.target.value)}
+              style={{ width: "70px" }}
+            />
+          </label>
+        ))}
+      </div>
+      <button
+        style={{ marginTop: "10px" }}
+        disabled={running || players.length < LOBBY_SIZE}
+        onClick={handleRun}
+      >
+        {running ? "Running..." : "Run Queue"}
+      </button>
+
+      {report && !running && (
+        <div style={{ marginTop: "20px" }}>
+          <table border="1" style={{ width: "60%", marginLeft: "auto", marginRight: "auto" }}>
+            <tbody>
+              <tr><td>Matches formed</td><td>{report.matchesFormed}</td></tr>
+              <tr><td>Players matched</td><td>{report.playersMatched} / {report.rosterSize}</td></tr>
+              <tr><td>Matches per player (min / max)</td><td>{report.minMatchesPerPlayer} / {report.maxMatchesPerPlayer}</td></tr>
+              <tr><td>Queue time (mean / median / 90th pct / max)</td><td>
+                {formatMinutes(report.meanWait)} / {formatMinutes(report.medianWait)} /{" "}
+                {formatMinutes(report.p90Wait)} / {formatMinutes(report.maxWait)}
+              </td></tr>
+              <tr><td>Lobby rating spread (mean / widest)</td><td>
+                {formatNumber(report.meanSpread, 3)} / {formatNumber(report.widestSpread, 3)}
+              </td></tr>
+              <tr><td>Mean |P(A wins) - 50%|</td><td>{formatNumber(report.meanImbalance, 3)}</td></tr>
+              <tr><td>Still queued at the end</td><td>
+                {report.stillWaiting} (longest {formatMinutes(report.longestCurrentWait)})
+              </td></tr>
+            </tbody>
+          </table>
+
+          <h3>Queue Over Time</h3>
+          <div style={{ height: "300px", width: "80%", margin: "20px auto" }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={report.timeline} margin={{ top: 20, right: 30, left: 20, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="minute" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                <Line type="monotone" dataKey="queued" name="Queued" stroke="#FF8800" dot={false} />
+                <Line type="monotone" dataKey="playing" name="In a Match" stroke="#2196F3" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QueueSimulator;
@@ -0,0 +1,73 @@
+import React from "react";
+import { findRatingSystem } from "./ratingSystems";
+
+const formatPercent = (probability) => `${(probability * 100).toFixed(1)}%`;
+const formatChange = (before, after) => {
+  const change = (after - before) * 1000;
+  return `${change >= 0 ? "+" : ""}${change.toFixed(1)}`;
+};
+
+// Every rating system side by side for the current match: pre-match predictions, then each player's
+// new rating and change, with the deviation (uncertainty) of the systems that track one
+function RatingSystemsTable({ eloResults }) {
+  const systems = Object.entries(eloResults.systems ?? {});
+  const systemPlayers = (key) => {
+    const result = eloResults.systems[key];
+    return new Map([...result.teamA, ...result.teamB].map(entry => [entry.id, entry]));
+  };
+  const byKey = new Map(systems.map(([key]) => [key, systemPlayers(key)]));
+  const tradById = new Map(
+    [...eloResults.traditional.teamA, ...eloResults.traditional.teamB].map(player => [player.id, player])
+  );
+  const rows = [
+    ...eloResults.contextAware.teamA.map(player => ({ team: "Team A", player })),
+    ...eloResults.contextAware.teamB.map(player => ({ team: "Team B", player })),
+  ];
+
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <h4>All Rating Systems</h4>
+      <table border="1" style={{ width: "90%", marginLeft: "auto", marginRight: "auto" }}>
+        <thead>
+          <tr>
+            <th>Player</th>
+            <th>Team</th>
+            <th>Traditional Elo</th>
+            <th>Context-Aware Elo</th>
+            {systems.map(([key]) => <th key={key}>{findRatingSystem(key).label} (± deviation)</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td colSpan={2}>P(Team A wins)</td>
+            <td>{formatPercent(eloResults.expectedA)}</td>
+            <td>{formatPercent(eloResults.contextExpectedA)}</td>
+            {systems.map(([key, result]) => <td key={key}>{formatPercent(result.expectedA)}</td>)}
+          </tr>
+          {rows.map(({ team, player }) => (
+            <tr key={player.id}>
+              <td>{player.id}</td>
+              <td>{team}</td>
+              <td>
+                {player.tradElo.toFixed(3)} ({formatChange(parseFloat(tradById.get(player.id).lastElo), player.tradElo)})
+              </td>
+              <td>
+                {player.contextElo.toFixed(3)} ({formatChange(parseFloat(player.lastContextElo), player.contextElo)})
+              </td>
+              {systems.map(([key]) => {
+                const { before, after } = byKey.get(key).get(player.id);
+                return (
+                  <td key={key}>
+                    {after.rating.toFixed(3)} ± {after.deviation.toFixed(3)} ({formatChange(before.rating, after.rating)})
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default RatingSystemsTable;
@@ -0,0 +1,42 @@
+import React, { useState } from "react";
+
+// Round-by-round log of the simulated match: who won each round, the running score and every kill
+function RoundLogPanel({ rounds }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <button onClick={() => setOpen(!open)}>
+        {open ? "Hide Round Log" : `Show Round Log (${rounds.length} rounds)`}
+      </button>
+      {open && (
+        <table border="1" style={{ width: "90%", marginTop: "10px", marginLeft: "auto", marginRight: "auto" }}>
+          <thead>
+            <tr>
+              <th>Round</th>
+              <th>Winner</th>
+              <th>Score (A - B)</th>
+              <th>Kills</th>
+              <th>AFK</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rounds.map(round => (
+              <tr key={round.number}>
+                <td>{round.number}</td>
+                <td>{round.winner}</td>
+                <td>{round.score.teamA} - {round.score.teamB}</td>
+                <td style={{ textAlign: "left" }}>
+                  {round.kills.map(kill => `${kill.killer} killed ${kill.victim}`).join(", ")}
+                </td>
+                <td>{round.afk.length > 0 ? round.afk.join(", ") : "-"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default RoundLogPanel;
@@ -0,0 +1,224 @@
+import React, { useState } from "react";
+import { CONTRIBUTION_MODES, DECAY_MODES, DEFAULT_SETTINGS, MARGIN_MODES, validateSettings } from "./ratingEngine";
+import { RATING_SYSTEMS } from "./ratingSystems";
+
+const SETTING_FIELDS = [
+  { key: "kFactor", label: "K-Factor", step: 0.01 },
+  { key: "latencyWeight", label: "Latency Weight", step: 0.005 },
+  { key: "mapFamiliarityWeight", label: "Map Familiarity Weight", step: 0.0001 },
+  { key: "afkWeight", label: "AFK Weight", step: 0.01 },
+  { key: "afkCompensation", label: "AFK Compensation", step: 0.1 },
+  { key: "partyWeight", label: "Party Stack Weight", step: 0.1 },
+  { key: "expectedScale", label: "Expected-Score Scale", step: 1 },
+  { key: "minRating", label: "Minimum Rating", step: 0.1 },
+  { key: "maxRating", label: "Maximum Rating", step: 0.1 },
+  { key: "placementMatches", label: "Placement Matches", step: 1 },
+  { key: "placementKFactor", label: "Placement K-Factor", step: 0.05 },
+  { key: "marginWeight", label: "Margin Weight", step: 0.1 },
+  { key: "contributionWeight", label: "Contribution Weight", step: 0.1 },
+  { key: "killScoreWeight", label: "Score per Kill", step: 0.1 },
+  { key: "deathScoreWeight", label: "Score Lost per Death", step: 0.1 },
+  { key: "mapRatingWeight", label: "Map Rating Weight", step: 0.1 },
+  { key: "mapRatingMatches", label: "Matches to Trust a Map Rating", step: 1 },
+  { key: "decayGraceDays", label: "Decay Grace Days", step: 1 },
+  { key: "decayRate", label: "Decay per Day", step: 0.01 },
+];
+
+const MODE_FIELDS = [
+  { key: "marginMode", label: "Margin of Victory", modes: MARGIN_MODES },
+  { key: "contributionMode", label: "Individual Contribution", modes: CONTRIBUTION_MODES },
+  { key: "decayMode", label: "Inactivity Decay", modes: DECAY_MODES },
+];
+
+// Ratings calculated before margin, contribution, AFK compensation and party scaling existed lack those multipliers
+const formatFactors = (factors) =>
+  `L ${factors.latency.toFixed(4)} / M ${factors.map.toFixed(4)} / A ${factors.afk.toFixed(4)}` +
+  ` / x${(factors.margin ?? 1).toFixed(2)} margin / x${(factors.performance ?? 1).toFixed(2)} perf.` +
+  ` / x${(factors.compensation ?? 1).toFixed(2)} AFK comp. / x${(factors.party ?? 1).toFixed(2)} party`;
+
+// What-if rows: each player's context-aware result at calculation time vs. under the current settings
+const prepareDiffRows = (baselineResults, currentResults) => {
+  const current = new Map(
+    [...currentResults.contextAware.teamA, ...currentResults.contextAware.teamB].map(p => [p.id, p])
+  );
+  return [...baselineResults.contextAware.teamA, ...baselineResults.contextAware.teamB].map(before => {
+    const after = current.get(before.id);
+    return {
+      id: before.id,
+      beforeElo: before.contextElo,
+      afterElo: after.contextElo,
+      delta: after.contextElo - before.contextElo,
+      beforeFactors: before.contextFactors,
+      afterFactors: after.contextFactors,
+    };
+  });
+};
+
+// Edits the rating weights, K-factor, expected-score scale, bounds and update modes, with named presets
+function SettingsPanel({ settings, onChange, presets, onSavePreset, baselineResults, currentResults }) {
+  const [open, setOpen] = useState(false);
+  const [drafts, setDrafts] = useState({}); // Raw text of fields being edited
+  const [errors, setErrors] = useState([]);
+  const [presetName, setPresetName] = useState("");
+
+  const applyCandidate = (candidate) => {
+    const problems = validateSettings(candidate);
+    setErrors(problems);
+    if (problems.length === 0) onChange(candidate);
+  };
+
+  // Add or remove a rating system from one of the system lists (ratingSystems, contextSystems).
+  // A system that no longer runs cannot apply the context factors either.
+  const handleSystemToggle = (listKey, systemKey, checked) => {
+    const list = settings[listKey].filter(key => key !== systemKey);
+    const candidate = { ...settings, [listKey]: checked ? [...list, systemKey] : list };
+    if (listKey === "ratingSystems" && !checked) {
+      candidate.contextSystems = settings.contextSystems.filter(key => key !== systemKey);
+    }
+    applyCandidate(candidate);
+  };
+
+  const handleFieldChange = (key, text) => {
+    setDrafts({ ...drafts, [key]: text });
+    applyCandidate({ ...settings, [key]: parseFloat(text) });
+  };
+
+  // Leaving a field drops its draft, so it shows the last valid value again and its errors go with it
+  const handleFieldBlur = (key) => {
+    setDrafts({ ...drafts, [key]: undefined });
+    setErrors([]);
+  };
+
+  const handleLoadPreset = (name) => {
+    const preset = presets.find(p => p.name === name);
+    if (!preset) return;
+    setDrafts({});
+    setErrors([]);
+    onChange({ ...DEFAULT_SETTINGS, ...preset.settings }); // Presets saved before newer settings existed
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    onSavePreset(name, settings);
+    setPresetName("");
+  };
+
+  const diffRows = baselineResults && currentResults ? prepareDiffRows(baselineResults, currentResults) : [];
+
+  return (
+    <div style={{ margin: "20px" }}>
+      <button onClick={() => setOpen(!open)}>
+        {open ? "Hide Rating Settings" : "Rating Settings"}
+      </button>
+
+      {open && (
+        <div style={{ marginTop: "10px", padding: "10px", backgroundColor: "#f0f0f0", borderRadius: "5px" }}>
+          <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: "15px" }}>
+            {SETTING_FIELDS.map(({ key, label, step }) => (
+              <label key={key}>
+                {label}:{" "}
+                <input
+                  type="number"
+                  step={step}
+                  value={drafts[key] ?? settings[key]}
+                  onChange={(e) => handleFieldChange(key, e.target.value)}
+                  onBlur={() => handleFieldBlur(key)}
+                  style={{ width: "90px" }}
+                />
+              </label>
+            ))}
+          </div>
+
+          <div style={{ marginTop: "10px", display: "flex", flexWrap: "wrap", justifyContent: "center", gap: "15px" }}>
+            {MODE_FIELDS.map(({ key, label, modes }) => (
+              <label key={key}>
+                {label}:{" "}
+                <select value={settings[key]} onChange={(e) => applyCandidate({ ...settings, [key]: e.target.value })}>
+                  {modes.map(mode => <option key={mode.key} value={mode.key}>{mode.label}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div style={{ marginTop: "10px", display: "flex", flexWrap: "wrap", justifyContent: "center", gap: "15px" }}>
+            Also rate with:
+            {RATING_SYSTEMS.map(system => (
+              <span key={system.key}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={settings.ratingSystems.includes(system.key)}
+                    onChange={(e) => handleSystemToggle("ratingSystems", system.key, e.target.checked)}
+                  />
+                  {system.label}
+                </label>
+                <label style={{ marginLeft: "5px" }}>
+                  <input
+                    type="checkbox"
+                    disabled={!settings.ratingSystems.includes(system.key)}
+                    checked={settings.contextSystems.includes(system.key)}
+                    onChange={(e) => handleSystemToggle("contextSystems", system.key, e.target.checked)}
+                  />
+                  with context factors
+                </label>
+              </span>
+            ))}
+          </div>
+
+          {errors.length > 0 && (
+            <div style={{ marginTop: "10px", color: "red" }}>
+              {errors.map(error => <div key={error}>{error}</div>)}
+            </div>
+          )}
+
+          <div style={{ marginTop: "10px" }}>
+            <select value="" onChange={(e) => handleLoadPreset(e.target.value)}>
+              <option value="">Load preset...</option>
+              {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+            </select>
+            <input
+              placeholder="Preset name"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              style={{ marginLeft: "10px", width: "120px" }}
+            />
+            <button style={{ marginLeft: "5px" }} onClick={handleSavePreset}>Save Preset</button>
+          </div>
+
+          {diffRows.length > 0 && (
+            <div style={{ marginTop: "20px" }}>
+              <h4>What-If: Current Match Under These Settings</h4>
+              <table border="1" style={{ width: "90%", marginLeft: "auto", marginRight: "auto" }}>
+                <thead>
+                  <tr>
+                    <th>Player</th>
+                    <th>Context Elo (Calculated)</th>
+                    <th>Context Elo (Now)</th>
+                    <th>Difference</th>
+                    <th>Factors (Calculated)</th>
+                    <th>Factors (Now)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diffRows.map(row => (
+                    <tr key={row.id}>
+                      <td>{row.id}</td>
+                      <td>{row.beforeElo.toFixed(3)}</td>
+                      <td>{row.afterElo.toFixed(3)}</td>
+                      <td>{(row.delta * 1000).toFixed(1)}</td>
+                      <td>{formatFactors(row.beforeFactors)}</td>
+                      <td>{formatFactors(row.afterFactors)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SettingsPanel;
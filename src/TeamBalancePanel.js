@@ -0,0 +1,48 @@
+import React from "react";
+import { describeSplit } from "./teamBalance";
+
+const formatPercent = (probability) => `${(probability * 100).toFixed(1)}%`;
+
+// Compares the team splits of every balancing strategy, with predicted win chances, before the match starts
+function TeamBalancePanel({ options, selected, mapPool, settings, onSelect }) {
+  return (
+    <div style={{ marginTop: "20px", padding: "10px", backgroundColor: "#f0f0f0", borderRadius: "5px" }}>
+      <h3>Team Formation</h3>
+      <table border="1" style={{ width: "90%", marginLeft: "auto", marginRight: "auto" }}>
+        <thead>
+          <tr>
+            <th>Strategy</th>
+            <th>Rating Gap</th>
+            <th>Familiarity Gap</th>
+            <th>Premade Gap</th>
+            <th>Traditional P(A wins)</th>
+            <th>Context-Aware P(A wins)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {options.map(option => {
+            const split = describeSplit(option.teamA, option.teamB, mapPool, settings);
+            return (
+              <tr key={option.key} style={{ fontWeight: option.key === selected ? "bold" : "normal" }}>
+                <td>{option.label}</td>
+                <td>{split.ratingGap.toFixed(4)}</td>
+                <td>{split.familiarityGap.toFixed(2)}</td>
+                <td>{split.premadeGap}</td>
+                <td>{formatPercent(split.tradExpectedA)}</td>
+                <td>{formatPercent(split.contextExpectedA)}</td>
+                <td>
+                  {option.key === selected ? "In use" : (
+                    <button onClick={() => onSelect(option.key)}>Use</button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default TeamBalancePanel;
@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from "react";
+import { pickTunedSettings, tuneSettings } from "./tuning";
+
+// Fewer matches than this make the log-loss too noisy to tune against
+const MIN_MATCHES = 20;
+
+const formatValue = (value) => parseFloat(value.toPrecision(3)).toString();
+
+// Searches for the weights that best predict the recorded matches and offers to apply them
+function TuningPanel({ matchHistory, settings, onApply }) {
+  const [tuning, setTuning] = useState(false);
+  const [report, setReport] = useState(null);
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  if (matchHistory.length < MIN_MATCHES) return null;
+
+  const handleTune = () => {
+    setTuning(true);
+    // Let the "Tuning..." state render before the search blocks the main thread
+    timerRef.current = setTimeout(() => {
+      setReport({ ...tuneSettings(matchHistory, settings), matchesUsed: matchHistory.length });
+      setTuning(false);
+    }, 0);
+  };
+
+  return (
+    <div style={{ marginTop: "40px" }}>
+      <h2>Weight Tuning</h2>
+      <button onClick={handleTune} disabled={tuning}>
+        {tuning ? "Tuning..." : `Tune Weights on ${matchHistory.length} Matches`}
+      </button>
+
+      {report && !tuning && (
+        <div style={{ marginTop: "20px" }}>
+          <p>
+            Context-aware log-loss over {report.matchesUsed} matches:{" "}
+            {report.baseScore.toFixed(4)} with the settings used → <strong>{report.bestScore.toFixed(4)}</strong> tuned
+          </p>
+          <table border="1" style={{ width: "70%", marginLeft: "auto", marginRight: "auto" }}>
+            <thead>
+              <tr>
+                <th>Parameter</th>
+                <th>Current</th>
+                <th>Tuned</th>
+                <th>Best Log-Loss in Sweep</th>
+                <th>Worst Log-Loss in Sweep</th>
+                <th>Sensitivity (Worst - Best)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.sensitivity.map(row => (
+                <tr key={row.key}>
+                  <td>{row.label}</td>
+                  <td>{formatValue(settings[row.key])}</td>
+                  <td>{formatValue(row.bestValue)}</td>
+                  <td>{row.minLogLoss.toFixed(4)}</td>
+                  <td>{row.maxLogLoss.toFixed(4)}</td>
+                  <td>{(row.maxLogLoss - row.minLogLoss).toFixed(4)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            style={{ marginTop: "10px", backgroundColor: "#4CAF50", color: "white", padding: "10px 15px" }}
+            onClick={() => onApply({ ...settings, ...pickTunedSettings(report.best) })}
+          >
+            Apply Tuned Weights
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TuningPanel;
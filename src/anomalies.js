@@ -0,0 +1,148 @@
+// Anomaly detection: flags players whose match history does not fit their rating, for someone to review.
+// Everything here reads committed match records (see matchHistory.js), oldest first; nothing is changed.
+import { DEFAULT_SETTINGS, isProvisional, timeAway } from "./ratingEngine";
+
+export const ANOMALY_PATTERNS = [
+  { key: "kdStreak", label: "Low rating, extreme K/D streak" },
+  { key: "ratingJump", label: "Sudden rating jump" },
+  { key: "disconnects", label: "Unstable connection only in losses" },
+  { key: "afk", label: "Abnormal AFK frequency" },
+];
+
+export const DEFAULT_ANOMALY_THRESHOLDS = {
+  lowRating: 0.4, // Context-aware rating at or below which a player counts as low-rated
+  streakKd: 2.5, // K/D a low-rated player must reach in every match of a streak
+  streakLength: 3, // Matches in a row that make a streak suspicious
+  jumpSize: 0.25, // Context-aware rating gained within jumpMatches that counts as a jump
+  jumpMatches: 5, // Placement matches are left out, their K-factor makes big moves normal
+  unstableNetwork: 0.5, // Network stability below which a match counts as disconnect-prone
+  disconnectLosses: 3, // Unstable losses needed before the pattern is flagged
+  disconnectLossShare: 0.9, // Share of the unstable matches that must be losses
+  afkRateMultiple: 2, // AFK in this many times as many matches as the average player
+  afkMinMatches: 10, // Matches played before a player's AFK rate is judged
+};
+
+/**
+ * Check anomaly thresholds before using them.
+ * @returns {string[]} one message per problem; empty when the thresholds are usable
+ */
+export const validateThresholds = (thresholds) => {
+  const errors = [];
+  Object.keys(DEFAULT_ANOMALY_THRESHOLDS).forEach(key => {
+    if (!Number.isFinite(thresholds[key])) errors.push(`${key} must be a number`);
+  });
+  if (errors.length > 0) return errors;
+  ["lowRating", "unstableNetwork", "disconnectLossShare"].forEach(key => {
+    if (thresholds[key] < 0 || thresholds[key] > 1) errors.push(`${key} must be between 0 and 1`);
+  });
+  ["streakLength", "jumpMatches", "disconnectLosses", "afkMinMatches"].forEach(key => {
+    if (!Number.isInteger(thresholds[key]) || thresholds[key] < 1) errors.push(`${key} must be a whole number of at least 1`);
+  });
+  ["streakKd", "jumpSize", "afkRateMultiple"].forEach(key => {
+    if (thresholds[key] <= 0) errors.push(`${key} must be greater than 0`);
+  });
+  return errors;
+};
+
+// One row per match a player played, in the order played, with what the detectors look at
+const playerRows = (matchHistory, settings) => {
+  const rows = new Map();
+  matchHistory.forEach(match => {
+    [["Team A", match.teamA], ["Team B", match.teamB]].forEach(([team, players]) => players.forEach(player => {
+      if (!rows.has(player.id)) rows.set(player.id, []);
+      rows.get(player.id).push({
+        matchId: match.id,
+        day: match.day ?? null,
+        result: match.winner === team ? "W" : "L",
+        kd: player.kd ?? 0,
+        networkStability: player.networkStability ?? 1,
+        afkValue: timeAway(player),
+        contextBefore: player.contextBefore,
+        contextAfter: player.contextAfter,
+        provisional: isProvisional(player, settings),
+      });
+    }));
+  });
+  return rows;
+};
+
+// Longest run of consecutive matches at or below lowRating with a K/D of at least streakKd
+const kdStreak = (rows, thresholds) => {
+  let best = [];
+  let current = [];
+  rows.forEach(row => {
+    current = row.contextBefore <= thresholds.lowRating && row.kd >= thresholds.streakKd ? [...current, row] : [];
+    if (current.length > best.length) best = current;
+  });
+  if (best.length < thresholds.streakLength) return null;
+  return {
+    summary: `${best.length} matches in a row with a K/D of ${thresholds.streakKd}+ while rated ${thresholds.lowRating} or lower`,
+    evidence: best,
+  };
+};
+
+// Biggest rise in context-aware rating within jumpMatches consecutive matches after the placements
+const ratingJump = (allRows, thresholds) => {
+  const rows = allRows.filter(row => !row.provisional);
+  let best = null;
+  rows.forEach((row, end) => {
+    for (let start = Math.max(0, end - thresholds.jumpMatches + 1); start <= end; start++) {
+      const gain = row.contextAfter - rows[start].contextBefore;
+      if (!best || gain > best.gain) best = { gain, start, end };
+    }
+  });
+  if (!best || !(best.gain >= thresholds.jumpSize)) return null;
+  const evidence = rows.slice(best.start, best.end + 1);
+  return {
+    summary: `Gained ${best.gain.toFixed(3)} in ${evidence.length} match${evidence.length === 1 ? "" : "es"}`,
+    evidence,
+  };
+};
+
+// Matches played on a connection below unstableNetwork, flagged when nearly all of them were lost
+const disconnects = (rows, thresholds) => {
+  const unstable = rows.filter(row => row.networkStability < thresholds.unstableNetwork);
+  const losses = unstable.filter(row => row.result === "L");
+  if (losses.length < thresholds.disconnectLosses || losses.length / unstable.length < thresholds.disconnectLossShare) {
+    return null;
+  }
+  return {
+    summary: `Connection below ${thresholds.unstableNetwork} in ${losses.length} losses and ${unstable.length - losses.length} wins`,
+    evidence: unstable,
+  };
+};
+
+const afkRate = (rows) => rows.filter(row => row.afkValue > 0).length / rows.length;
+
+// AFK in afkRateMultiple times as many matches as the average player
+const afk = (rows, thresholds, averageRate) => {
+  if (rows.length < thresholds.afkMinMatches || averageRate === 0) return null;
+  const rate = afkRate(rows);
+  if (rate < thresholds.afkRateMultiple * averageRate) return null;
+  return {
+    summary: `AFK in ${(rate * 100).toFixed(0)}% of ${rows.length} matches (average player: ${(averageRate * 100).toFixed(0)}%)`,
+    evidence: rows.filter(row => row.afkValue > 0),
+  };
+};
+
+const DETECTORS = { kdStreak, ratingJump, disconnects, afk };
+
+/**
+ * Flag suspicious patterns in the match history.
+ * @param {object[]} matchHistory committed match records, oldest first (see createMatchRecord)
+ * @param {object} [thresholds] see DEFAULT_ANOMALY_THRESHOLDS
+ * @param {object} [settings] rating settings, for who was still in their placement matches
+ * @returns {{playerId: string, pattern: string, summary: string, evidence: object[]}[]} one flag per player and
+ *   pattern (see ANOMALY_PATTERNS), ordered by player; evidence lists the matches behind the flag with the
+ *   player's result, K/D, network stability, AFK share and context-aware rating before and after
+ */
+export const detectAnomalies = (matchHistory, thresholds = DEFAULT_ANOMALY_THRESHOLDS, settings = DEFAULT_SETTINGS) => {
+  const rows = playerRows(matchHistory, settings);
+  const rates = [...rows.values()].map(afkRate);
+  const averageRate = rates.length === 0 ? 0 : rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+
+  return [...rows.keys()].sort().flatMap(playerId => ANOMALY_PATTERNS.flatMap(({ key }) => {
+    const flag = DETECTORS[key](rows.get(playerId), thresholds, averageRate);
+    return flag ? [{ playerId, pattern: key, ...flag }] : [];
+  }));
+};
@@ -0,0 +1,72 @@
+import { DEFAULT_ANOMALY_THRESHOLDS, detectAnomalies, validateThresholds } from './anomalies';
+import { DEFAULT_SETTINGS } from './ratingEngine';
+
+// A match record with the given player on Team A against four fillers on each side
+const match = (id, player, { winner = 'Team A', before = 0.5, after = 0.5, ...stats } = {}) => {
+  const filler = (fillerId) => ({
+    id: fillerId, kd: 1, networkStability: 1, afkValue: 0, contextBefore: 0.5, contextAfter: 0.5, matchesPlayed: 20,
+  });
+  return {
+    id,
+    winner,
+    teamA: [{ ...filler(player), contextBefore: before, contextAfter: after, ...stats }, ...['A2', 'A3', 'A4', 'A5'].map(filler)],
+    teamB: ['B1', 'B2', 'B3', 'B4', 'B5'].map(filler),
+  };
+};
+const ids = (count, prefix = 'M') => Array.from({ length: count }, (_, i) => `${prefix}${i + 1}`);
+const patternsOf = (flags, playerId) => flags.filter(flag => flag.playerId === playerId).map(flag => flag.pattern);
+
+test('a low-rated player on an extreme K/D streak is flagged with the streak as evidence', () => {
+  const history = [
+    match('M1', 'S1', { before: 0.3, kd: 4, matchesPlayed: 20 }),
+    match('M2', 'S1', { before: 0.32, kd: 1, matchesPlayed: 21 }),
+    ...ids(3, 'N').map((id, i) => match(id, 'S1', { before: 0.33, kd: 3 + i, matchesPlayed: 22 + i })),
+  ];
+  const [flag] = detectAnomalies(history);
+  expect(flag).toMatchObject({ playerId: 'S1', pattern: 'kdStreak' });
+  expect(flag.evidence.map(row => row.matchId)).toEqual(['N1', 'N2', 'N3']);
+
+  // The same streak by a highly rated player is expected
+  const strong = history.map(m => ({ ...m, teamA: m.teamA.map(p => (p.id === 'S1' ? { ...p, contextBefore: 0.8 } : p)) }));
+  expect(detectAnomalies(strong)).toEqual([]);
+  expect(detectAnomalies(history, { ...DEFAULT_ANOMALY_THRESHOLDS, streakLength: 4 })).toEqual([]);
+});
+
+test('sudden rating jumps are flagged once the placements are over', () => {
+  const jump = ids(4).map((id, i) => match(id, 'J1', { before: 0.4 + i * 0.08, after: 0.48 + i * 0.08, matchesPlayed: 20 + i }));
+  const [flag] = detectAnomalies(jump);
+  expect(flag).toMatchObject({ playerId: 'J1', pattern: 'ratingJump', summary: 'Gained 0.320 in 4 matches' });
+
+  const placement = jump.map(m => ({ ...m, teamA: m.teamA.map(p => (p.id === 'J1' ? { ...p, matchesPlayed: 2 } : p)) }));
+  expect(detectAnomalies(placement)).toEqual([]);
+  expect(detectAnomalies(placement, DEFAULT_ANOMALY_THRESHOLDS, { ...DEFAULT_SETTINGS, placementMatches: 0 })).toHaveLength(1);
+});
+
+test('a connection that only drops in losses is flagged, one that drops regardless is not', () => {
+  const lossesOnly = ids(4).map(id => match(id, 'D1', { winner: 'Team B', networkStability: 0.2 }));
+  expect(patternsOf(detectAnomalies(lossesOnly), 'D1')).toEqual(['disconnects']);
+
+  const anyResult = [...lossesOnly, ...ids(3, 'W').map(id => match(id, 'D1', { networkStability: 0.2 }))];
+  expect(patternsOf(detectAnomalies(anyResult), 'D1')).toEqual([]);
+});
+
+test('players AFK far more often than average are flagged', () => {
+  const history = ids(12).map((id, i) => ({
+    ...match(id, 'F1', { afkValue: i % 2 === 0 ? 0.3 : 0 }),
+    teamB: match(id, 'F2', { afkValue: i === 0 ? 0.2 : 0 }).teamA,
+  }));
+  const flags = detectAnomalies(history);
+  expect(flags.map(flag => [flag.playerId, flag.pattern])).toEqual([['F1', 'afk']]);
+  expect(flags[0].evidence).toHaveLength(6);
+  expect(detectAnomalies(history.slice(0, 9))).toEqual([]); // Too few matches to judge
+});
+
+test('validateThresholds rejects unusable thresholds', () => {
+  expect(validateThresholds(DEFAULT_ANOMALY_THRESHOLDS)).toEqual([]);
+  expect(validateThresholds({ ...DEFAULT_ANOMALY_THRESHOLDS, streakLength: 1.5, lowRating: 2, jumpSize: 0 })).toEqual([
+    'lowRating must be between 0 and 1',
+    'streakLength must be a whole number of at least 1',
+    'jumpSize must be greater than 0',
+  ]);
+  expect(validateThresholds({ ...DEFAULT_ANOMALY_THRESHOLDS, afkMinMatches: NaN })).toEqual(['afkMinMatches must be a number']);
+});
@@ -0,0 +1,78 @@
+// Batch simulation: play whole matches without the step-by-step Match Simulator UI.
+import { measureRatingAccuracy } from "./evaluation";
+import { DEFAULT_MAP_POOL } from "./mapPool";
+import { createMatchRecord } from "./matchHistory";
+import { DEFAULT_SETTINGS, commitMatchResults, rateMatch } from "./ratingEngine";
+import { completeVeto, randomVeto, startVeto } from "./mapVeto";
+import { simulateMatch } from "./roundEngine";
+import { assignMapFamiliarity, pickPlayersForMatch } from "./simulation";
+import { formTeams } from "./teamBalance";
+
+// Match ids are sequential across manual and batch matches: M0001, M0002, ...
+export const formatMatchId = (matchNumber) => `M${matchNumber.toString().padStart(4, "0")}`;
+
+/**
+ * Play one match end to end (pick, split, map veto, play the rounds, rate) and commit it to the roster.
+ * `teamStrategy` is one of TEAM_STRATEGIES (see teamBalance.js); `mapSelection` is "veto" for the
+ * familiarity-driven veto (see mapVeto.js) or "random" for a weighted draw.
+ * `lineup` is the 10 players to play (roster entries); the tightest rating window is picked when omitted.
+ * `day` is the simulated calendar day the match is played on (see decay.js).
+ * @returns {{players: object[], match: object}|null} match is its history record (see createMatchRecord);
+ *   null when no lobby can be picked (see describeFailedPick)
+ */
+export const playMatch = (players, {
+  rng = Math.random,
+  matchId,
+  settings = DEFAULT_SETTINGS,
+  mapPool = DEFAULT_MAP_POOL,
+  mapSelection = "veto",
+  teamStrategy = "exhaustive",
+  lineup = null,
+  day = null,
+}) => {
+  const pickedPlayers = lineup ?? pickPlayersForMatch(players);
+  if (pickedPlayers.length < 10) return null;
+
+  const teams = formTeams(pickedPlayers, teamStrategy, { rng, mapPool });
+  const veto = mapSelection === "random"
+    ? randomVeto(mapPool, rng)
+    : completeVeto(startVeto(mapPool), teams.teamA, teams.teamB);
+  const withMap = assignMapFamiliarity(teams.teamA, teams.teamB, veto.map);
+  const { teamA, teamB, result } = simulateMatch(withMap.teamA, withMap.teamB, rng);
+  const selectedMap = veto.map;
+  const ratings = rateMatch(teamA, teamB, result, settings);
+
+  return {
+    players: commitMatchResults(players, ratings.contextAware, {
+      id: matchId,
+      map: selectedMap,
+      winner: result.winner,
+      day,
+    }, mapPool),
+    match: createMatchRecord({
+      id: matchId, map: selectedMap, winner: result.winner, score: result.score, ratings, veto: veto.steps, day,
+    }),
+  };
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const stdDev = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+};
+
+// Population-level snapshot of both rating systems, one point on the convergence charts
+export const summarizeRatings = (players, matchNumber) => {
+  const trad = players.map(p => p.tradElo);
+  const context = players.map(p => p.contextElo);
+
+  return {
+    match: matchNumber,
+    tradMean: parseFloat(mean(trad).toFixed(4)),
+    contextMean: parseFloat(mean(context).toFixed(4)),
+    tradSpread: parseFloat(stdDev(trad).toFixed(4)),
+    contextSpread: parseFloat(stdDev(context).toFixed(4)),
+    meanGap: parseFloat(mean(players.map(p => Math.abs(p.tradElo - p.contextElo))).toFixed(4)),
+    ...measureRatingAccuracy(players),
+  };
+};
@@ -0,0 +1,97 @@
+import { DEFAULT_MAP_POOL } from './mapPool';
+import { formatMatchId, playMatch, summarizeRatings } from './batch';
+import { createRng } from './random';
+import { DEFAULT_SETTINGS, calculateMapFamiliarity, isProvisional, playerKFactor } from './ratingEngine';
+import { generateHours, generatePlayers } from './simulation';
+
+const makeRoster = (rng) => calculateMapFamiliarity(generateHours(generatePlayers([], rng), DEFAULT_MAP_POOL, rng));
+
+test('formatMatchId pads the match number', () => {
+  expect(formatMatchId(7)).toBe('M0007');
+});
+
+test('playMatch commits a full match to the roster', () => {
+  const rng = createRng('batch');
+  const roster = makeRoster(rng);
+  const { players, match } = playMatch(roster, { rng, matchId: 'M0001' });
+
+  expect(match.teamA).toHaveLength(5);
+  expect(match.teamB).toHaveLength(5);
+  expect(match.tradExpectedA).toBeGreaterThan(0);
+  expect(match.teamA[0].contextAfter).toBe(players.find(p => p.id === match.teamA[0].id).contextElo);
+  const played = players.filter(p => p.history.length === 1);
+  expect(played).toHaveLength(10);
+  played.forEach(p => expect(p.history[0].matchId).toBe('M0001'));
+  expect(match.veto.map(step => step.action)).toEqual(['ban', 'pick']);
+  expect(match.map).toBe(match.veto[1].map);
+});
+
+test('a generated roster starts provisional, so its first match moves ratings by the placement K-factor', () => {
+  const rng = createRng('batch');
+  const roster = makeRoster(rng);
+  roster.forEach(player => {
+    expect(isProvisional(player)).toBe(true);
+    expect(playerKFactor(player)).toBe(DEFAULT_SETTINGS.placementKFactor);
+  });
+
+  const { match } = playMatch(roster, { rng, matchId: 'M0001' });
+  const winnerExpected = match.winner === 'Team A' ? match.tradExpectedA : 1 - match.tradExpectedA;
+  const winners = match.winner === 'Team A' ? match.teamA : match.teamB;
+  const unclamped = winners.filter(player => player.tradAfter < DEFAULT_SETTINGS.maxRating); // Clamped gains are smaller
+  expect(unclamped.length).toBeGreaterThan(0);
+  unclamped.forEach(player => {
+    expect(player.tradAfter - player.tradBefore).toBeCloseTo(DEFAULT_SETTINGS.placementKFactor * (1 - winnerExpected), 2);
+  });
+});
+
+test('playMatch stamps the calendar day on the record and the players', () => {
+  const rng = createRng('batch');
+  const { players, match } = playMatch(makeRoster(rng), { rng, matchId: 'M0001', day: 3 });
+
+  expect(match.day).toBe(3);
+  const played = players.filter(p => p.history.length === 1);
+  played.forEach(p => expect(p).toMatchObject({ lastPlayed: 3, history: [{ day: 3 }] }));
+  expect(players.filter(p => p.lastPlayed === null)).toHaveLength(40);
+});
+
+test('playMatch can draw the map at random instead of vetoing it', () => {
+  const rng = createRng('batch');
+  const { match } = playMatch(makeRoster(rng), { rng, matchId: 'M0001', mapSelection: 'random' });
+  expect(match.veto).toEqual([{ team: null, action: 'random', map: match.map }]);
+});
+
+test('playMatch needs at least 10 players', () => {
+  const roster = generatePlayers([], createRng('small')).slice(0, 9);
+  expect(playMatch(roster, { matchId: 'M0001' })).toBeNull();
+});
+
+test('a seeded batch is reproducible', () => {
+  const runBatch = (seed) => {
+    const rng = createRng(seed);
+    let roster = makeRoster(rng);
+    for (let i = 1; i <= 20; i++) {
+      roster = playMatch(roster, { rng, matchId: formatMatchId(i) }).players;
+    }
+    return summarizeRatings(roster, 20);
+  };
+  expect(runBatch('convergence')).toEqual(runBatch('convergence'));
+});
+
+test('summarizeRatings reports mean, spread, gap and accuracy per system', () => {
+  const players = [
+    { tradElo: 0.2, contextElo: 0.3, trueSkill: 0.1 },
+    { tradElo: 0.6, contextElo: 0.5, trueSkill: 0.7 },
+  ];
+  expect(summarizeRatings(players, 3)).toEqual({
+    match: 3,
+    tradMean: 0.4,
+    contextMean: 0.4,
+    tradSpread: 0.2,
+    contextSpread: 0.1,
+    meanGap: 0.1,
+    tradSpearman: 1,
+    contextSpearman: 1,
+    tradMae: 0.1,
+    contextMae: 0.2,
+  });
+});
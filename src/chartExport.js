@@ -0,0 +1,59 @@
+// Save recharts charts as standalone SVG or PNG files.
+// Recharts renders its legend as HTML beside the <svg>, so exported images carry the plot only.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Serialise the chart rendered inside `container` as a standalone SVG document.
+ * @param {HTMLElement} container element wrapping a recharts chart
+ * @returns {{svg: string, width: number, height: number} | null} null when no chart is rendered
+ */
+export const serializeChartSvg = (container) => {
+  const source = container?.querySelector("svg.recharts-surface") ?? container?.querySelector("svg");
+  if (!source) return null;
+
+  const width = Math.round(source.width?.baseVal?.value || parseFloat(source.getAttribute("width")) || 800);
+  const height = Math.round(source.height?.baseVal?.value || parseFloat(source.getAttribute("height")) || 400);
+
+  const svg = source.cloneNode(true);
+  svg.setAttribute("xmlns", SVG_NS);
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height);
+  // Charts are drawn on a transparent surface; give reports a white page to sit on
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("width", "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute("fill", "white");
+  svg.insertBefore(background, svg.firstChild);
+
+  return { svg: new XMLSerializer().serializeToString(svg), width, height };
+};
+
+/**
+ * Rasterise SVG text to a PNG blob.
+ * @param {string} svg standalone SVG document
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [scale=2] pixel density of the PNG relative to the chart
+ * @returns {Promise<Blob>}
+ */
+export const svgToPngBlob = (svg, width, height, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Chart could not be drawn as an image"));
+    };
+    image.src = url;
+  });
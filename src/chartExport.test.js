@@ -0,0 +1,17 @@
+import { serializeChartSvg } from './chartExport';
+
+test('serializeChartSvg produces a standalone SVG with a white background', () => {
+  const container = document.createElement('div');
+  container.innerHTML =
+    '<div class="recharts-wrapper"><svg class="recharts-surface" width="640" height="300"><path d="M0 0L10 10"></path></svg></div>';
+
+  const { svg, width, height } = serializeChartSvg(container);
+  expect([width, height]).toEqual([640, 300]);
+  expect(svg).toContain('xmlns="http://www.w3.org/2000/svg"');
+  expect(svg).toMatch(/<svg[^>]*><rect width="100%" height="100%" fill="white"\/><path/);
+});
+
+test('serializeChartSvg returns null before the chart is drawn', () => {
+  expect(serializeChartSvg(document.createElement('div'))).toBeNull();
+  expect(serializeChartSvg(null)).toBeNull();
+});
@@ -0,0 +1,75 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes ("") and CRLF line endings.
+
+/**
+ * Parse CSV text into rows of string cells, skipping blank lines.
+ * @returns {{rows: string[][], lines: number[]}} lines[i] is the 1-based file line rows[i] starts on, which
+ *   drifts from its index once blank lines are skipped or quoted cells span several lines
+ */
+export const parseCsvLines = (text) => {
+  const rows = [];
+  const lines = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0].trim() !== "") {
+      rows.push(row);
+      lines.push(rowLine);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    // A line break is "\n", "\r\n" or a lone "\r", inside quotes or not
+    if (char === "\n" || (char === "\r" && text[i + 1] !== "\n")) line++;
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+        line++;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) endRow();
+
+  return { rows, lines };
+};
+
+// Parse CSV text into rows of string cells, skipping blank lines
+export const parseCsv = (text) => parseCsvLines(text).rows;
+
+// Quote a cell only when it contains a delimiter, quote or line break
+const formatCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise rows of cells as CSV text with CRLF line endings
+export const formatCsv = (rows) =>
+  rows.map(row => row.map(formatCell).join(",")).join("\r\n") + "\r\n";
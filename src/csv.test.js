@@ -0,0 +1,33 @@
+import { formatCsv, parseCsv, parseCsvLines } from './csv';
+
+test('parses plain rows and skips blank lines', () => {
+  expect(parseCsv('id,rating\r\nP001,0.5\n\nP002,0.7\n')).toEqual([
+    ['id', 'rating'],
+    ['P001', '0.5'],
+    ['P002', '0.7'],
+  ]);
+});
+
+test('handles quoted cells with commas, quotes and newlines', () => {
+  expect(parseCsv('name,note\n"Smith, J","said ""hi""\nthen left"')).toEqual([
+    ['name', 'note'],
+    ['Smith, J', 'said "hi"\nthen left'],
+  ]);
+});
+
+test('keeps empty cells', () => {
+  expect(parseCsv('a,,c\n,,')).toEqual([['a', '', 'c'], ['', '', '']]);
+});
+
+test('formatCsv quotes only the cells that need it and round-trips through parseCsv', () => {
+  const rows = [['id', 'note', 'value'], ['P001', 'said "hi", left', 0.5], ['P002', null, 'a\nb']];
+  const text = formatCsv(rows);
+  expect(text).toBe('id,note,value\r\nP001,"said ""hi"", left",0.5\r\nP002,,"a\nb"\r\n');
+  expect(parseCsv(text)).toEqual([['id', 'note', 'value'], ['P001', 'said "hi", left', '0.5'], ['P002', '', 'a\nb']]);
+});
+
+test('parseCsvLines reports the file line each row starts on', () => {
+  const { rows, lines } = parseCsvLines('id,note\r\n\r\nP001,"two\nlines"\nP002,x\r\rP003,y');
+  expect(rows.map(row => row[0])).toEqual(['id', 'P001', 'P002', 'P003']);
+  expect(lines).toEqual([1, 3, 5, 7]);
+});
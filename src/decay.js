@@ -0,0 +1,67 @@
+// Inactivity decay: the simulated calendar moves on in days, and players who have not played for longer
+// than the grace period lose some of their rating's meaning. Depending on settings.decayMode their ratings
+// are pulled toward the roster mean, or they gather rust that widens their uncertainty and raises their
+// K-factor for the next match (see playerKFactor). Playing a match clears the decay (see commitMatchResults).
+import { DEFAULT_SETTINGS, getContextRating, getTradRating } from "./ratingEngine";
+import { INITIAL_DEVIATION } from "./ratingSystems";
+
+// Day a player last played, or joined the roster if they never have
+export const lastActiveDay = (player) => player.lastPlayed ?? player.joinedOn ?? 0;
+
+export const daysInactive = (player, day) => Math.max(0, day - lastActiveDay(player));
+
+// Stamp players new to the roster with the day they joined, so their grace period starts there
+export const joinRoster = (players, day) =>
+  players.map(player => (player.joinedOn === undefined ? { ...player, joinedOn: day } : player));
+
+export const isDecayed = (player) => Boolean(player.decay);
+
+// Days between `fromDay` and `toDay` that count toward a player's decay, i.e. that are past their grace period
+export const decayDays = (player, fromDay, toDay, settings = DEFAULT_SETTINGS) =>
+  Math.max(0, toDay - Math.max(fromDay, lastActiveDay(player) + settings.decayGraceDays));
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const round = (value) => parseFloat(value.toFixed(4));
+
+/**
+ * Advance the calendar from `fromDay` to `toDay`, decaying everyone who has been inactive past the grace period.
+ * @returns {object[]} the roster; decayed players carry `decay: {shift, rust}`, the total change to their
+ *   context-aware rating and the share of certainty lost (0-1)
+ */
+export const applyDecay = (players, fromDay, toDay, settings = DEFAULT_SETTINGS) => {
+  if (settings.decayMode === "off" || players.length === 0 || toDay <= fromDay) return players;
+  const tradMean = mean(players.map(getTradRating));
+  const contextMean = mean(players.map(getContextRating));
+
+  return players.map(player => {
+    const days = decayDays(player, fromDay, toDay, settings);
+    if (days === 0) return player;
+    const keep = (1 - settings.decayRate) ** days; // Share left after `days` of losing decayRate a day
+    const decay = player.decay ?? { shift: 0, rust: 0 };
+
+    if (settings.decayMode === "uncertainty") {
+      const widen = (deviation) => round(INITIAL_DEVIATION - (INITIAL_DEVIATION - deviation) * keep);
+      return {
+        ...player,
+        systemRatings: player.systemRatings && Object.fromEntries(Object.entries(player.systemRatings).map(
+          ([key, state]) => [key, { ...state, deviation: widen(state.deviation) }]
+        )),
+        decay: { ...decay, rust: round(1 - (1 - decay.rust) * keep) },
+      };
+    }
+
+    const pull = (value, toward) => round(toward + (value - toward) * keep);
+    const contextBefore = getContextRating(player);
+    const contextElo = pull(contextBefore, contextMean);
+    return {
+      ...player,
+      elo: contextElo.toFixed(3),
+      tradElo: pull(getTradRating(player), tradMean),
+      contextElo,
+      systemRatings: player.systemRatings && Object.fromEntries(Object.entries(player.systemRatings).map(
+        ([key, state]) => [key, { ...state, rating: pull(state.rating, contextMean) }]
+      )),
+      decay: { ...decay, shift: round(decay.shift + contextElo - contextBefore) },
+    };
+  });
+};
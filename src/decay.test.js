@@ -0,0 +1,69 @@
+import { applyDecay, daysInactive, decayDays, isDecayed, joinRoster } from './decay';
+import { DEFAULT_SETTINGS, K_FACTOR, commitMatchResults, playerKFactor, ratingUncertainty } from './ratingEngine';
+import { INITIAL_DEVIATION } from './ratingSystems';
+import { createPlayer } from './simulation';
+
+const established = (id, rating, extra = {}) =>
+  createPlayer(id, rating, { matchesPlayed: DEFAULT_SETTINGS.placementMatches, joinedOn: 0, ...extra });
+
+const meanSettings = { ...DEFAULT_SETTINGS, decayMode: 'mean', decayGraceDays: 10, decayRate: 0.1 };
+const uncertaintySettings = { ...meanSettings, decayMode: 'uncertainty' };
+
+test('inactivity counts from the last match, or from joining for players who never played', () => {
+  expect(daysInactive(established('P001', 0.5, { lastPlayed: 4 }), 9)).toBe(5);
+  expect(daysInactive(established('P002', 0.5, { joinedOn: 3 }), 9)).toBe(6);
+  expect(joinRoster([createPlayer('P003', 0.5), established('P004', 0.5)], 12).map(p => p.joinedOn)).toEqual([12, 0]);
+});
+
+test('only days past the grace period count toward decay', () => {
+  const player = established('P001', 0.5, { lastPlayed: 5 });
+  expect(decayDays(player, 0, 15, meanSettings)).toBe(0);
+  expect(decayDays(player, 0, 20, meanSettings)).toBe(5);
+  expect(decayDays(player, 18, 20, meanSettings)).toBe(2);
+});
+
+test('decay is off by default', () => {
+  const players = [established('P001', 0.9), established('P002', 0.1)];
+  expect(applyDecay(players, 0, 100)).toBe(players);
+});
+
+test('the mean mode pulls inactive ratings toward the roster mean', () => {
+  const players = [established('P001', 0.9), established('P002', 0.1), established('P003', 0.5, { lastPlayed: 20 })];
+  const decayed = applyDecay(players, 0, 20, meanSettings); // 10 days past the grace period
+
+  const keep = 0.9 ** 10;
+  expect(decayed[0].contextElo).toBeCloseTo(0.5 + 0.4 * keep, 4);
+  expect(decayed[0].tradElo).toBeCloseTo(0.5 + 0.4 * keep, 4);
+  expect(decayed[0].elo).toBe(decayed[0].contextElo.toFixed(3));
+  expect(decayed[1].contextElo).toBeCloseTo(0.5 - 0.4 * keep, 4);
+  expect(decayed[0].decay.shift).toBeCloseTo(-0.4 * (1 - keep), 4);
+  expect(isDecayed(decayed[0])).toBe(true);
+  expect(decayed[2]).toBe(players[2]); // Played recently
+
+  // Advancing in steps decays as much as one long step
+  const stepped = applyDecay(applyDecay(players, 0, 15, meanSettings), 15, 20, meanSettings);
+  expect(stepped[0].contextElo).toBeCloseTo(decayed[0].contextElo, 3);
+});
+
+test('the uncertainty mode adds rust that raises K and widens the uncertainty', () => {
+  const player = established('P001', 0.7, { systemRatings: { glicko2: { rating: 0.7, deviation: 0.02, volatility: 0.06 } } });
+  const [rusty] = applyDecay([player], 0, 20, uncertaintySettings);
+
+  expect(rusty.contextElo).toBe(0.7);
+  expect(rusty.decay.rust).toBeCloseTo(1 - 0.9 ** 10, 4);
+  expect(playerKFactor(rusty)).toBeGreaterThan(K_FACTOR);
+  expect(playerKFactor(rusty)).toBeLessThan(DEFAULT_SETTINGS.placementKFactor);
+  expect(ratingUncertainty(rusty)).toBeGreaterThan(ratingUncertainty(player));
+  expect(ratingUncertainty(rusty)).toBeLessThan(INITIAL_DEVIATION);
+  expect(rusty.systemRatings.glicko2.deviation).toBeGreaterThan(0.02);
+});
+
+test('playing a match records the day and clears the decay', () => {
+  const [rusty, other] = applyDecay([established('P001', 0.7), established('P002', 0.3)], 0, 30, uncertaintySettings);
+  const rated = { ...rusty, tradElo: 0.75, contextElo: 0.75, contextFactors: {} };
+  const players = commitMatchResults([rusty, other], { teamA: [rated], teamB: [] }, { id: 'M0001', map: 'A', winner: 'Team A', day: 30 });
+
+  expect(players[0]).toMatchObject({ lastPlayed: 30, decay: null });
+  expect(players[0].history[0].day).toBe(30);
+  expect(isDecayed(players[1])).toBe(true);
+});
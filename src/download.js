@@ -0,0 +1,26 @@
+// Browser file helpers shared by the export and import buttons.
+
+// Offer `content` to the user as a downloaded file
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Error shown when a picked file cannot be read (see readFileAsText)
+export const describeReadError = (file, error) => `${file.name} could not be read: ${error?.message || "unknown error"}`;
+
+// Read a File picked through an <input type="file"> as text
+export const readFileAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
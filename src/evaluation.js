@@ -0,0 +1,110 @@
+// Rating accuracy: how well each rating system recovers the players' hidden true skill.
+
+// Ranks starting at 1, ties share their average rank
+const rank = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+    i = j + 1;
+  }
+  return ranks;
+};
+
+const pearson = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return 0;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+// Spearman rank correlation between two equally long lists (-1 to 1)
+export const spearmanCorrelation = (xs, ys) => {
+  if (xs.length < 2) return null;
+  return pearson(rank(xs), rank(ys));
+};
+
+export const meanAbsoluteError = (predicted, actual) => {
+  if (predicted.length === 0) return null;
+  return predicted.reduce((sum, value, i) => sum + Math.abs(value - actual[i]), 0) / predicted.length;
+};
+
+const round = (value) => (value === null ? null : parseFloat(value.toFixed(4)));
+
+// Rank correlation and mean absolute error of both systems against true skill
+export const measureRatingAccuracy = (players) => {
+  const rated = players.filter(p => typeof p.trueSkill === "number");
+  const truth = rated.map(p => p.trueSkill);
+  const trad = rated.map(p => p.tradElo);
+  const context = rated.map(p => p.contextElo);
+
+  return {
+    tradSpearman: round(spearmanCorrelation(trad, truth)),
+    contextSpearman: round(spearmanCorrelation(context, truth)),
+    tradMae: round(meanAbsoluteError(trad, truth)),
+    contextMae: round(meanAbsoluteError(context, truth)),
+  };
+};
+
+/**
+ * Number of matches a metric needs to settle: the first point of the series from which
+ * every later value stays within `tolerance` of the final value.
+ * @param {object[]} series snapshots with a `match` number, e.g. from summarizeRatings
+ * @param {string} key metric to inspect, e.g. "contextMae"
+ * @returns {number|null} matches played from the start of the series until it settled,
+ *   or null when the metric was never measured
+ */
+export const matchesToConverge = (series, key, tolerance = 0.02) => {
+  const points = series.filter(point => point[key] !== null && point[key] !== undefined);
+  if (points.length === 0) return null;
+
+  const finalValue = points[points.length - 1][key];
+  let convergedAt = points[points.length - 1].match;
+  for (let i = points.length - 1; i >= 0; i--) {
+    if (Math.abs(points[i][key] - finalValue) > tolerance) break;
+    convergedAt = points[i].match;
+  }
+  return convergedAt - points[0].match;
+};
+
+/**
+ * How new players settle: for each match number, the average rating change and the average distance
+ * from true skill (where known) of every player who has played that many matches.
+ * @param {object[]} players roster with rating histories
+ * @param {number} maxMatches last match number to report
+ * @returns {{match: number, players: number, meanChange: number, meanError: number|null}[]}
+ */
+export const placementSettling = (players, maxMatches) => {
+  const rows = [];
+  for (let match = 1; match <= maxMatches; match++) {
+    const entries = players
+      .filter(player => (player.history?.length ?? 0) >= match)
+      .map(player => ({ entry: player.history[match - 1], trueSkill: player.trueSkill }));
+    if (entries.length === 0) break;
+
+    const withSkill = entries.filter(({ trueSkill }) => typeof trueSkill === "number");
+    rows.push({
+      match,
+      players: entries.length,
+      meanChange: round(entries.reduce((sum, { entry }) => sum + Math.abs(entry.contextDelta), 0) / entries.length),
+      meanError: round(meanAbsoluteError(
+        withSkill.map(({ entry }) => entry.contextAfter),
+        withSkill.map(({ trueSkill }) => trueSkill)
+      )),
+    });
+  }
+  return rows;
+};
@@ -0,0 +1,65 @@
+import {
+  matchesToConverge,
+  meanAbsoluteError,
+  measureRatingAccuracy,
+  placementSettling,
+  spearmanCorrelation,
+} from './evaluation';
+
+describe('spearmanCorrelation', () => {
+  test('is 1 for the same ordering and -1 for the reverse', () => {
+    expect(spearmanCorrelation([1, 2, 3, 4], [10, 20, 35, 90])).toBeCloseTo(1);
+    expect(spearmanCorrelation([1, 2, 3, 4], [4, 3, 2, 1])).toBeCloseTo(-1);
+  });
+
+  test('gives ties their average rank', () => {
+    expect(spearmanCorrelation([1, 1, 2], [1, 2, 3])).toBeCloseTo(0.866, 3);
+  });
+
+  test('needs at least two values', () => {
+    expect(spearmanCorrelation([1], [1])).toBeNull();
+  });
+});
+
+test('meanAbsoluteError averages the absolute differences', () => {
+  expect(meanAbsoluteError([0.5, 0.2], [0.4, 0.5])).toBeCloseTo(0.2);
+});
+
+test('measureRatingAccuracy ignores players without a true skill', () => {
+  const players = [
+    { tradElo: 0.1, contextElo: 0.2, trueSkill: 0.1 },
+    { tradElo: 0.9, contextElo: 0.8, trueSkill: 0.9 },
+    { tradElo: 0.5, contextElo: 0.5 },
+  ];
+  expect(measureRatingAccuracy(players)).toEqual({
+    tradSpearman: 1,
+    contextSpearman: 1,
+    tradMae: 0,
+    contextMae: 0.1,
+  });
+});
+
+test('matchesToConverge finds where a metric settles near its final value', () => {
+  const series = [
+    { match: 0, mae: 0.4 },
+    { match: 10, mae: 0.2 },
+    { match: 20, mae: 0.11 },
+    { match: 30, mae: 0.1 },
+    { match: 40, mae: 0.1 },
+  ];
+  expect(matchesToConverge(series, 'mae')).toBe(20);
+  expect(matchesToConverge(series, 'missing')).toBeNull();
+});
+
+test('placementSettling follows players through their first matches', () => {
+  const entry = (contextDelta, contextAfter) => ({ contextDelta, contextAfter });
+  const players = [
+    { id: 'a', trueSkill: 0.6, history: [entry(0.1, 0.5), entry(-0.02, 0.58)] },
+    { id: 'b', trueSkill: 0.4, history: [entry(-0.1, 0.3)] },
+    { id: 'c', history: [] },
+  ];
+  expect(placementSettling(players, 5)).toEqual([
+    { match: 1, players: 2, meanChange: 0.1, meanError: 0.1 },
+    { match: 2, players: 1, meanChange: 0.02, meanError: 0.02 },
+  ]);
+});
@@ -0,0 +1,88 @@
+// Map pool: the maps matches are played on, with their selection weights.
+// Maps are referenced everywhere (player hours and familiarity, match records) by their stable id,
+// so renaming a map never rewrites history. Retired maps stay in the pool for that history but are
+// no longer played.
+
+export const DEFAULT_MAP_POOL = [
+  { id: "A", name: "Map A", weight: 1, retired: false },
+  { id: "B", name: "Map B", weight: 1, retired: false },
+  { id: "C", name: "Map C", weight: 1, retired: false },
+];
+
+// Maps still in rotation, in pool order
+export const activeMaps = (mapPool) => mapPool.filter(map => !map.retired);
+
+// Look a map up by id, or by name for data (such as imported match logs) that uses display names
+export const findMap = (mapPool, key) =>
+  mapPool.find(map => map.id === key) ??
+  mapPool.find(map => map.name.toLowerCase() === String(key).toLowerCase());
+
+// Display name for a map id; ids no longer in the pool are shown as they are
+export const mapName = (mapPool, id) => findMap(mapPool, id)?.name ?? id;
+
+// Share of matches each active map is picked for: { mapId: fraction }
+export const selectionShares = (mapPool) => {
+  const maps = activeMaps(mapPool);
+  const total = maps.reduce((sum, map) => sum + map.weight, 0);
+  return Object.fromEntries(maps.map(map => [map.id, total > 0 ? map.weight / total : 0]));
+};
+
+// Pick an active map with probability proportional to its weight
+export const pickMap = (mapPool, rng = Math.random) => {
+  const maps = activeMaps(mapPool).filter(map => map.weight > 0);
+  const total = maps.reduce((sum, map) => sum + map.weight, 0);
+  let roll = rng() * total;
+  for (const map of maps) {
+    roll -= map.weight;
+    if (roll < 0) return map;
+  }
+  return maps[maps.length - 1];
+};
+
+// First id of the form M<n> that the pool does not use yet
+const nextMapId = (mapPool) => {
+  const ids = new Set(mapPool.map(map => map.id));
+  let n = mapPool.length + 1;
+  while (ids.has(`M${n}`)) n++;
+  return `M${n}`;
+};
+
+export const addMap = (mapPool, name, weight = 1) =>
+  [...mapPool, { id: nextMapId(mapPool), name: name.trim(), weight, retired: false }];
+
+export const updateMap = (mapPool, id, changes) =>
+  mapPool.map(map => (map.id === id ? { ...map, ...changes } : map));
+
+// Problems that would stop the pool from being used; empty when it is valid
+export const validateMapPool = (mapPool) => {
+  const errors = [];
+  if (!Array.isArray(mapPool)) return ["map pool must be a list"];
+
+  const ids = new Set();
+  const names = new Set();
+  mapPool.forEach((map, i) => {
+    if (!map || typeof map.id !== "string" || map.id === "") {
+      errors.push(`map ${i + 1} has no id`);
+      return;
+    }
+    if (ids.has(map.id)) errors.push(`map id ${map.id} is used twice`);
+    ids.add(map.id);
+
+    const name = typeof map.name === "string" ? map.name.trim() : "";
+    if (!name) {
+      errors.push(`map ${map.id} needs a name`);
+    } else if (names.has(name.toLowerCase())) {
+      errors.push(`map name "${name}" is used twice`);
+    }
+    names.add(name.toLowerCase());
+
+    if (typeof map.weight !== "number" || !Number.isFinite(map.weight) || map.weight < 0) {
+      errors.push(`weight of ${name || map.id} must be a number of at least 0`);
+    }
+  });
+
+  if (!mapPool.some(map => map && !map.retired && map.weight > 0)) {
+    errors.push("at least one map in rotation needs a weight above 0");
+  }
+  return errors;
+};
@@ -0,0 +1,59 @@
+import {
+  DEFAULT_MAP_POOL,
+  addMap,
+  findMap,
+  mapName,
+  pickMap,
+  selectionShares,
+  updateMap,
+  validateMapPool,
+} from './mapPool';
+
+test('addMap gives new maps unused ids and updateMap changes one map', () => {
+  let pool = addMap(DEFAULT_MAP_POOL, '  Harbor ', 2);
+  expect(pool[3]).toEqual({ id: 'M4', name: 'Harbor', weight: 2, retired: false });
+  pool = addMap(updateMap(pool, 'B', { name: 'Old Town', retired: true }), 'Canal');
+  expect(pool.map(map => map.id)).toEqual(['A', 'B', 'C', 'M4', 'M5']);
+  expect(pool[1]).toEqual({ id: 'B', name: 'Old Town', weight: 1, retired: true });
+  expect(DEFAULT_MAP_POOL[1].name).toBe('Map B');
+});
+
+test('maps are found by id or name, and unknown ids display as they are', () => {
+  expect(findMap(DEFAULT_MAP_POOL, 'B').name).toBe('Map B');
+  expect(findMap(DEFAULT_MAP_POOL, 'map c').id).toBe('C');
+  expect(mapName(DEFAULT_MAP_POOL, 'A')).toBe('Map A');
+  expect(mapName(DEFAULT_MAP_POOL, 'Dust2')).toBe('Dust2');
+});
+
+test('pickMap follows the weights and skips retired maps', () => {
+  const pool = [
+    { id: 'A', name: 'A', weight: 1, retired: false },
+    { id: 'B', name: 'B', weight: 5, retired: true },
+    { id: 'C', name: 'C', weight: 3, retired: false },
+  ];
+  expect(selectionShares(pool)).toEqual({ A: 0.25, C: 0.75 });
+  expect(pickMap(pool, () => 0.2).id).toBe('A');
+  expect(pickMap(pool, () => 0.3).id).toBe('C');
+  expect(pickMap(pool, () => 0.999).id).toBe('C');
+});
+
+test('pickMap on the default pool matches a uniform pick of A, B or C', () => {
+  [0, 0.33, 0.34, 0.66, 0.67, 0.99].forEach(roll => {
+    expect(pickMap(DEFAULT_MAP_POOL, () => roll).id).toBe(['A', 'B', 'C'][Math.floor(roll * 3)]);
+  });
+});
+
+test('validateMapPool lists what would stop the pool from being used', () => {
+  expect(validateMapPool(DEFAULT_MAP_POOL)).toEqual([]);
+  expect(validateMapPool([
+    { id: 'A', name: 'Dust', weight: 1, retired: true },
+    { id: 'A', name: 'dust', weight: 0, retired: false },
+    { id: 'C', name: ' ', weight: -1, retired: false },
+  ])).toEqual([
+    'map id A is used twice',
+    'map name "dust" is used twice',
+    'map C needs a name',
+    'weight of C must be a number of at least 0',
+    'at least one map in rotation needs a weight above 0',
+  ]);
+});
@@ -0,0 +1,85 @@
+// Map veto: the teams take turns banning maps from the pool, then one team picks the map to play.
+// Team A bans first and the teams alternate; once two maps remain, the team on turn picks one.
+// A pool with a single playable map goes straight to that map as the decider.
+import { DEFAULT_MAP_POOL, activeMaps, mapName, pickMap } from "./mapPool";
+
+const TEAMS = ["Team A", "Team B"];
+
+// Maps that can come up in a veto: in rotation and not weighted out of selection
+export const vetoMaps = (mapPool) => activeMaps(mapPool).filter(map => map.weight > 0);
+
+/**
+ * Start a veto over the playable maps of the pool.
+ * @returns {{remaining: string[], steps: object[], map: string|null}} steps are {team, action, map}
+ *   with action "ban", "pick", "decider" or "random"; map is set once the veto is over
+ */
+export const startVeto = (mapPool = DEFAULT_MAP_POOL) => {
+  const remaining = vetoMaps(mapPool).map(map => map.id);
+  if (remaining.length === 1) {
+    return { remaining, steps: [{ team: null, action: "decider", map: remaining[0] }], map: remaining[0] };
+  }
+  return { remaining, steps: [], map: null };
+};
+
+// Whose turn it is and what they do, or null when the veto is over
+export const vetoTurn = (veto) => {
+  if (veto.map) return null;
+  return {
+    team: TEAMS[veto.steps.length % 2],
+    action: veto.remaining.length > 2 ? "ban" : "pick",
+  };
+};
+
+// Ban or pick `mapId` for the team on turn; throws when the map is not available
+export const applyVetoChoice = (veto, mapId) => {
+  const turn = vetoTurn(veto);
+  if (!turn) throw new Error("The veto is already over");
+  if (!veto.remaining.includes(mapId)) throw new Error(`Map ${mapId} is not available`);
+
+  const steps = [...veto.steps, { ...turn, map: mapId }];
+  if (turn.action === "pick") return { remaining: [mapId], steps, map: mapId };
+  return { remaining: veto.remaining.filter(id => id !== mapId), steps, map: null };
+};
+
+// Combined familiarity of a team on a map (hundredth percentages summed over the players)
+export const teamFamiliarity = (team, mapId) =>
+  team.reduce((sum, player) => sum + parseFloat(player.mapFamiliarity?.[mapId] || 0), 0);
+
+/**
+ * The rule-based choice for the team on turn: ban the map where the opponents' combined familiarity
+ * most exceeds their own, or pick the map where their own most exceeds the opponents'.
+ * Ties go to the map listed first in the pool.
+ */
+export const autoVetoChoice = (veto, teamA, teamB) => {
+  const turn = vetoTurn(veto);
+  if (!turn) return null;
+
+  const [own, opponents] = turn.team === "Team A" ? [teamA, teamB] : [teamB, teamA];
+  const advantage = (mapId) => teamFamiliarity(own, mapId) - teamFamiliarity(opponents, mapId);
+  const score = (mapId) => (turn.action === "ban" ? -advantage(mapId) : advantage(mapId));
+  return veto.remaining.reduce((best, mapId) => (score(mapId) > score(best) ? mapId : best));
+};
+
+// Play out the rest of a veto by the familiarity rules
+export const completeVeto = (veto, teamA, teamB) => {
+  let current = veto;
+  while (vetoTurn(current)) {
+    current = applyVetoChoice(current, autoVetoChoice(current, teamA, teamB));
+  }
+  return current;
+};
+
+// Skip the veto and draw the map by the pool's selection weights
+export const randomVeto = (mapPool = DEFAULT_MAP_POOL, rng = Math.random) => {
+  const map = pickMap(mapPool, rng).id;
+  return { remaining: [map], steps: [{ team: null, action: "random", map }], map };
+};
+
+// One line of the veto sequence, e.g. "Team A banned Map B"
+export const describeVetoStep = (step, mapPool = DEFAULT_MAP_POOL) => {
+  const name = mapName(mapPool, step.map);
+  if (step.action === "ban") return `${step.team} banned ${name}`;
+  if (step.action === "pick") return `${step.team} picked ${name}`;
+  if (step.action === "decider") return `${name} left as the decider`;
+  return `${name} drawn at random`;
+};
@@ -0,0 +1,65 @@
+import {
+  applyVetoChoice,
+  autoVetoChoice,
+  completeVeto,
+  describeVetoStep,
+  randomVeto,
+  startVeto,
+  teamFamiliarity,
+  vetoTurn,
+} from './mapVeto';
+
+const pool = [
+  { id: 'A', name: 'Dust', weight: 1, retired: false },
+  { id: 'B', name: 'Canal', weight: 1, retired: false },
+  { id: 'C', name: 'Harbor', weight: 1, retired: false },
+  { id: 'D', name: 'Old Town', weight: 1, retired: true },
+  { id: 'E', name: 'Ruins', weight: 0, retired: false },
+];
+
+const player = (mapFamiliarity) => ({ mapFamiliarity });
+// Team A is strong on A, Team B on B; C is roughly even
+const teamA = [player({ A: '150.00', B: '50.00', C: '100.00' }), player({ A: '130.00', B: '70.00', C: '90.00' })];
+const teamB = [player({ A: '60.00', B: '160.00', C: '100.00' }), player({ A: '80.00', B: '120.00', C: '95.00' })];
+
+test('teams alternate bans until two maps remain, then the team on turn picks', () => {
+  let veto = startVeto(pool);
+  expect(veto).toEqual({ remaining: ['A', 'B', 'C'], steps: [], map: null });
+  expect(vetoTurn(veto)).toEqual({ team: 'Team A', action: 'ban' });
+
+  veto = applyVetoChoice(veto, 'B');
+  expect(vetoTurn(veto)).toEqual({ team: 'Team B', action: 'pick' });
+  expect(() => applyVetoChoice(veto, 'B')).toThrow(/not available/);
+
+  veto = applyVetoChoice(veto, 'C');
+  expect(veto.map).toBe('C');
+  expect(vetoTurn(veto)).toBeNull();
+  expect(veto.steps.map(step => describeVetoStep(step, pool))).toEqual([
+    'Team A banned Canal',
+    'Team B picked Harbor',
+  ]);
+});
+
+test('a single playable map is the decider', () => {
+  const veto = startVeto([pool[0], pool[3]]);
+  expect(veto.map).toBe('A');
+  expect(describeVetoStep(veto.steps[0], pool)).toBe('Dust left as the decider');
+});
+
+test('the familiarity rules ban the opponents\' best map and pick their own', () => {
+  expect(teamFamiliarity(teamA, 'A')).toBe(280);
+  const veto = startVeto(pool);
+  expect(autoVetoChoice(veto, teamA, teamB)).toBe('B');
+  expect(completeVeto(veto, teamA, teamB).steps).toEqual([
+    { team: 'Team A', action: 'ban', map: 'B' },
+    { team: 'Team B', action: 'pick', map: 'C' },
+  ]);
+});
+
+test('randomVeto draws by weight from the maps in rotation', () => {
+  expect(randomVeto(pool, () => 0.99)).toEqual({
+    remaining: ['C'],
+    steps: [{ team: null, action: 'random', map: 'C' }],
+    map: 'C',
+  });
+});
@@ -0,0 +1,74 @@
+// Match history: a compact, serialisable record of every committed match.
+import { matchesPlayed } from "./ratingEngine";
+
+const toPlayerRecord = (player) => ({
+  id: player.id,
+  kills: player.kills,
+  deaths: player.deaths,
+  kd: player.kd,
+  networkStability: player.networkStability,
+  afkValue: player.afkValue,
+  afkShare: player.afkShare ?? null, // Rounds actually missed; null when the match was not played out
+  partyId: player.partyId ?? null,
+  currentMapFamiliarity: player.currentMapFamiliarity,
+  tradBefore: parseFloat(player.lastElo),
+  tradAfter: player.tradElo,
+  contextBefore: parseFloat(player.lastContextElo),
+  contextAfter: player.contextElo,
+  contextFactors: player.contextFactors,
+  matchesPlayed: matchesPlayed(player), // Before this match, so replays know who was still in placements
+});
+
+/**
+ * Build the history record of a rated match.
+ * @param {{id: string, map: string, winner: string, ratings: object, veto?: object[], score?: object, day?: number}}
+ *   match ratings is the output of rateMatch; veto is the map veto sequence (see mapVeto.js), empty when the map
+ *   was not vetoed; score is the rounds each team won, {teamA, teamB}, when the match was played out; day is the
+ *   simulated calendar day it was played on
+ * @returns {object} teams with per-player context and ratings, plus both systems' pre-match predictions
+ */
+export const createMatchRecord = ({ id, map, winner, ratings, veto = [], score = null, day = null }) => ({
+  id,
+  day,
+  map,
+  winner,
+  score,
+  veto,
+  tradExpectedA: ratings.expectedA,
+  contextExpectedA: ratings.contextExpectedA,
+  teamA: ratings.contextAware.teamA.map(toPlayerRecord),
+  teamB: ratings.contextAware.teamB.map(toPlayerRecord),
+});
+
+// Number of the next simulated match, past the highest "M0001"-style id in use so it cannot collide with
+// ids that came in from an imported match log
+export const nextMatchNumber = (matchHistory) => 1 + Math.max(
+  matchHistory.length,
+  ...matchHistory.map(match => /^M(\d+)$/.exec(match.id)).filter(Boolean).map(found => Number(found[1]))
+);
+
+// Match log entries whose ids are already in the match history; applying them again would count every
+// rating update twice
+export const duplicateMatchIds = (matches, matchHistory) => {
+  const known = new Set(matchHistory.map(match => match.id));
+  return matches.filter(match => known.has(match.id)).map(match => match.id);
+};
+
+// Flatten match records into one audit row per player per match
+export const toAuditRows = (matchHistory) =>
+  matchHistory.flatMap(match =>
+    [["Team A", match.teamA, match.tradExpectedA, match.contextExpectedA, match.score?.teamA, match.score?.teamB],
+     ["Team B", match.teamB, 1 - match.tradExpectedA, 1 - match.contextExpectedA, match.score?.teamB, match.score?.teamA]]
+      .flatMap(([team, members, tradExpected, contextExpected, roundsWon, roundsLost]) => members.map(player => ({
+        matchId: match.id,
+        timestamp: match.timestamp ?? null,
+        map: match.map,
+        team,
+        won: match.winner === team,
+        roundsWon: roundsWon ?? null,
+        roundsLost: roundsLost ?? null,
+        tradExpected,
+        contextExpected,
+        ...player,
+      })))
+  );
@@ -0,0 +1,197 @@
+// Match log import: real match records from JSON or CSV, validated and put in chronological order.
+import { parseCsvLines } from "./csv";
+
+// CSV layout: one row per player per match
+export const MATCH_LOG_CSV_COLUMNS = [
+  "match_id", "timestamp", "map", "winner", "team", "player_id", "kills", "deaths", "network_stability", "afk",
+];
+const REQUIRED_CSV_COLUMNS = ["match_id", "winner", "team", "player_id", "kills", "deaths"];
+
+// "A", "Team A", "team_a" all mean Team A
+const normalizeTeam = (value) => {
+  const text = String(value ?? "").trim().toLowerCase().replace(/[\s_]/g, "");
+  if (text === "a" || text === "teama") return "Team A";
+  if (text === "b" || text === "teamb") return "Team B";
+  return null;
+};
+
+// Blank cells count as missing rather than 0
+const toNumber = (value) => (value === "" || value === null || value === undefined ? NaN : Number(value));
+
+const isFraction = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Validate one raw player entry; returns [player, errors]
+const normalizePlayer = (raw, label) => {
+  const errors = [];
+  const id = String(raw.id ?? "").trim();
+  const kills = toNumber(raw.kills);
+  const deaths = toNumber(raw.deaths);
+  const networkStability = raw.networkStability === undefined || raw.networkStability === ""
+    ? 1 : Number(raw.networkStability);
+  const afkValue = raw.afkValue === undefined || raw.afkValue === "" ? 0 : Number(raw.afkValue);
+
+  if (!id) errors.push(`${label}: missing player ID`);
+  if (!isCount(kills)) errors.push(`${label}: kills must be a whole number of at least 0`);
+  if (!isCount(deaths)) errors.push(`${label}: deaths must be a whole number of at least 0`);
+  if (!isFraction(networkStability)) errors.push(`${label}: network stability must be between 0 and 1`);
+  if (!isFraction(afkValue)) errors.push(`${label}: AFK fraction must be between 0 and 1`);
+
+  return [{
+    id,
+    kills,
+    deaths,
+    kd: parseFloat((kills / Math.max(1, deaths)).toFixed(2)), // Same K/D rule as the simulator
+    networkStability,
+    afkValue,
+  }, errors];
+};
+
+// Validate one raw match; returns [match, errors]
+const normalizeMatch = (raw, index) => {
+  const errors = [];
+  const id = String(raw.id ?? "").trim() || `L${(index + 1).toString().padStart(4, "0")}`;
+  const label = `Match ${id}`;
+  const winner = normalizeTeam(raw.winner);
+  const time = raw.timestamp === undefined || raw.timestamp === "" ? null : new Date(raw.timestamp).getTime();
+
+  if (!winner) errors.push(`${label}: winner must be A or B`);
+  if (Number.isNaN(time)) errors.push(`${label}: timestamp "${raw.timestamp}" is not a date`);
+
+  const normalizeTeamPlayers = (team, name) => {
+    if (!Array.isArray(team) || team.length === 0) {
+      errors.push(`${label}: ${name} has no players`);
+      return [];
+    }
+    return team.map((player, i) => {
+      const [normalized, playerErrors] = normalizePlayer(player, `${label} ${name} player ${i + 1}`);
+      errors.push(...playerErrors);
+      return normalized;
+    });
+  };
+
+  const teamA = normalizeTeamPlayers(raw.teamA, "Team A");
+  const teamB = normalizeTeamPlayers(raw.teamB, "Team B");
+
+  const ids = [...teamA, ...teamB].map(p => p.id).filter(Boolean);
+  const repeated = ids.filter((playerId, i) => ids.indexOf(playerId) !== i);
+  if (repeated.length > 0) errors.push(`${label}: ${[...new Set(repeated)].join(", ")} listed more than once`);
+
+  return [{
+    id,
+    timestamp: time === null ? null : new Date(time).toISOString(),
+    map: raw.map ? String(raw.map).trim() : null,
+    winner,
+    teamA,
+    teamB,
+  }, errors];
+};
+
+// Validate raw matches, check for repeated match IDs and sort by timestamp (file order breaks ties)
+const normalizeMatches = (rawMatches) => {
+  const errors = [];
+  const matches = rawMatches.map((raw, index) => {
+    const [match, matchErrors] = normalizeMatch(raw, index);
+    errors.push(...matchErrors);
+    return { match, index };
+  });
+
+  const seenIds = new Set();
+  matches.forEach(({ match }) => {
+    if (seenIds.has(match.id)) errors.push(`Match ${match.id} appears more than once`);
+    seenIds.add(match.id);
+  });
+
+  const sorted = matches
+    .sort((a, b) => {
+      const timeA = a.match.timestamp ? Date.parse(a.match.timestamp) : -Infinity;
+      const timeB = b.match.timestamp ? Date.parse(b.match.timestamp) : -Infinity;
+      return timeA - timeB || a.index - b.index;
+    })
+    .map(({ match }) => match);
+
+  return { matches: errors.length === 0 ? sorted : [], errors };
+};
+
+/**
+ * JSON log: an array of { id, timestamp, map, winner: "A"|"B", teamA: [...], teamB: [...] },
+ * each player { id, kills, deaths, networkStability, afkValue }.
+ * @returns {{matches: object[], errors: string[]}} matches is empty when anything is invalid
+ */
+export const parseMatchLogJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { matches: [], errors: [`Not valid JSON: ${error.message}`] };
+  }
+  const rawMatches = Array.isArray(data) ? data : data?.matches;
+  if (!Array.isArray(rawMatches)) {
+    return { matches: [], errors: ["Expected an array of matches (or an object with a matches array)"] };
+  }
+  return normalizeMatches(rawMatches.map(raw => raw ?? {}));
+};
+
+/**
+ * CSV log with the MATCH_LOG_CSV_COLUMNS headers, one row per player per match.
+ * @returns {{matches: object[], errors: string[]}} matches is empty when anything is invalid
+ */
+export const parseMatchLogCsv = (text) => {
+  const { rows: [headerRow = [], ...rows], lines: [, ...lines] } = parseCsvLines(text);
+  const headers = headerRow.map(h => h.trim().toLowerCase().replace(/\s+/g, "_"));
+  const missing = REQUIRED_CSV_COLUMNS.filter(column => !headers.includes(column));
+  if (missing.length > 0) return { matches: [], errors: [`Missing columns: ${missing.join(", ")}`] };
+
+  const column = (row, name) => {
+    const index = headers.indexOf(name);
+    return index === -1 ? "" : (row[index] ?? "").trim();
+  };
+
+  const errors = [];
+  const byId = new Map();
+  rows.forEach((row, i) => {
+    const line = lines[i];
+    const matchId = column(row, "match_id");
+    const team = normalizeTeam(column(row, "team"));
+    if (!matchId) {
+      errors.push(`Line ${line}: missing match_id`);
+      return;
+    }
+    if (!team) {
+      errors.push(`Line ${line}: team must be A or B`);
+      return;
+    }
+
+    if (!byId.has(matchId)) {
+      byId.set(matchId, {
+        id: matchId,
+        timestamp: column(row, "timestamp"),
+        map: column(row, "map"),
+        winner: column(row, "winner"),
+        teamA: [],
+        teamB: [],
+      });
+    }
+    const match = byId.get(matchId);
+    if (normalizeTeam(column(row, "winner")) !== normalizeTeam(match.winner)) {
+      errors.push(`Line ${line}: winner disagrees with earlier rows of match ${matchId}`);
+    }
+
+    (team === "Team A" ? match.teamA : match.teamB).push({
+      id: column(row, "player_id"),
+      kills: column(row, "kills"),
+      deaths: column(row, "deaths"),
+      networkStability: column(row, "network_stability"),
+      afkValue: column(row, "afk"),
+    });
+  });
+
+  if (errors.length > 0) return { matches: [], errors };
+  return normalizeMatches([...byId.values()]);
+};
+
+// Pick the parser from the file name, falling back to sniffing the content
+export const parseMatchLog = (fileName, text) => {
+  const looksLikeJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  return looksLikeJson ? parseMatchLogJson(text) : parseMatchLogCsv(text);
+};
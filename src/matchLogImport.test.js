@@ -0,0 +1,85 @@
+import { duplicateMatchIds, nextMatchNumber } from './matchHistory';
+import { parseMatchLog, parseMatchLogCsv, parseMatchLogJson } from './matchLogImport';
+
+const player = (id, kills = 10, deaths = 5) => ({ id, kills, deaths, networkStability: 0.9, afkValue: 0 });
+
+describe('parseMatchLogJson', () => {
+  test('normalises matches and sorts them chronologically', () => {
+    const log = [
+      { id: 'late', timestamp: '2024-05-02T10:00:00Z', map: 'A', winner: 'B', teamA: [player('p1')], teamB: [player('p2')] },
+      { id: 'early', timestamp: '2024-05-01T10:00:00Z', map: 'B', winner: 'Team A', teamA: [{ id: 'p1', kills: 3, deaths: 0 }], teamB: [player('p2')] },
+    ];
+    const { matches, errors } = parseMatchLogJson(JSON.stringify(log));
+    expect(errors).toEqual([]);
+    expect(matches.map(m => m.id)).toEqual(['early', 'late']);
+    expect(matches[0].winner).toBe('Team A');
+    expect(matches[0].teamA[0]).toEqual({ id: 'p1', kills: 3, deaths: 0, kd: 3, networkStability: 1, afkValue: 0 });
+  });
+
+  test('names matches without an id and reports invalid entries', () => {
+    const log = [
+      { winner: 'C', teamA: [], teamB: [{ id: 'p2', kills: -1, deaths: 2, afkValue: 2 }] },
+      { id: 'L0001', winner: 'A', teamA: [player('p1')], teamB: [player('p1')] },
+    ];
+    expect(parseMatchLogJson(JSON.stringify(log))).toEqual({
+      matches: [],
+      errors: [
+        'Match L0001: winner must be A or B',
+        'Match L0001: Team A has no players',
+        'Match L0001 Team B player 1: kills must be a whole number of at least 0',
+        'Match L0001 Team B player 1: AFK fraction must be between 0 and 1',
+        'Match L0001: p1 listed more than once',
+        'Match L0001 appears more than once',
+      ],
+    });
+  });
+
+  test('rejects JSON that is not a list of matches', () => {
+    expect(parseMatchLogJson('{"players": []}').errors[0]).toMatch(/expected an array/i);
+    expect(parseMatchLogJson('nope').errors[0]).toMatch(/not valid json/i);
+  });
+});
+
+describe('parseMatchLogCsv', () => {
+  const header = 'match_id,timestamp,map,winner,team,player_id,kills,deaths,network_stability,afk';
+
+  test('groups player rows into matches', () => {
+    const csv = [
+      header,
+      'm1,2024-05-01,A,A,A,p1,10,2,0.95,0',
+      'm1,2024-05-01,A,A,B,p2,2,10,0.5,0.3',
+      'm1,2024-05-01,A,A,A,p3,5,5,,',
+    ].join('\n');
+    const { matches, errors } = parseMatchLogCsv(csv);
+    expect(errors).toEqual([]);
+    expect(matches).toHaveLength(1);
+    expect(matches[0].teamA.map(p => p.id)).toEqual(['p1', 'p3']);
+    expect(matches[0].teamB[0]).toMatchObject({ id: 'p2', networkStability: 0.5, afkValue: 0.3, kd: 0.2 });
+    expect(matches[0].teamA[1]).toMatchObject({ networkStability: 1, afkValue: 0 });
+  });
+
+  test('reports missing columns and inconsistent rows', () => {
+    expect(parseMatchLogCsv('match_id,team\nm1,A').errors).toEqual([
+      'Missing columns: winner, player_id, kills, deaths',
+    ]);
+    // Errors point at file lines, past blank lines
+    const csv = [header, 'm1,,A,A,A,p1,1,1,1,0', '', 'm1,,A,B,X,p2,1,1,1,0', 'm1,,A,B,B,p3,,1,1,0'].join('\n');
+    expect(parseMatchLogCsv(csv).errors).toEqual([
+      'Line 4: team must be A or B',
+      'Line 5: winner disagrees with earlier rows of match m1',
+    ]);
+  });
+});
+
+test('parseMatchLog picks the format from the file', () => {
+  expect(parseMatchLog('log.csv', '[]').matches).toEqual([]);
+  expect(parseMatchLog('log.txt', 'match_id\n').errors[0]).toMatch(/missing columns/i);
+});
+
+test('log matches already in the history are found, and simulated ids continue past imported ones', () => {
+  const history = [{ id: 'M0001' }, { id: 'M0007' }, { id: 'scrim-3' }];
+  expect(duplicateMatchIds([{ id: 'M0007' }, { id: 'M0008' }, { id: 'scrim-3' }], history)).toEqual(['M0007', 'scrim-3']);
+  expect(nextMatchNumber(history)).toBe(8);
+  expect(nextMatchNumber([{ id: 'a' }, { id: 'b' }])).toBe(3);
+  expect(nextMatchNumber([])).toBe(1);
+});
@@ -0,0 +1,206 @@
+// Matchmaking queue: players queue over simulated time and are grouped into lobbies of 10.
+// The rating spread a lobby may have widens the longer its longest-waiting player has queued, so
+// outliers are matched eventually; players sit out a cooldown after each match before queueing again.
+// A party queues as one entry with its members' average rating and is always matched whole.
+import { formatMatchId, playMatch } from "./batch";
+import { DEFAULT_MAP_POOL } from "./mapPool";
+import { PREMADE_GAP_WEIGHT, bestPremadeGap, fillLobby, groupParties } from "./parties";
+import { DEFAULT_SETTINGS, getContextRating } from "./ratingEngine";
+
+export const LOBBY_SIZE = 10;
+export const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Times are in simulated seconds unless the name says otherwise
+export const DEFAULT_QUEUE_OPTIONS = {
+  baseSpread: 0.05, // Rating spread allowed straight away
+  widenPerMinute: 0.02, // Extra spread allowed per minute waited
+  maxSpread: 1, // Spans the whole rating scale, so nobody waits forever
+  matchMinutes: 30,
+  cooldownMinutes: 5, // Time out of the queue after a match ends
+  arrivalMinutes: 10, // Players first join at random times within this window
+  tickSeconds: 30, // How often the matchmaker looks for lobbies
+};
+
+// Rating spread a lobby may have once its longest-waiting player has queued `waitSeconds`
+export const allowedSpread = (waitSeconds, options = DEFAULT_QUEUE_OPTIONS) =>
+  Math.min(options.maxSpread, options.baseSpread + (options.widenPerMinute * waitSeconds) / 60);
+
+// Players a queue entry stands for: one, or a whole party
+const entrySize = (entry) => entry.playerIds?.length ?? 1;
+export const entryPlayerIds = (entry) => entry.playerIds ?? [entry.playerId];
+const queuedPlayers = (queue) => queue.reduce((sum, entry) => sum + entrySize(entry), 0);
+
+// With parties queued: the lobby around the anchor that best trades rating spread against premades
+// facing premades of a different size, among those that can be split into two even teams
+const findPartyLobby = (anchor, sorted, spread) => {
+  let best = null;
+  for (let start = 0; start <= sorted.indexOf(anchor); start++) {
+    const entries = fillLobby(sorted, start, entrySize);
+    if (!entries || !entries.includes(anchor)) continue;
+    const gap = bestPremadeGap(entries.map(entrySize));
+    const lobbySpread = entries[entries.length - 1].rating - entries[0].rating;
+    if (gap === null || lobbySpread > spread) continue;
+    const cost = lobbySpread + PREMADE_GAP_WEIGHT * gap;
+    if (!best || cost < best.cost) best = { entries, spread: lobbySpread, cost };
+  }
+  return best && { entries: best.entries, spread: best.spread };
+};
+
+// Tightest run of LOBBY_SIZE queued ratings that includes the anchor, if it fits in `spread`
+const findLobby = (anchor, queue, spread) => {
+  if (queuedPlayers(queue) < LOBBY_SIZE) return null;
+  const sorted = [...queue].sort((a, b) => a.rating - b.rating);
+  if (queue.some(entry => entrySize(entry) > 1)) return findPartyLobby(anchor, sorted, spread);
+  const anchorIndex = sorted.indexOf(anchor);
+
+  let best = null;
+  const firstStart = Math.max(0, anchorIndex - LOBBY_SIZE + 1);
+  const lastStart = Math.min(anchorIndex, sorted.length - LOBBY_SIZE);
+  for (let start = firstStart; start <= lastStart; start++) {
+    const entries = sorted.slice(start, start + LOBBY_SIZE);
+    const lobbySpread = entries[LOBBY_SIZE - 1].rating - entries[0].rating;
+    if (lobbySpread <= spread && (!best || lobbySpread < best.spread)) best = { entries, spread: lobbySpread };
+  }
+  return best;
+};
+
+/**
+ * Group queued players into as many lobbies as the spread rules allow at time `now`.
+ * The longest-waiting players are matched first, each with the tightest lobby around them.
+ * Party entries carry `partyId` and `playerIds` instead of `playerId`.
+ * @param {{playerId: string, rating: number, joinedAt: number}[]} queue
+ * @returns {{lobbies: {entries: object[], spread: number}[], queue: object[]}} queue holds everyone left waiting
+ */
+export const formLobbies = (queue, now, options = DEFAULT_QUEUE_OPTIONS) => {
+  let waiting = [...queue].sort((a, b) => a.joinedAt - b.joinedAt);
+  const lobbies = [];
+
+  let i = 0;
+  while (i < waiting.length) {
+    const anchor = waiting[i];
+    const lobby = findLobby(anchor, waiting, allowedSpread(now - anchor.joinedAt, options));
+    if (lobby) {
+      lobbies.push(lobby);
+      const matched = new Set(lobby.entries);
+      waiting = waiting.filter(entry => !matched.has(entry));
+    } else {
+      i++;
+    }
+  }
+  return { lobbies, queue: waiting };
+};
+
+/**
+ * Run the queue over `minutes` of simulated time, playing every lobby it forms (see playMatch).
+ * Several lobbies can be in play at once, and parties queue and rejoin together. The run starts on calendar day `day`.
+ * @returns {{players: object[], matches: object[], lobbies: object[], timeline: object[], waiting: object[]}}
+ *   the updated roster, the match records, one entry per lobby (matchId, startedAt, spread, waits by
+ *   player), queue and in-match counts per minute, and the players still queued at the end
+ */
+export const runQueue = (players, {
+  minutes = 120,
+  rng = Math.random,
+  firstMatchNumber = 1,
+  settings = DEFAULT_SETTINGS,
+  mapPool = DEFAULT_MAP_POOL,
+  teamStrategy = "exhaustive",
+  mapSelection = "veto",
+  options = DEFAULT_QUEUE_OPTIONS,
+  day = 0,
+} = {}) => {
+  let roster = players;
+  let queue = [];
+  const lobbies = [];
+  const matches = [];
+  const timeline = [];
+  // Queue entries are keyed by party id, or player id for solo players
+  const groupKey = (group) => (group.length > 1 ? group[0].partyId : group[0].id);
+  const groups = new Map(groupParties(players).map(group => [groupKey(group), group.map(p => p.id)]));
+  const entryKey = (entry) => entry.partyId ?? entry.playerId;
+  // When each group not already queued will (re)join: first arrival, or the end of match plus cooldown
+  const nextJoin = new Map([...groups.keys()].map(key => [key, Math.floor(rng() * options.arrivalMinutes * 60)]));
+  const busyUntil = new Map();
+
+  for (let now = 0; now <= minutes * 60; now += options.tickSeconds) {
+    const current = new Map(roster.map(p => [p.id, p]));
+    for (const [key, joinAt] of [...nextJoin]) {
+      if (joinAt > now) continue;
+      const members = groups.get(key).map(id => current.get(id));
+      const rating = members.reduce((sum, p) => sum + getContextRating(p), 0) / members.length;
+      queue.push(members.length === 1
+        ? { playerId: key, rating, joinedAt: joinAt }
+        : { partyId: key, playerIds: groups.get(key), rating, joinedAt: joinAt });
+      nextJoin.delete(key);
+    }
+
+    const formed = formLobbies(queue, now, options);
+    queue = formed.queue;
+    for (const lobby of formed.lobbies) {
+      const matchId = formatMatchId(firstMatchNumber + matches.length);
+      const ids = lobby.entries.flatMap(entryPlayerIds);
+      const byId = new Map(roster.map(p => [p.id, p]));
+      const lineup = ids.map(id => byId.get(id));
+      const matchDay = day + now / SECONDS_PER_DAY;
+      const outcome = playMatch(roster, { rng, matchId, settings, mapPool, teamStrategy, mapSelection, lineup, day: matchDay });
+      roster = outcome.players;
+      matches.push(outcome.match);
+      lobbies.push({
+        matchId,
+        startedAt: now,
+        spread: lobby.spread,
+        contextExpectedA: outcome.match.contextExpectedA,
+        waits: Object.fromEntries(lobby.entries.flatMap(entry => entryPlayerIds(entry).map(id => [id, now - entry.joinedAt]))),
+      });
+
+      const endsAt = now + options.matchMinutes * 60;
+      ids.forEach(id => busyUntil.set(id, endsAt));
+      lobby.entries.forEach(entry => nextJoin.set(entryKey(entry), endsAt + options.cooldownMinutes * 60));
+    }
+
+    if (now % 60 === 0) {
+      const playing = [...busyUntil.values()].filter(endsAt => endsAt > now).length;
+      timeline.push({ minute: now / 60, queued: queuedPlayers(queue), playing });
+    }
+  }
+
+  return { players: roster, matches, lobbies, timeline, waiting: queue };
+};
+
+const mean = (values) => (values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length);
+
+// Value below which `share` of the sorted values fall
+const percentile = (sorted, share) =>
+  sorted.length === 0 ? null : sorted[Math.min(sorted.length - 1, Math.ceil(share * sorted.length) - 1)];
+
+/**
+ * Queue-time and match-quality statistics of a queue run.
+ * @param {{lobbies: object[], waiting: object[]}} run output of runQueue
+ * @param {number} rosterSize players who could have queued
+ * @param {number} endTime simulated seconds the run lasted, to age the players still waiting
+ */
+export const queueStats = ({ lobbies, waiting }, rosterSize, endTime) => {
+  const waits = lobbies.flatMap(lobby => Object.values(lobby.waits)).sort((a, b) => a - b);
+  const matchesPerPlayer = new Map();
+  lobbies.forEach(lobby => Object.keys(lobby.waits).forEach(id => {
+    matchesPerPlayer.set(id, (matchesPerPlayer.get(id) ?? 0) + 1);
+  }));
+  const counts = [...matchesPerPlayer.values()];
+
+  return {
+    matchesFormed: lobbies.length,
+    meanWait: mean(waits),
+    medianWait: percentile(waits, 0.5),
+    p90Wait: percentile(waits, 0.9),
+    maxWait: waits.length === 0 ? null : waits[waits.length - 1],
+    meanSpread: mean(lobbies.map(lobby => lobby.spread)),
+    widestSpread: lobbies.length === 0 ? null : Math.max(...lobbies.map(lobby => lobby.spread)),
+    // How far the context-aware prediction was from a coin flip, on average
+    meanImbalance: mean(lobbies.map(lobby => Math.abs(lobby.contextExpectedA - 0.5))),
+    playersMatched: matchesPerPlayer.size,
+    rosterSize,
+    minMatchesPerPlayer: matchesPerPlayer.size < rosterSize ? 0 : Math.min(...counts),
+    maxMatchesPerPlayer: counts.length === 0 ? 0 : Math.max(...counts),
+    stillWaiting: queuedPlayers(waiting),
+    longestCurrentWait: waiting.length === 0 ? null : Math.max(...waiting.map(entry => endTime - entry.joinedAt)),
+  };
+};
@@ -0,0 +1,114 @@
+import { DEFAULT_MAP_POOL } from './mapPool';
+import { DEFAULT_QUEUE_OPTIONS, allowedSpread, formLobbies, queueStats, runQueue } from './matchmaking';
+import { generateParties } from './parties';
+import { createRng } from './random';
+import { calculateMapFamiliarity } from './ratingEngine';
+import { createPlayer, generateHours, generatePlayers } from './simulation';
+
+const entry = (playerId, rating, joinedAt = 0) => ({ playerId, rating, joinedAt });
+
+test('the allowed spread widens with waiting time up to the cap', () => {
+  expect(allowedSpread(0)).toBeCloseTo(0.05);
+  expect(allowedSpread(150)).toBeCloseTo(0.1);
+  expect(allowedSpread(10 * 3600)).toBe(DEFAULT_QUEUE_OPTIONS.maxSpread);
+});
+
+test('formLobbies matches the longest-waiting players first, several lobbies at once', () => {
+  const queue = [
+    ...Array.from({ length: 10 }, (_, i) => entry(`low${i}`, 0.3 + i * 0.002, 60)),
+    ...Array.from({ length: 10 }, (_, i) => entry(`high${i}`, 0.7 + i * 0.002, 0)),
+    entry('late', 0.5, 100),
+  ];
+  const { lobbies, queue: waiting } = formLobbies(queue, 120);
+  expect(lobbies.map(lobby => lobby.entries[0].playerId)).toEqual(['high0', 'low0']);
+  expect(lobbies[0].spread).toBeCloseTo(0.018);
+  expect(waiting.map(e => e.playerId)).toEqual(['late']);
+});
+
+test('an outlier waits until the window has widened enough to reach them', () => {
+  const queue = [
+    entry('outlier', 0.95, 0),
+    ...Array.from({ length: 10 }, (_, i) => entry(`p${i}`, 0.5 + i * 0.001, 0)),
+  ];
+  // Right away only the tight lobby forms and the outlier keeps waiting
+  const early = formLobbies(queue, 30);
+  expect(early.lobbies).toHaveLength(1);
+  expect(early.queue.map(e => e.playerId)).toEqual(['outlier']);
+  // After 20 minutes a lobby including them is allowed (0.05 + 0.4 spread)
+  const late = formLobbies(queue, 20 * 60);
+  expect(late.lobbies[0].entries.map(e => e.playerId)).toContain('outlier');
+});
+
+test('runQueue plays concurrent lobbies with cooldowns and reports queue statistics', () => {
+  const rng = createRng('queue');
+  const roster = calculateMapFamiliarity(generateHours(generatePlayers([], rng), DEFAULT_MAP_POOL, rng));
+  const run = runQueue(roster, { minutes: 90, rng, firstMatchNumber: 5, day: 2 });
+
+  expect(run.matches[0].id).toBe('M0005');
+  // Matches are stamped with the day and time of day they started on
+  run.matches.forEach((match, i) => expect(match.day).toBeCloseTo(2 + run.lobbies[i].startedAt / 86400));
+  expect(run.matches).toHaveLength(run.lobbies.length);
+  // Everyone arrives within 10 minutes, so the whole roster is in a match at once early on
+  expect(Math.max(...run.timeline.map(point => point.playing))).toBe(50);
+
+  // Nobody is matched again before their match and cooldown are over
+  const lastStart = new Map();
+  const gaps = [];
+  run.lobbies.forEach(lobby => Object.keys(lobby.waits).forEach(id => {
+    if (lastStart.has(id)) gaps.push(lobby.startedAt - lastStart.get(id));
+    lastStart.set(id, lobby.startedAt);
+  }));
+  expect(gaps.length).toBeGreaterThan(0);
+  expect(Math.min(...gaps)).toBeGreaterThanOrEqual(35 * 60);
+
+  const stats = queueStats(run, roster.length, 90 * 60);
+  expect(stats.matchesFormed).toBe(run.lobbies.length);
+  expect(stats.playersMatched).toBe(50);
+  expect(stats.minMatchesPerPlayer).toBeGreaterThanOrEqual(1);
+  expect(stats.meanWait).toBeLessThanOrEqual(stats.maxWait);
+  expect(stats.widestSpread).toBeLessThanOrEqual(1);
+  const played = run.players.filter(p => p.history.length > 0);
+  expect(played).toHaveLength(50);
+});
+
+test('a queued party is matched whole and counts as all its members', () => {
+  const party = { partyId: 'G01', playerIds: ['a', 'b', 'c'], rating: 0.5, joinedAt: 0 };
+  const solos = Array.from({ length: 7 }, (_, i) => entry(`p${i}`, 0.5 + i * 0.001, 0));
+  expect(formLobbies([party, ...solos.slice(0, 6)], 60).lobbies).toEqual([]);
+
+  const { lobbies, queue } = formLobbies([party, ...solos, entry('spare', 0.6, 0)], 60);
+  expect(lobbies).toHaveLength(1);
+  expect(lobbies[0].entries).toContain(party);
+  expect(lobbies[0].entries).toHaveLength(8);
+  expect(queue.map(e => e.playerId)).toEqual(['spare']);
+});
+
+test('runQueue keeps parties together in the queue and on one team', () => {
+  const rng = createRng('queue parties');
+  const roster = calculateMapFamiliarity(generateHours(generateParties(generatePlayers([], rng), rng), DEFAULT_MAP_POOL, rng));
+  const run = runQueue(roster, { minutes: 60, rng });
+  expect(run.matches.length).toBeGreaterThan(0);
+
+  const partyOf = new Map(roster.map(player => [player.id, player.partyId]));
+  run.matches.forEach(match => {
+    const sides = new Map();
+    [...match.teamA.map(p => [p.id, 'A']), ...match.teamB.map(p => [p.id, 'B'])].forEach(([id, side]) => {
+      const partyId = partyOf.get(id);
+      if (!partyId) return;
+      expect(sides.get(partyId) ?? side).toBe(side);
+      sides.set(partyId, side);
+    });
+    sides.forEach((_, partyId) => {
+      const size = roster.filter(p => p.partyId === partyId).length;
+      expect([...match.teamA, ...match.teamB].filter(p => p.partyId === partyId)).toHaveLength(size);
+    });
+  });
+});
+
+test('queueStats handles a run without lobbies', () => {
+  const run = { lobbies: [], waiting: [entry('solo', 0.5, 0)] };
+  expect(queueStats(run, 1, 600)).toMatchObject({
+    matchesFormed: 0, meanWait: null, playersMatched: 0, minMatchesPerPlayer: 0, stillWaiting: 1, longestCurrentWait: 600,
+  });
+  expect(runQueue([createPlayer('solo', 0.5)], { minutes: 5 }).matches).toEqual([]);
+});
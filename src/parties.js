@@ -0,0 +1,176 @@
+// Parties: premade groups of 2-5 players who queue together and always end up on the same team.
+// A player's party is `player.partyId` (null or missing for solo players). Nothing in here draws
+// randomness except generateParties, which takes the run's `rng`.
+
+export const MIN_PARTY_SIZE = 2;
+export const MAX_PARTY_SIZE = 5;
+export const TEAM_SIZE = 5;
+// Rating points one mismatched premade player costs when forming lobbies and teams (see premadeGap):
+// a lone 3-stack against solo players weighs like a 0.03 rating gap
+export const PREMADE_GAP_WEIGHT = 0.01;
+
+// Players grouped by party in first-seen order; solo players form groups of one
+export const groupParties = (players) => {
+  const groups = new Map();
+  players.forEach(player => {
+    const key = player.partyId ?? `solo:${player.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(player);
+  });
+  return [...groups.values()];
+};
+
+export const hasParties = (players) => players.some(player => player.partyId);
+
+// Size of the player's party on their team (1 for solo players)
+export const partySizeIn = (player, team) =>
+  player.partyId ? team.filter(mate => mate.partyId === player.partyId).length : 1;
+
+// Group sizes of two or more, largest first
+const stacks = (sizes) => sizes.filter(size => size >= MIN_PARTY_SIZE).sort((a, b) => b - a);
+
+// Sizes of the team's parties of two or more, largest first
+export const premadeSizes = (team) => stacks(groupParties(team).map(group => group.length));
+
+// Party sizes of two teams compared largest to largest
+const sizesGap = (sizesA, sizesB) => {
+  let gap = 0;
+  for (let i = 0; i < Math.max(sizesA.length, sizesB.length); i++) {
+    gap += Math.abs((sizesA[i] ?? 0) - (sizesB[i] ?? 0));
+  }
+  return gap;
+};
+
+// How unevenly premades face each other: 0 when both sides have the same stacks (or none);
+// a lone 3-stack against solo players gives 3
+export const premadeGap = (teamA, teamB) => sizesGap(premadeSizes(teamA), premadeSizes(teamB));
+
+// Smallest premadeGap an even split of groups of these sizes can reach; null when they cannot fill
+// two teams of TEAM_SIZE without breaking up a party
+export const bestPremadeGap = (sizes) => {
+  if (sizes.reduce((sum, size) => sum + size, 0) !== 2 * TEAM_SIZE) return null;
+  let best = null;
+  const choose = (index, inA, count) => {
+    if (count === TEAM_SIZE) {
+      const chosen = new Set(inA);
+      const gap = sizesGap(stacks(inA.map(i => sizes[i])), stacks(sizes.filter((_, i) => !chosen.has(i))));
+      if (best === null || gap < best) best = gap;
+      return;
+    }
+    for (let i = index; i < sizes.length; i++) {
+      if (count + sizes[i] <= TEAM_SIZE) choose(i + 1, [...inA, i], count + sizes[i]);
+    }
+  };
+  choose(0, [], 0);
+  return best;
+};
+
+// Greedily fill a lobby of two teams from `items` (sorted by rating) starting at `start`, skipping any
+// that would overflow it; null when the rest cannot fill it
+export const fillLobby = (items, start, sizeOf) => {
+  const lobby = [];
+  let count = 0;
+  for (let i = start; i < items.length && count < 2 * TEAM_SIZE; i++) {
+    if (count + sizeOf(items[i]) <= 2 * TEAM_SIZE) {
+      lobby.push(items[i]);
+      count += sizeOf(items[i]);
+    }
+  }
+  return count === 2 * TEAM_SIZE ? lobby : null;
+};
+
+// How far a player's party outnumbers the biggest stack on the other team, 0-1 (a 5-stack against solos is 1)
+export const stackAdvantage = (player, team, opponents) => {
+  const largestOpposing = Math.max(1, ...premadeSizes(opponents));
+  return Math.max(0, partySizeIn(player, team) - largestOpposing) / (MAX_PARTY_SIZE - 1);
+};
+
+/**
+ * Every way to split the players into two equal teams without breaking up a party, each split listed once
+ * (the first group always goes to Team A). Throws when the parties cannot be split evenly.
+ * @returns {{teamA: object[], teamB: object[]}[]}
+ */
+export const partySplits = (players) => {
+  const groups = groupParties(players);
+  const size = players.length / 2;
+  const splits = [];
+  const choose = (start, chosen, count) => {
+    if (count === size) {
+      const inA = new Set(chosen);
+      splits.push({
+        teamA: chosen.flatMap(i => groups[i]),
+        teamB: groups.filter((_, i) => !inA.has(i)).flat(),
+      });
+      return;
+    }
+    for (let i = start; i < groups.length; i++) {
+      if (count + groups[i].length <= size) choose(i + 1, [...chosen, i], count + groups[i].length);
+    }
+  };
+  if (groups.length > 0 && groups[0].length <= size) choose(1, [0], groups[0].length);
+  if (splits.length === 0) {
+    throw new Error("The players cannot be split into two even teams without breaking up a party");
+  }
+  return splits;
+};
+
+// Party ids run G01, G02, ... after the highest one in use
+const nextPartyId = (players) => {
+  const used = players
+    .map(player => /^G(\d+)$/.exec(player.partyId ?? ""))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  return `G${(Math.max(0, ...used) + 1).toString().padStart(2, "0")}`;
+};
+
+/**
+ * Put the given players into a new party.
+ * @returns {{players: object[], errors: string[]}} the roster with the party set; unchanged when there are errors
+ */
+export const createParty = (players, memberIds) => {
+  const ids = [...new Set(memberIds)];
+  const byId = new Map(players.map(player => [player.id, player]));
+  const errors = [];
+
+  if (ids.length < MIN_PARTY_SIZE || ids.length > MAX_PARTY_SIZE) {
+    errors.push(`a party needs ${MIN_PARTY_SIZE}-${MAX_PARTY_SIZE} players, got ${ids.length}`);
+  }
+  ids.forEach(id => {
+    if (!byId.has(id)) errors.push(`player ${id} is not in the roster`);
+    else if (byId.get(id).partyId) errors.push(`player ${id} is already in party ${byId.get(id).partyId}`);
+  });
+  if (errors.length > 0) return { players, errors };
+
+  const partyId = nextPartyId(players);
+  const members = new Set(ids);
+  return { players: players.map(player => (members.has(player.id) ? { ...player, partyId } : player)), errors };
+};
+
+export const disbandParty = (players, partyId) =>
+  players.map(player => (player.partyId === partyId ? { ...player, partyId: null } : player));
+
+/**
+ * Group about `share` of the solo players into random parties of 2-5.
+ * @returns {object[]} the roster with the new parties
+ */
+export const generateParties = (players, rng = Math.random, share = 0.3) => {
+  const solos = players.filter(player => !player.partyId);
+  // Fisher-Yates, so every grouping is equally likely
+  for (let i = solos.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [solos[i], solos[j]] = [solos[j], solos[i]];
+  }
+
+  let roster = players;
+  let next = 0;
+  const target = Math.round(solos.length * share);
+  while (next < target && solos.length - next >= MIN_PARTY_SIZE) {
+    const size = Math.min(
+      MIN_PARTY_SIZE + Math.floor(rng() * (MAX_PARTY_SIZE - MIN_PARTY_SIZE + 1)),
+      solos.length - next
+    );
+    roster = createParty(roster, solos.slice(next, next + size).map(player => player.id)).players;
+    next += size;
+  }
+  return roster;
+};
@@ -0,0 +1,84 @@
+import {
+  bestPremadeGap,
+  createParty,
+  disbandParty,
+  generateParties,
+  groupParties,
+  partySplits,
+  premadeGap,
+  stackAdvantage,
+} from './parties';
+import { createRng } from './random';
+import { createPlayer } from './simulation';
+
+const roster = (count) => Array.from({ length: count }, (_, i) => createPlayer(`P${i + 1}`, 0.5));
+const inParty = (player, partyId) => ({ ...player, partyId });
+const ids = (team) => team.map(player => player.id);
+
+test('createParty groups players under the next party id', () => {
+  const { players, errors } = createParty(roster(6), ['P1', 'P3']);
+  expect(errors).toEqual([]);
+  expect(players.filter(p => p.partyId === 'G01').map(p => p.id)).toEqual(['P1', 'P3']);
+  expect(createParty(players, ['P2', 'P4', 'P5']).players.find(p => p.id === 'P2').partyId).toBe('G02');
+  expect(groupParties(players).map(group => group.length)).toEqual([2, 1, 1, 1, 1]);
+});
+
+test('createParty rejects bad sizes, unknown players and players already in a party', () => {
+  const players = createParty(roster(8), ['P1', 'P2']).players;
+  expect(createParty(players, ['P3']).errors).toEqual(['a party needs 2-5 players, got 1']);
+  expect(createParty(players, ['P3', 'P4', 'P5', 'P6', 'P7', 'P8']).errors).toEqual(['a party needs 2-5 players, got 6']);
+  const { players: unchanged, errors } = createParty(players, ['P2', 'P9']);
+  expect(errors).toEqual(['player P2 is already in party G01', 'player P9 is not in the roster']);
+  expect(unchanged).toBe(players);
+});
+
+test('disbandParty makes its members solo again', () => {
+  const players = disbandParty(createParty(roster(4), ['P1', 'P2']).players, 'G01');
+  expect(players.every(player => player.partyId === null)).toBe(true);
+});
+
+test('generateParties groups about the requested share of solo players', () => {
+  const players = generateParties(roster(50), createRng('parties'));
+  const parties = groupParties(players.filter(player => player.partyId));
+  const grouped = parties.reduce((sum, members) => sum + members.length, 0);
+  expect(grouped).toBeGreaterThanOrEqual(15);
+  expect(grouped).toBeLessThan(20);
+  parties.forEach(members => {
+    expect(members.length).toBeGreaterThanOrEqual(2);
+    expect(members.length).toBeLessThanOrEqual(5);
+  });
+});
+
+test('partySplits only lists even splits that keep every party whole', () => {
+  const players = roster(10).map((player, i) => (i < 3 ? inParty(player, 'G01') : i < 5 ? inParty(player, 'G02') : player));
+  const splits = partySplits(players);
+  splits.forEach(({ teamA, teamB }) => {
+    expect(teamA).toHaveLength(5);
+    expect(ids(teamA)).toEqual(expect.arrayContaining(['P1', 'P2', 'P3']));
+    const duoSide = ids(teamA).includes('P4') ? ids(teamA) : ids(teamB);
+    expect(duoSide).toContain('P5');
+  });
+  // The trio fills Team A with the duo (1 way) or two of the five solos (10 ways)
+  expect(splits).toHaveLength(11);
+
+  const stacked = roster(10).map((player, i) => inParty(player, i < 4 ? 'G01' : i < 8 ? 'G02' : 'G03'));
+  expect(() => partySplits(stacked)).toThrow(/without breaking up a party/);
+});
+
+test('premade gaps compare stacks largest to largest', () => {
+  const trio = roster(5).map((player, i) => (i < 3 ? inParty(player, 'G01') : player));
+  const otherTrio = roster(5).map((player, i) => (i < 3 ? inParty(player, 'G02') : player));
+  expect(premadeGap(trio, otherTrio)).toBe(0);
+  expect(premadeGap(trio, roster(5))).toBe(3);
+  expect(bestPremadeGap([3, 3, 1, 1, 1, 1])).toBe(0);
+  expect(bestPremadeGap([5, 1, 1, 1, 1, 1])).toBe(5);
+  expect(bestPremadeGap([4, 4, 2])).toBeNull();
+});
+
+test('stackAdvantage measures how far a party outnumbers the biggest opposing stack', () => {
+  const fiveStack = roster(5).map(player => inParty(player, 'G01'));
+  expect(stackAdvantage(fiveStack[0], fiveStack, roster(5))).toBe(1);
+  expect(stackAdvantage(roster(5)[0], roster(5), fiveStack)).toBe(0);
+  const duo = roster(5).map((player, i) => (i < 2 ? inParty(player, 'G02') : player));
+  expect(stackAdvantage(fiveStack[0], fiveStack, duo)).toBe(0.75);
+});
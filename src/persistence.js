@@ -0,0 +1,175 @@
+// Persistence: versioned snapshots of the whole simulation, kept in localStorage and shared as JSON files.
+import { DEFAULT_MAP_POOL, validateMapPool } from "./mapPool";
+import { DEFAULT_SETTINGS, validateSettings } from "./ratingEngine";
+
+export const SNAPSHOT_VERSION = 3;
+export const STORAGE_KEY = "context-elo:snapshot";
+
+// A v2 team's AFK values the other way round: everyone away but the one player who went AFK. Such a team
+// (one player at 0, the rest sharing a value above 0) gets that value on its AFK player and 0 for the rest.
+const flipLegacyAfk = (team) => {
+  if (!Array.isArray(team)) return team;
+  const values = team.map(player => player?.afkValue);
+  const afkIndex = values.indexOf(0);
+  const rest = values.filter((_, i) => i !== afkIndex);
+  if (afkIndex === -1 || values.lastIndexOf(0) !== afkIndex || rest.length === 0
+      || !rest.every(value => typeof value === "number" && value > 0 && value === rest[0])) {
+    return team;
+  }
+  return team.map((player, i) => ({ ...player, afkValue: i === afkIndex ? rest[0] : 0 }));
+};
+
+// Upgrades from each older version to the next one; add an entry whenever the snapshot shape changes
+const MIGRATIONS = {
+  // v2: the fixed maps A/B/C became a map pool; per-map player fields moved into objects keyed by map id
+  1: (snapshot) => ({
+    ...snapshot,
+    mapPool: DEFAULT_MAP_POOL,
+    players: (snapshot.players ?? []).map(player => {
+      if (!player || typeof player !== "object") return player;
+      const { hoursA, hoursB, hoursC, mapFamiliarityA, mapFamiliarityB, mapFamiliarityC, ...rest } = player;
+      const byMap = (values) => Object.fromEntries(
+        Object.entries(values).filter(([, value]) => value !== null && value !== undefined && value !== "")
+      );
+      return {
+        ...rest,
+        hours: byMap({ A: hoursA, B: hoursB, C: hoursC }),
+        mapFamiliarity: byMap({ A: mapFamiliarityA, B: mapFamiliarityB, C: mapFamiliarityC }),
+        bestMap: (player.bestMap || "").replace(/^Map /, ""),
+      };
+    }),
+  }),
+  // v3: afkValue belongs to the player who went AFK, not to their teammates (see flipLegacyAfk). Match logs
+  // exported before v3 carry the old values and are not comparable with newer ones.
+  // Only the AFK values are fixed: ratings and rating histories were earned under the old values and are not
+  // recomputed, so a snapshot with any flipped team is marked legacyAfkRatings for the app to say so.
+  2: (snapshot) => {
+    let flipped = false;
+    const fixTeams = (teams) => {
+      if (!teams || typeof teams !== "object") return teams;
+      const teamA = flipLegacyAfk(teams.teamA);
+      const teamB = flipLegacyAfk(teams.teamB);
+      if (teamA === teams.teamA && teamB === teams.teamB) return teams;
+      flipped = true;
+      return { ...teams, teamA, teamB };
+    };
+    const migrated = {
+      ...snapshot,
+      matchHistory: Array.isArray(snapshot.matchHistory) ? snapshot.matchHistory.map(fixTeams) : snapshot.matchHistory,
+      currentMatch: snapshot.currentMatch ? { ...snapshot.currentMatch, teams: fixTeams(snapshot.currentMatch.teams) } : snapshot.currentMatch,
+    };
+    return flipped ? { ...migrated, legacyAfkRatings: true } : migrated;
+  },
+};
+
+/**
+ * Wrap the simulation state in a versioned snapshot.
+ * @param {object} state seed, rngState, players, hoursGenerated, matchHistory, calendarDay (the simulated day,
+ *   see decay.js), settings, settingsPresets, mapPool, currentMatch (the Match Simulator's in-progress match,
+ *   or null) and legacyAfkRatings (ratings still from before the v3 AFK fix, see MIGRATIONS)
+ */
+export const createSnapshot = (state) => ({
+  version: SNAPSHOT_VERSION,
+  savedAt: new Date().toISOString(),
+  ...state,
+});
+
+// Bring an older snapshot up to SNAPSHOT_VERSION; throws for versions this build cannot read
+export const migrateSnapshot = (data) => {
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error("Snapshot has no valid version number");
+  }
+  if (data.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${data.version} is newer than this app supports (${SNAPSHOT_VERSION})`);
+  }
+
+  let snapshot = data;
+  while (snapshot.version < SNAPSHOT_VERSION) {
+    snapshot = { ...MIGRATIONS[snapshot.version](snapshot), version: snapshot.version + 1 };
+  }
+  return snapshot;
+};
+
+// Schema problems with a current-version snapshot; empty when it can be loaded
+export const validateSnapshot = (snapshot) => {
+  const errors = [];
+
+  if (!Array.isArray(snapshot.players)) {
+    errors.push("players must be a list");
+  } else {
+    const ids = new Set();
+    snapshot.players.forEach((player, i) => {
+      if (!player || typeof player.id !== "string") {
+        errors.push(`players[${i}] has no id`);
+        return;
+      }
+      if (ids.has(player.id)) errors.push(`players[${i}] repeats id ${player.id}`);
+      ids.add(player.id);
+      if (typeof player.tradElo !== "number" || typeof player.contextElo !== "number") {
+        errors.push(`player ${player.id} is missing its ratings`);
+      }
+      if (!Array.isArray(player.history)) errors.push(`player ${player.id} has no rating history`);
+    });
+  }
+
+  if (!Array.isArray(snapshot.matchHistory)) errors.push("matchHistory must be a list");
+  if (typeof snapshot.seed !== "string") errors.push("seed must be a string");
+  // Snapshots saved before the calendar existed start it at day 0
+  if (snapshot.calendarDay !== undefined && !(Number.isFinite(snapshot.calendarDay) && snapshot.calendarDay >= 0)) {
+    errors.push("calendarDay must be a number of at least 0");
+  }
+  if (!snapshot.settings || typeof snapshot.settings !== "object") {
+    errors.push("settings are missing");
+  } else {
+    errors.push(...validateSettings({ ...DEFAULT_SETTINGS, ...snapshot.settings }));
+  }
+  if (!Array.isArray(snapshot.settingsPresets)) errors.push("settingsPresets must be a list");
+  errors.push(...validateMapPool(snapshot.mapPool));
+
+  return errors;
+};
+
+/**
+ * Parse, migrate and validate snapshot JSON.
+ * @returns {{snapshot: object|null, errors: string[]}}
+ */
+export const parseSnapshot = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { snapshot: null, errors: [`Not valid JSON: ${error.message}`] };
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { snapshot: null, errors: ["Snapshot must be a JSON object"] };
+  }
+
+  let snapshot;
+  try {
+    snapshot = migrateSnapshot(data);
+  } catch (error) {
+    return { snapshot: null, errors: [error.message] };
+  }
+
+  const errors = validateSnapshot(snapshot);
+  return { snapshot: errors.length === 0 ? snapshot : null, errors };
+};
+
+// Returns an error message when the browser refuses the write (usually the storage quota)
+export const saveToLocalStorage = (snapshot, storage = window.localStorage) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// The last autosaved snapshot, or null when there is none or it can no longer be read
+export const loadFromLocalStorage = (storage = window.localStorage) => {
+  const text = storage.getItem(STORAGE_KEY);
+  if (!text) return null;
+  return parseSnapshot(text).snapshot;
+};
+
+export const clearLocalStorage = (storage = window.localStorage) => storage.removeItem(STORAGE_KEY);
@@ -0,0 +1,120 @@
+import { DEFAULT_MAP_POOL } from './mapPool';
+import { DEFAULT_SETTINGS } from './ratingEngine';
+import {
+  SNAPSHOT_VERSION,
+  createSnapshot,
+  loadFromLocalStorage,
+  migrateSnapshot,
+  parseSnapshot,
+  saveToLocalStorage,
+  validateSnapshot,
+} from './persistence';
+
+const makeState = () => ({
+  seed: '42',
+  rngState: 123,
+  players: [{ id: 'P001', elo: '0.500', tradElo: 0.5, contextElo: 0.5, history: [] }],
+  hoursGenerated: false,
+  matchHistory: [],
+  settings: DEFAULT_SETTINGS,
+  settingsPresets: [{ name: 'Default', settings: DEFAULT_SETTINGS }],
+  mapPool: DEFAULT_MAP_POOL,
+  currentMatch: null,
+});
+
+test('a snapshot survives a JSON round trip', () => {
+  const snapshot = createSnapshot(makeState());
+  expect(snapshot.version).toBe(SNAPSHOT_VERSION);
+  expect(parseSnapshot(JSON.stringify(snapshot))).toEqual({ snapshot, errors: [] });
+});
+
+test('parseSnapshot reports unreadable input', () => {
+  expect(parseSnapshot('{oops').errors[0]).toMatch(/not valid json/i);
+  expect(parseSnapshot('[]').errors).toEqual(['Snapshot must be a JSON object']);
+  expect(parseSnapshot('{}').errors).toEqual(['Snapshot has no valid version number']);
+});
+
+test('migrateSnapshot refuses snapshots from a newer version', () => {
+  expect(() => migrateSnapshot({ version: SNAPSHOT_VERSION + 1 })).toThrow(/newer/);
+});
+
+test('version 1 snapshots move the fixed map fields into the map pool', () => {
+  const state = makeState();
+  const v1 = {
+    ...state,
+    version: 1,
+    mapPool: undefined, // Dropped by JSON.stringify
+    players: [
+      { ...state.players[0], hoursA: 10, hoursB: 0, hoursC: 5, mapFamiliarityA: '50.00', mapFamiliarityB: '0.00', mapFamiliarityC: '100.00', bestMap: 'Map C' },
+      { id: 'P002', elo: '0.500', tradElo: 0.5, contextElo: 0.5, history: [], hoursA: null, hoursB: null, hoursC: null, bestMap: '' },
+    ],
+  };
+
+  const { snapshot, errors } = parseSnapshot(JSON.stringify(v1));
+  expect(errors).toEqual([]);
+  expect(snapshot.version).toBe(SNAPSHOT_VERSION);
+  expect(snapshot.mapPool).toEqual(DEFAULT_MAP_POOL);
+  expect(snapshot.players[0]).toEqual({
+    ...state.players[0],
+    hours: { A: 10, B: 0, C: 5 },
+    mapFamiliarity: { A: '50.00', B: '0.00', C: '100.00' },
+    bestMap: 'C',
+  });
+  expect(snapshot.players[1]).toMatchObject({ hours: {}, mapFamiliarity: {}, bestMap: '' });
+  expect(snapshot.players[1]).not.toHaveProperty('hoursA');
+});
+
+test('version 2 snapshots give the AFK value to the player who went AFK instead of their teammates', () => {
+  const team = (prefix, values) => values.map((afkValue, i) => ({ id: `${prefix}${i + 1}`, afkValue }));
+  const legacy = team('A', [0.25, 0.25, 0, 0.25, 0.25]);
+  const record = { id: 'M0001', teamA: legacy, teamB: team('B', [0, 0, 0.4, 0, 0]) };
+  const v2 = {
+    ...makeState(),
+    version: 2,
+    matchHistory: [record],
+    currentMatch: { matchStage: 3, teams: { teamA: legacy, teamB: team('B', [0, 0, 0, 0, 0]) } },
+  };
+
+  const snapshot = migrateSnapshot(v2);
+  expect(snapshot.version).toBe(SNAPSHOT_VERSION);
+  expect(snapshot.matchHistory[0].teamA.map(player => player.afkValue)).toEqual([0, 0, 0.25, 0, 0]);
+  expect(snapshot.matchHistory[0].teamB).toEqual(record.teamB); // Already one AFK player
+  expect(snapshot.currentMatch.teams.teamA.map(player => player.afkValue)).toEqual([0, 0, 0.25, 0, 0]);
+  expect(snapshot.currentMatch.teams.teamB.map(player => player.afkValue)).toEqual([0, 0, 0, 0, 0]);
+  expect(snapshot.legacyAfkRatings).toBe(true); // The ratings were earned under the old values
+  expect(migrateSnapshot({ ...makeState(), version: 2 })).not.toHaveProperty('legacyAfkRatings');
+});
+
+test('validateSnapshot lists schema problems', () => {
+  const state = makeState();
+  const errors = validateSnapshot({
+    ...state,
+    players: [state.players[0], { id: 'P001', history: [] }, {}],
+    settings: { ...DEFAULT_SETTINGS, minRating: 2 },
+    matchHistory: null,
+    calendarDay: -1,
+    mapPool: DEFAULT_MAP_POOL.map(map => ({ ...map, retired: true })),
+  });
+  expect(errors).toEqual([
+    'players[1] repeats id P001',
+    'player P001 is missing its ratings',
+    'players[2] has no id',
+    'matchHistory must be a list',
+    'calendarDay must be a number of at least 0',
+    'minRating must be below maxRating',
+    'at least one map in rotation needs a weight above 0',
+  ]);
+});
+
+test('snapshots are saved to and loaded from localStorage', () => {
+  localStorage.clear();
+  expect(loadFromLocalStorage()).toBeNull();
+  const snapshot = createSnapshot(makeState());
+  expect(saveToLocalStorage(snapshot)).toBeNull();
+  expect(loadFromLocalStorage()).toEqual(snapshot);
+});
+
+test('saveToLocalStorage reports a full storage instead of throwing', () => {
+  const fullStorage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+  expect(saveToLocalStorage(createSnapshot(makeState()), fullStorage)).toBe('QuotaExceededError');
+});
@@ -0,0 +1,68 @@
+// Prediction quality: how well each system's pre-match win probability matched the actual results.
+
+// Probabilities are clamped before taking logs so a confident miss costs a lot but not Infinity
+const EPSILON = 1e-6;
+
+export const PREDICTION_SYSTEMS = [
+  { key: "trad", name: "Traditional Elo", expectedKey: "tradExpectedA" },
+  { key: "context", name: "Context-Aware Elo", expectedKey: "contextExpectedA" },
+];
+
+// Team A's predicted win probability and whether Team A actually won, for one system
+export const toPredictions = (matchHistory, expectedKey) =>
+  matchHistory.map(match => ({
+    predicted: match[expectedKey],
+    actual: match.winner === "Team A" ? 1 : 0,
+  }));
+
+export const brierScore = (predictions) => {
+  if (predictions.length === 0) return null;
+  return predictions.reduce((sum, p) => sum + (p.predicted - p.actual) ** 2, 0) / predictions.length;
+};
+
+export const logLoss = (predictions) => {
+  if (predictions.length === 0) return null;
+  return -predictions.reduce((sum, p) => {
+    const predicted = Math.min(1 - EPSILON, Math.max(EPSILON, p.predicted));
+    return sum + (p.actual ? Math.log(predicted) : Math.log(1 - predicted));
+  }, 0) / predictions.length;
+};
+
+// Reliability diagram data: predictions grouped into equal-width probability bins
+export const calibrationBins = (predictions, binCount = 10) => {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    lower: i / binCount,
+    upper: (i + 1) / binCount,
+    count: 0,
+    predictedSum: 0,
+    actualSum: 0,
+  }));
+
+  predictions.forEach(p => {
+    const bin = bins[Math.min(binCount - 1, Math.floor(p.predicted * binCount))];
+    bin.count++;
+    bin.predictedSum += p.predicted;
+    bin.actualSum += p.actual;
+  });
+
+  return bins.map(({ lower, upper, count, predictedSum, actualSum }) => ({
+    lower,
+    upper,
+    count,
+    meanPredicted: count ? predictedSum / count : null,
+    observedRate: count ? actualSum / count : null,
+  }));
+};
+
+// Brier score, log-loss and calibration bins for every system in the match history
+export const scorePredictions = (matchHistory, binCount = 10) =>
+  PREDICTION_SYSTEMS.map(({ key, name, expectedKey }) => {
+    const predictions = toPredictions(matchHistory, expectedKey);
+    return {
+      key,
+      name,
+      brier: brierScore(predictions),
+      logLoss: logLoss(predictions),
+      calibration: calibrationBins(predictions, binCount),
+    };
+  });
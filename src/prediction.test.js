@@ -0,0 +1,43 @@
+import { brierScore, calibrationBins, logLoss, scorePredictions, toPredictions } from './prediction';
+
+const predictions = [
+  { predicted: 0.8, actual: 1 },
+  { predicted: 0.3, actual: 0 },
+  { predicted: 0.85, actual: 0 },
+];
+
+test('brierScore is the mean squared error of the probabilities', () => {
+  expect(brierScore(predictions)).toBeCloseTo((0.04 + 0.09 + 0.7225) / 3);
+  expect(brierScore([])).toBeNull();
+});
+
+test('logLoss penalises confident misses and stays finite at the extremes', () => {
+  const expected = -(Math.log(0.8) + Math.log(0.7) + Math.log(0.15)) / 3;
+  expect(logLoss(predictions)).toBeCloseTo(expected);
+  expect(Number.isFinite(logLoss([{ predicted: 1, actual: 0 }]))).toBe(true);
+});
+
+test('calibrationBins groups predictions by probability', () => {
+  const bins = calibrationBins(predictions, 2);
+  expect(bins[0]).toMatchObject({ lower: 0, upper: 0.5, count: 1, observedRate: 0 });
+  expect(bins[1].count).toBe(2);
+  expect(bins[1].meanPredicted).toBeCloseTo(0.825);
+  expect(bins[1].observedRate).toBe(0.5);
+  expect(calibrationBins([], 2)[0].observedRate).toBeNull();
+});
+
+test('scorePredictions reports each system from the match history', () => {
+  const matchHistory = [
+    { winner: 'Team A', tradExpectedA: 0.6, contextExpectedA: 0.9 },
+    { winner: 'Team B', tradExpectedA: 0.6, contextExpectedA: 0.2 },
+  ];
+  expect(toPredictions(matchHistory, 'tradExpectedA')).toEqual([
+    { predicted: 0.6, actual: 1 },
+    { predicted: 0.6, actual: 0 },
+  ]);
+
+  const [trad, context] = scorePredictions(matchHistory);
+  expect(trad.key).toBe('trad');
+  expect(context.brier).toBeLessThan(trad.brier);
+  expect(context.logLoss).toBeLessThan(trad.logLoss);
+});
@@ -0,0 +1,29 @@
+// Seeded pseudo-random number generation so simulation runs can be replayed.
+
+// Turn any seed (number or text) into a 32-bit integer
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Mulberry32: small, fast PRNG returning floats in [0, 1), a drop-in for Math.random.
+// Pass a state saved from rng.getState() to resume a stream where it left off.
+export const createRng = (seed, savedState) => {
+  let state = savedState ?? hashSeed(seed);
+  const rng = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.getState = () => state;
+  return rng;
+};
+
+// A fresh seed for runs that were not given one
+export const randomSeed = () => Math.floor(Math.random() * 1000000).toString();
@@ -0,0 +1,24 @@
+import { createRng } from './random';
+
+test('the same seed replays the same sequence', () => {
+  const a = createRng('replay-me');
+  const b = createRng('replay-me');
+  const first = Array.from({ length: 5 }, a);
+  expect(Array.from({ length: 5 }, b)).toEqual(first);
+  first.forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+});
+
+test('different seeds give different sequences', () => {
+  expect(createRng(1)()).not.toBe(createRng(2)());
+});
+
+test('a saved state resumes the stream where it left off', () => {
+  const rng = createRng('resume');
+  rng();
+  rng();
+  const resumed = createRng('resume', rng.getState());
+  expect(resumed()).toBe(rng());
+});
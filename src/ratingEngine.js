@@ -0,0 +1,562 @@
+// Rating engine: the pure math behind the traditional and context-aware Elo systems.
+// Ratings live on a 0-1 scale; nothing in here touches React state or randomness.
+import { DEFAULT_MAP_POOL, activeMaps } from "./mapPool";
+import { stackAdvantage } from "./parties";
+import { INITIAL_DEVIATION, RATING_SYSTEMS, rateWithSystems } from "./ratingSystems";
+
+// Constants for Elo calculations
+export const K_FACTOR = 0.1;
+export const LATENCY_WEIGHT = 0.02;
+export const MAP_FAMILIARITY_WEIGHT = 0.0002;
+export const AFK_WEIGHT = 0.06;
+export const EXPECTED_SCORE_SCALE = 10; // Ratings span 0-1, so the gap is scaled up before the base-10 logistic
+
+// How the context-aware update scales with the margin of victory (see marginMultiplier)
+export const MARGIN_MODES = [
+  { key: "off", label: "Off (win or loss only)" },
+  { key: "rounds", label: "Round differential" },
+  { key: "kd", label: "K/D differential" },
+];
+
+// How the context-aware update is shared out within a team (see contributionFactors)
+export const CONTRIBUTION_MODES = [
+  { key: "off", label: "Off (same change for everyone)" },
+  { key: "kills", label: "Kills vs lobby" },
+  { key: "kd", label: "K/D vs lobby" },
+  { key: "score", label: "Performance score vs lobby" },
+];
+
+// What happens to players who stop playing (see decay.js)
+export const DECAY_MODES = [
+  { key: "off", label: "Off (ratings kept forever)" },
+  { key: "mean", label: "Pull toward the mean" },
+  { key: "uncertainty", label: "Widen uncertainty" },
+];
+
+// Default settings; every rating function takes an optional settings object of this shape
+export const DEFAULT_SETTINGS = {
+  kFactor: K_FACTOR,
+  latencyWeight: LATENCY_WEIGHT,
+  mapFamiliarityWeight: MAP_FAMILIARITY_WEIGHT,
+  afkWeight: AFK_WEIGHT, // Penalty for the whole match AFK, scaled by the share a player was away
+  afkCompensation: 0.5, // Share of a loss forgiven for teammates who played the whole match a player short
+  partyWeight: 0, // 0: parties ignored; 1: a 5-stack beating solo players gains nothing (see stackAdvantage)
+  expectedScale: EXPECTED_SCORE_SCALE,
+  minRating: 0,
+  maxRating: 1,
+  placementMatches: 10, // New players are provisional until they have played this many matches
+  placementKFactor: 0.3, // K-factor of a player's first match, easing down to kFactor over the placements
+  marginMode: "off",
+  marginWeight: 0.5, // 0: margin ignored, 1: a 13-0 win counts double and a 13-12 win barely counts
+  contributionMode: "off",
+  contributionWeight: 0.5, // 0: even split, 1: change fully scaled by contribution
+  killScoreWeight: 1, // Performance score = kills x killScoreWeight - deaths x deathScoreWeight
+  deathScoreWeight: 0.5,
+  mapRatingWeight: 0.5, // Share of a prediction taken from the per-map rating once it is established
+  mapRatingMatches: 10, // Matches on a map before its rating gets the full mapRatingWeight
+  decayMode: "off",
+  decayGraceDays: 14, // Simulated days without a match before decay starts
+  decayRate: 0.02, // Share of the remaining rating (or certainty) lost per inactive day after the grace period
+  ratingSystems: RATING_SYSTEMS.map(system => system.key), // Run next to both Elo systems, see ratingSystems.js
+  contextSystems: [], // Of those, the ones that also apply the context factors
+};
+
+const MODE_SETTINGS = { marginMode: MARGIN_MODES, contributionMode: CONTRIBUTION_MODES, decayMode: DECAY_MODES };
+const SYSTEM_LIST_SETTINGS = ["ratingSystems", "contextSystems"];
+
+// Human-readable problems with a settings object; empty when it is usable
+export const validateSettings = (settings) => {
+  const errors = [];
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (MODE_SETTINGS[key]) {
+      if (!MODE_SETTINGS[key].some(mode => mode.key === settings[key])) {
+        errors.push(`${key} must be one of ${MODE_SETTINGS[key].map(mode => mode.key).join(", ")}`);
+      }
+    } else if (SYSTEM_LIST_SETTINGS.includes(key)) {
+      if (!Array.isArray(settings[key]) || !settings[key].every(k => RATING_SYSTEMS.some(system => system.key === k))) {
+        errors.push(`${key} must list rating systems from ${RATING_SYSTEMS.map(system => system.key).join(", ")}`);
+      }
+    } else if (typeof settings[key] !== "number" || !Number.isFinite(settings[key])) {
+      errors.push(`${key} must be a number`);
+    }
+  });
+  if (settings.expectedScale <= 0) errors.push("expectedScale must be positive");
+  if (settings.minRating >= settings.maxRating) errors.push("minRating must be below maxRating");
+  if (!Number.isInteger(settings.placementMatches) || settings.placementMatches < 0) {
+    errors.push("placementMatches must be a whole number of at least 0");
+  }
+  if (settings.placementKFactor < 0) errors.push("placementKFactor must not be negative");
+  if (!Number.isInteger(settings.mapRatingMatches) || settings.mapRatingMatches < 0) {
+    errors.push("mapRatingMatches must be a whole number of at least 0");
+  }
+  if (settings.decayGraceDays < 0) errors.push("decayGraceDays must not be negative");
+  ["afkCompensation", "partyWeight", "marginWeight", "contributionWeight", "mapRatingWeight", "decayRate"].forEach(key => {
+    if (settings[key] < 0 || settings[key] > 1) errors.push(`${key} must be between 0 and 1`);
+  });
+  // A negative K-factor would invert every update, and negative weights would reward lag, unfamiliar maps and AFK
+  ["kFactor", "latencyWeight", "mapFamiliarityWeight", "afkWeight", "killScoreWeight", "deathScoreWeight"].forEach(key => {
+    if (settings[key] < 0) errors.push(`${key} must not be negative`);
+  });
+  return errors;
+};
+
+const clampRating = (rating, settings) => Math.max(settings.minRating, Math.min(settings.maxRating, rating));
+
+// Matches a player needs on a map before their rating there decides their best map
+export const BEST_MAP_MIN_MATCHES = 3;
+
+// Best map among those in rotation: the one with the highest per-map rating among the maps the player has
+// proven themselves on, otherwise the one with the highest familiarity (hours); "" when neither is known
+export const deriveBestMap = (player, mapPool = DEFAULT_MAP_POOL) => {
+  const candidates = activeMaps(mapPool);
+  const proven = candidates.filter(map => (player.mapRatings?.[map.id]?.matches ?? 0) >= BEST_MAP_MIN_MATCHES);
+  if (proven.length > 0) {
+    return proven.reduce((a, b) => (player.mapRatings[a.id].rating > player.mapRatings[b.id].rating ? a : b)).id;
+  }
+
+  const familiar = candidates.filter(map => player.mapFamiliarity?.[map.id] !== undefined);
+  return familiar.length === 0 ? "" : familiar.reduce((a, b) =>
+    parseFloat(player.mapFamiliarity[a.id]) > parseFloat(player.mapFamiliarity[b.id]) ? a : b
+  ).id;
+};
+
+// Derive per-map familiarity (hours relative to the roster average) and each player's best map
+export const calculateMapFamiliarity = (players, mapPool = DEFAULT_MAP_POOL) => {
+  const hasHours = (player, map) => Number.isFinite(player.hours?.[map.id]);
+  if (!players.some(player => mapPool.some(map => hasHours(player, map)))) return players;
+
+  // Calculate Average Hours Spent Per Map, over the players with hours on it
+  const averages = Object.fromEntries(mapPool.map(map => {
+    const withHours = players.filter(player => hasHours(player, map));
+    return [map.id, withHours.reduce((sum, p) => sum + p.hours[map.id], 0) / withHours.length || 1];
+  }));
+
+  return players.map(player => {
+    const maps = mapPool.filter(map => hasHours(player, map));
+    if (maps.length === 0) return player;
+
+    // Map Familiarity Calculation (as a hundredth percentage)
+    const mapFamiliarity = Object.fromEntries(
+      maps.map(map => [map.id, ((player.hours[map.id] / averages[map.id]) * 100).toFixed(2)])
+    );
+
+    return {
+      ...player,
+      mapFamiliarity,
+      bestMap: deriveBestMap({ ...player, mapFamiliarity }, mapPool), // Map id; look the name up in the pool
+    };
+  });
+};
+
+// Current rating of a player under each system (falls back to the generated Elo)
+export const getTradRating = (player) => player.tradElo ?? parseFloat(player.elo);
+export const getContextRating = (player) => player.contextElo ?? parseFloat(player.elo);
+
+// A player's rating on one map, {rating, matches}; maps they have not played start from their context-aware rating
+export const getMapRating = (player, mapId) =>
+  player.mapRatings?.[mapId] ?? { rating: getContextRating(player), matches: 0 };
+
+// Per-map leaderboard: everyone rated on the map, best first, with their global context-aware rating next to it
+export const mapLeaderboard = (players, mapId) =>
+  players
+    .filter(player => player.mapRatings?.[mapId])
+    .map(player => ({
+      id: player.id,
+      rating: player.mapRatings[mapId].rating,
+      matches: player.mapRatings[mapId].matches,
+      globalRating: getContextRating(player),
+    }))
+    .sort((a, b) => b.rating - a.rating);
+
+// Matches a player has been rated in. Roster players count their history; match records and
+// replays, which carry no history, give the count explicitly.
+export const matchesPlayed = (player) => player.matchesPlayed ?? player.history?.length ?? 0;
+
+// Provisional players are still in their placement matches
+export const isProvisional = (player, settings = DEFAULT_SETTINGS) => matchesPlayed(player) < settings.placementMatches;
+
+// How much of their certainty an inactive player has lost, 0-1 (only the "uncertainty" decay mode sets it)
+const rust = (player) => player.decay?.rust ?? 0;
+
+// K-factor for a player's next match: placementKFactor for their first, easing linearly to kFactor
+// as they play through their placements. Rust from inactivity moves it back toward placementKFactor.
+export const playerKFactor = (player, settings = DEFAULT_SETTINGS) => {
+  const remaining = isProvisional(player, settings) ? 1 - matchesPlayed(player) / settings.placementMatches : 0;
+  const kFactor = settings.kFactor + (settings.placementKFactor - settings.kFactor) * remaining;
+  return kFactor + (settings.placementKFactor - kFactor) * rust(player);
+};
+
+// Rough ± on a player's Elo: the other systems' starting deviation, shrinking with every match played
+// and growing back with rust
+export const ratingUncertainty = (player) => {
+  const uncertainty = INITIAL_DEVIATION / Math.sqrt(1 + matchesPlayed(player));
+  return uncertainty + (INITIAL_DEVIATION - uncertainty) * rust(player);
+};
+
+// Win probability of a side rated ratingA against one rated ratingB
+export const expectedScore = (ratingA, ratingB, scale = EXPECTED_SCORE_SCALE) =>
+  1 / (1 + Math.pow(10, (ratingB - ratingA) * scale));
+
+const teamAverage = (team, getRating) => team.reduce((sum, player) => sum + getRating(player), 0) / team.length;
+
+// Share of a player's prediction rating taken from their rating on the match's map (player.currentMap):
+// grows with their matches there up to settings.mapRatingWeight
+export const mapRatingShare = (player, settings = DEFAULT_SETTINGS) => {
+  if (!player.currentMap) return 0;
+  const { matches } = getMapRating(player, player.currentMap);
+  const confidence = settings.mapRatingMatches === 0 ? 1 : Math.min(1, matches / settings.mapRatingMatches);
+  return settings.mapRatingWeight * confidence;
+};
+
+// Context-aware rating blended with the rating on the match's map; the global rating when no map is set
+export const getBlendedRating = (player, settings = DEFAULT_SETTINGS) => {
+  const share = mapRatingShare(player, settings);
+  if (share === 0) return getContextRating(player);
+  return (1 - share) * getContextRating(player) + share * getMapRating(player, player.currentMap).rating;
+};
+
+// Pre-match win probability for Team A under each system; the context-aware one blends in per-map ratings
+export const predictMatch = (teamA, teamB, settings = DEFAULT_SETTINGS) => ({
+  tradExpectedA: expectedScore(
+    teamAverage(teamA, getTradRating),
+    teamAverage(teamB, getTradRating),
+    settings.expectedScale
+  ),
+  contextExpectedA: expectedScore(
+    teamAverage(teamA, player => getBlendedRating(player, settings)),
+    teamAverage(teamB, player => getBlendedRating(player, settings)),
+    settings.expectedScale
+  ),
+});
+
+/**
+ * Per-map Elo: every player's rating on the match's map (player.currentMap) moves by K(S - E), where E
+ * comes from the teams' average ratings on that map. Only matches on the map move it, and K eases
+ * down over a player's first matches there the same way as over their placements (see playerKFactor).
+ * @returns {{teamA: object[], teamB: object[]}} players with updated `mapRatings`; unchanged without a map
+ */
+export const calculateMapRatings = (teamA, teamB, matchResult, settings = DEFAULT_SETTINGS) => {
+  const onMap = (player) => getMapRating(player, player.currentMap).rating;
+  const expectedA = expectedScore(teamAverage(teamA, onMap), teamAverage(teamB, onMap), settings.expectedScale);
+  const actualA = matchResult.winner === "Team A" ? 1 : 0;
+
+  const update = (player, expected, actual) => {
+    if (!player.currentMap) return player;
+    const { rating, matches } = getMapRating(player, player.currentMap);
+    const newRating = rating + playerKFactor({ matchesPlayed: matches }, settings) * (actual - expected);
+    return {
+      ...player,
+      mapRatings: {
+        ...player.mapRatings,
+        [player.currentMap]: { rating: parseFloat(clampRating(newRating, settings).toFixed(4)), matches: matches + 1 },
+      },
+    };
+  };
+
+  return {
+    teamA: teamA.map(player => update(player, expectedA, actualA)),
+    teamB: teamB.map(player => update(player, 1 - expectedA, 1 - actualA)),
+  };
+};
+
+/**
+ * Traditional team Elo: every player moves by K(S - E), where E comes from the
+ * difference in team average ratings and K is larger for provisional players (see playerKFactor).
+ * @returns {{teamA: object[], teamB: object[], expectedA: number, expectedB: number}}
+ */
+export const calculateTraditionalElo = (teamA, teamB, matchResult, settings = DEFAULT_SETTINGS) => {
+  // Calculate team average Elo
+  const teamAAvgElo = teamAverage(teamA, getTradRating);
+  const teamBAvgElo = teamAverage(teamB, getTradRating);
+  
+  // Calculate expected outcome using Elo formula
+  const expectedA = expectedScore(teamAAvgElo, teamBAvgElo, settings.expectedScale);
+  const expectedB = 1 - expectedA;
+  
+  // Actual outcome
+  const actualA = matchResult.winner === "Team A" ? 1 : 0;
+  const actualB = 1 - actualA;
+  
+  // Calculate Elo adjustments
+  const calculateNewElo = (player, isTeamA) => {
+    const expected = isTeamA ? expectedA : expectedB;
+    const actual = isTeamA ? actualA : actualB;
+    
+    // Store last Elo
+    const lastElo = getTradRating(player);
+    
+    // Calculate new Elo
+    const newElo = lastElo + playerKFactor(player, settings) * (actual - expected);
+    
+    // Ensure Elo stays within bounds (0-1 by default)
+    const boundedElo = clampRating(newElo, settings);
+    
+    return {
+      ...player,
+      tradElo: parseFloat(boundedElo.toFixed(3)),
+      lastElo: lastElo.toFixed(3),
+      rankChange: (boundedElo > lastElo) ? "↑" : (boundedElo < lastElo) ? "↓" : "="
+    };
+  };
+  
+  return {
+    teamA: teamA.map(player => calculateNewElo(player, true)),
+    teamB: teamB.map(player => calculateNewElo(player, false)),
+    expectedA,
+    expectedB
+  };
+};
+
+const averageKd = (team) => team.reduce((sum, player) => sum + (parseFloat(player.kd) || 0), 0) / team.length;
+
+/**
+ * How decisive the win was, from 0 (level) to 1 (a whitewash), under `settings.marginMode`:
+ * the rounds or average K/D the winners had over the losers, relative to the winners' own.
+ * @returns {number|null} null when the mode is off or the match lacks the data (e.g. no scoreline)
+ */
+export const matchMargin = (teamA, teamB, matchResult, settings = DEFAULT_SETTINGS) => {
+  const aWon = matchResult.winner === "Team A";
+  let winning;
+  let losing;
+  if (settings.marginMode === "rounds") {
+    if (!matchResult.score) return null;
+    [winning, losing] = aWon
+      ? [matchResult.score.teamA, matchResult.score.teamB]
+      : [matchResult.score.teamB, matchResult.score.teamA];
+  } else if (settings.marginMode === "kd") {
+    [winning, losing] = aWon ? [averageKd(teamA), averageKd(teamB)] : [averageKd(teamB), averageKd(teamA)];
+  } else {
+    return null;
+  }
+  return winning > 0 ? Math.max(0, Math.min(1, (winning - losing) / winning)) : 0;
+};
+
+// Scale on both teams' K(S - E): 1 - w for the narrowest win, 1 + w for a whitewash (w = marginWeight)
+export const marginMultiplier = (margin, settings = DEFAULT_SETTINGS) =>
+  margin === null ? 1 : 1 + settings.marginWeight * (2 * margin - 1);
+
+// Configurable individual performance score, never below 0
+export const performanceScore = (player, settings = DEFAULT_SETTINGS) =>
+  Math.max(0, (player.kills ?? 0) * settings.killScoreWeight - (player.deaths ?? 0) * settings.deathScoreWeight);
+
+const contributionValue = (player, settings) => {
+  switch (settings.contributionMode) {
+    case "kills":
+      return player.kills ?? 0;
+    case "kd":
+      return parseFloat(player.kd) || 0;
+    case "score":
+      return performanceScore(player, settings);
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Each player's contribution relative to the lobby average under `settings.contributionMode`,
+ * from 0 to 2 (1 is an average showing, and everyone gets 1 when the mode is off).
+ * @returns {Map<string, number>} by player id
+ */
+export const contributionFactors = (players, settings = DEFAULT_SETTINGS) => {
+  const values = players.map(player => contributionValue(player, settings));
+  const lobbyAverage = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return new Map(players.map((player, i) => [
+    player.id,
+    lobbyAverage > 0 ? Math.min(2, values[i] / lobbyAverage) : 1,
+  ]));
+};
+
+// Share of the match a player was away: the rounds they actually missed when the match was played round by
+// round (see playRounds), otherwise their AFK share as recorded (imported logs, older records)
+export const timeAway = (player) => player.afkShare ?? player.afkValue ?? 0;
+
+// Share of the match a player's team played short-handed: their teammates' time away, at most the whole match
+export const shortHandedShare = (player, team) =>
+  Math.min(1, team.filter(mate => mate.id !== player.id).reduce((sum, mate) => sum + timeAway(mate), 0));
+
+/**
+ * Context-aware Elo: the traditional K(S - E) update plus latency, map familiarity
+ * and AFK adjustments read from each player's match context
+ * (`networkStability`, `currentMapFamiliarity`, and `afkShare` or `afkValue`, see timeAway).
+ * A player who went AFK is penalised for their own time away (settings.afkWeight); their teammates lose
+ * less in proportion to how long they played short-handed (settings.afkCompensation).
+ * Premades that outnumber the other team's biggest stack gain less from a win (settings.partyWeight).
+ * Optionally K(S - E) is scaled by the margin of victory (settings.marginMode) and by each player's
+ * contribution (settings.contributionMode): strong showings gain more in a win and lose less in a loss.
+ * Expects the output of calculateTraditionalElo for both the teams and the expectation.
+ * @returns {{teamA: object[], teamB: object[]}}
+ */
+export const calculateContextAwareElo = (teamA, teamB, matchResult, tradEloResults, settings = DEFAULT_SETTINGS) => {
+  // Use the expected outcome from traditional Elo
+  const expectedA = tradEloResults.expectedA;
+  const expectedB = tradEloResults.expectedB;
+  
+  // Actual outcome
+  const actualA = matchResult.winner === "Team A" ? 1 : 0;
+  const actualB = 1 - actualA;
+  
+  // Margin of victory and individual contribution (both 1 when switched off)
+  const margin = marginMultiplier(matchMargin(teamA, teamB, matchResult, settings), settings);
+  const contributions = contributionFactors([...teamA, ...teamB], settings);
+  
+  // Calculate Context-Aware Elo adjustments
+  const calculateNewContextElo = (player, isTeamA) => {
+    const expected = isTeamA ? expectedA : expectedB;
+    const actual = isTeamA ? actualA : actualB;
+    
+    // Contextual factors
+    const latencyFactor = (player.networkStability - 1) * settings.latencyWeight; // Negative adjustment for poor connection
+    const mapFactor = (player.currentMapFamiliarity) * settings.mapFamiliarityWeight; // Adjust based on map familiarity
+    const afkFactor = timeAway(player) * settings.afkWeight * -1; // Negative adjustment for the player's own time AFK
+    
+    // Store traditional Elo result
+    const tradElo = player.tradElo;
+    const lastContextElo = getContextRating(player);
+    
+    // Winners share the gain by contribution; losers lose less the more they contributed
+    const contribution = contributions.get(player.id);
+    const share = actual === 1 ? contribution : 2 - contribution;
+    const performance = 1 + settings.contributionWeight * (share - 1);
+    
+    // Teammates of an AFK player have part of a rating loss forgiven, the more the longer they played short
+    const shortHanded = shortHandedShare(player, isTeamA ? teamA : teamB);
+    const baseAdjustment = playerKFactor(player, settings) * (actual - expected) * margin * performance;
+    const compensation = baseAdjustment < 0 ? 1 - settings.afkCompensation * shortHanded : 1;
+    
+    // Stacked premades gain less for beating smaller stacks or solo players
+    const advantage = stackAdvantage(player, isTeamA ? teamA : teamB, isTeamA ? teamB : teamA);
+    const party = baseAdjustment > 0 ? 1 - settings.partyWeight * advantage : 1;
+    
+    // Calculate context-aware Elo adjustment
+    // R′ = R + K(S - E)·mov·perf·comp·party + wL + wM + wA
+    const eloAdjustment = baseAdjustment * compensation * party;
+    const contextAdjustment = latencyFactor + mapFactor + afkFactor;
+    const newElo = lastContextElo + eloAdjustment + contextAdjustment;
+    
+    // Ensure Elo stays within bounds (0-1 by default)
+    const boundedElo = clampRating(newElo, settings);
+    
+    return {
+      ...player,
+      contextElo: parseFloat(boundedElo.toFixed(3)),
+      lastContextElo: lastContextElo.toFixed(3),
+      tradElo: tradElo,
+      contextFactors: {
+        latency: parseFloat(latencyFactor.toFixed(4)),
+        map: parseFloat(mapFactor.toFixed(4)),
+        afk: parseFloat(afkFactor.toFixed(4)),
+        total: parseFloat(contextAdjustment.toFixed(4)),
+        margin: parseFloat(margin.toFixed(4)),
+        performance: parseFloat(performance.toFixed(4)),
+        shortHanded: parseFloat(shortHanded.toFixed(4)),
+        compensation: parseFloat(compensation.toFixed(4)),
+        party: parseFloat(party.toFixed(4)),
+      }
+    };
+  };
+  
+  return {
+    teamA: teamA.map(player => calculateNewContextElo(player, true)),
+    teamB: teamB.map(player => calculateNewContextElo(player, false))
+  };
+};
+
+// Write a rated match back into the roster and append it to each player's rating history.
+// `match.day` is the simulated calendar day it was played on; playing clears any inactivity decay.
+// Players' best maps are re-derived from their new per-map ratings among the maps in `mapPool`.
+export const commitMatchResults = (players, contextResults, match, mapPool = DEFAULT_MAP_POOL) => {
+  const ratedPlayers = new Map(
+    [...contextResults.teamA, ...contextResults.teamB].map(player => [player.id, player])
+  );
+  const winningTeam = match.winner === "Team A" ? contextResults.teamA : contextResults.teamB;
+
+  return players.map(player => {
+    const rated = ratedPlayers.get(player.id);
+    if (!rated) return player;
+
+    const tradBefore = getTradRating(player);
+    const contextBefore = getContextRating(player);
+
+    const historyEntry = {
+      matchId: match.id,
+      day: match.day ?? null,
+      map: match.map,
+      result: winningTeam.some(p => p.id === player.id) ? "W" : "L",
+      tradBefore,
+      tradAfter: rated.tradElo,
+      tradDelta: parseFloat((rated.tradElo - tradBefore).toFixed(3)),
+      contextBefore,
+      contextAfter: rated.contextElo,
+      contextDelta: parseFloat((rated.contextElo - contextBefore).toFixed(3)),
+      contextFactors: rated.contextFactors,
+      systemRatings: rated.systemRatings, // Ratings under the other systems after the match
+    };
+
+    const mapRatings = rated.mapRatings ?? player.mapRatings;
+    return {
+      ...player,
+      elo: rated.contextElo.toFixed(3),
+      lastElo: contextBefore.toFixed(3),
+      rankChange: (rated.contextElo > contextBefore) ? "↑" : (rated.contextElo < contextBefore) ? "↓" : "=",
+      tradElo: rated.tradElo,
+      contextElo: rated.contextElo,
+      systemRatings: rated.systemRatings ?? player.systemRatings,
+      mapRatings,
+      bestMap: deriveBestMap({ ...player, mapRatings }, mapPool),
+      lastPlayed: match.day ?? player.lastPlayed ?? null,
+      decay: null,
+      history: [...(player.history || []), historyEntry],
+    };
+  });
+};
+
+/**
+ * Rate one match under both systems.
+ * @param {object[]} teamA players with their match context (kd, networkStability, afkValue, currentMap,
+ *   currentMapFamiliarity)
+ * @param {object[]} teamB same as teamA
+ * @param {{winner: "Team A"|"Team B", score?: {teamA: number, teamB: number}}} matchResult usually the result of
+ *   playRounds (see roundEngine.js); the score is only needed for the round-differential margin mode
+ * @param {object} [settings] weights, K-factor, expected-score scale and rating bounds (see DEFAULT_SETTINGS)
+ * @returns {{traditional: {teamA, teamB}, contextAware: {teamA, teamB}, expectedA: number, expectedB: number,
+ *   contextExpectedA: number, systems: object}} expectedA/B drive both updates; contextExpectedA is the
+ *   context-aware ratings' own pre-match prediction, kept for scoring; systems holds the other rating systems'
+ *   results (see rateWithSystems). Players carry `tradElo`, `contextElo`, `lastElo`, `lastContextElo`, a
+ *   `contextFactors` breakdown, their new `systemRatings` and their `mapRatings` (see calculateMapRatings).
+ */
+export const rateMatch = (teamA, teamB, matchResult, settings = DEFAULT_SETTINGS) => {
+  const { contextExpectedA } = predictMatch(teamA, teamB, settings);
+  const tradEloResults = calculateTraditionalElo(teamA, teamB, matchResult, settings);
+  const contextEloResults = calculateContextAwareElo(
+    tradEloResults.teamA,
+    tradEloResults.teamB,
+    matchResult,
+    tradEloResults,
+    settings
+  );
+  const systems = rateWithSystems(contextEloResults.teamA, contextEloResults.teamB, matchResult, settings);
+  const mapRatings = calculateMapRatings(teamA, teamB, matchResult, settings);
+  const withSystemRatings = (team, side) => team.map((player, i) => ({
+    ...player,
+    mapRatings: mapRatings[side][i].mapRatings,
+    systemRatings: {
+      ...player.systemRatings,
+      ...Object.fromEntries(Object.entries(systems).map(([key, result]) => [key, result[side][i].after])),
+    },
+  }));
+
+  return {
+    traditional: {
+      teamA: tradEloResults.teamA,
+      teamB: tradEloResults.teamB
+    },
+    contextAware: {
+      teamA: withSystemRatings(contextEloResults.teamA, "teamA"),
+      teamB: withSystemRatings(contextEloResults.teamB, "teamB")
+    },
+    expectedA: tradEloResults.expectedA,
+    expectedB: tradEloResults.expectedB,
+    contextExpectedA,
+    systems
+  };
+};
@@ -0,0 +1,381 @@
+import {
+  DEFAULT_SETTINGS,
+  K_FACTOR,
+  calculateMapFamiliarity,
+  calculateMapRatings,
+  calculateTraditionalElo,
+  commitMatchResults,
+  contributionFactors,
+  deriveBestMap,
+  expectedScore,
+  getBlendedRating,
+  isProvisional,
+  mapLeaderboard,
+  matchMargin,
+  playerKFactor,
+  predictMatch,
+  rateMatch,
+  ratingUncertainty,
+  shortHandedShare,
+  validateSettings,
+} from './ratingEngine';
+import { makePlayer, makeTeam } from './testPlayers';
+
+describe('calculateTraditionalElo', () => {
+  test('evenly matched teams move by half the K-factor', () => {
+    const result = calculateTraditionalElo(makeTeam('A', 0.5), makeTeam('B', 0.5), { winner: 'Team A' });
+    expect(result.expectedA).toBeCloseTo(0.5);
+    expect(result.teamA[0].tradElo).toBeCloseTo(0.5 + K_FACTOR / 2, 3);
+    expect(result.teamB[0].tradElo).toBeCloseTo(0.5 - K_FACTOR / 2, 3);
+    expect(result.teamA[0].rankChange).toBe('↑');
+  });
+
+  test('keeps ratings inside the 0-1 bounds', () => {
+    const result = calculateTraditionalElo(makeTeam('A', 0.99), makeTeam('B', 0.01), { winner: 'Team B' });
+    expect(result.teamA[0].tradElo).toBeGreaterThanOrEqual(0);
+    expect(result.teamB[0].tradElo).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('rateMatch', () => {
+  test('context-aware rating matches traditional when there is no context', () => {
+    const { traditional, contextAware, expectedA } = rateMatch(makeTeam('A', 0.4), makeTeam('B', 0.6), { winner: 'Team A' });
+    expect(expectedA).toBeLessThan(0.5);
+    expect(contextAware.teamA[0].contextElo).toBe(traditional.teamA[0].tradElo);
+    expect(contextAware.teamA[0].contextFactors.total).toBe(0);
+  });
+
+  test('breaks the context adjustment down per factor', () => {
+    const teamA = makeTeam('A', 0.5, { networkStability: 0.5, afkValue: 0.5, currentMapFamiliarity: 100 });
+    const { contextAware } = rateMatch(teamA, makeTeam('B', 0.5), { winner: 'Team B' });
+    const { latency, map, afk, total } = contextAware.teamA[0].contextFactors;
+    expect(latency).toBeCloseTo(-0.01);
+    expect(map).toBeCloseTo(0.02);
+    expect(afk).toBeCloseTo(-0.03);
+    expect(total).toBeCloseTo(latency + map + afk);
+  });
+
+  test('reads each system from its own rating', () => {
+    const teamA = makeTeam('A', 0.5, { tradElo: 0.5, contextElo: 0.7 });
+    const { contextAware } = rateMatch(teamA, makeTeam('B', 0.5), { winner: 'Team A' });
+    expect(contextAware.teamA[0].lastElo).toBe('0.500');
+    expect(contextAware.teamA[0].lastContextElo).toBe('0.700');
+    expect(contextAware.teamA[0].contextElo).toBeGreaterThan(0.7);
+  });
+});
+
+describe('commitMatchResults', () => {
+  test('writes both ratings and a history entry back into the roster', () => {
+    const teamA = makeTeam('A', 0.5);
+    const teamB = makeTeam('B', 0.5);
+    const bench = makePlayer('X1', 0.3);
+    const { contextAware } = rateMatch(teamA, teamB, { winner: 'Team A' });
+
+    const roster = commitMatchResults([...teamA, ...teamB, bench], contextAware, {
+      id: 'M0001',
+      map: 'B',
+      winner: 'Team A',
+    });
+
+    const winner = roster.find(p => p.id === 'A1');
+    expect(winner.elo).toBe(winner.contextElo.toFixed(3));
+    expect(winner.lastElo).toBe('0.500');
+    expect(winner.history).toHaveLength(1);
+    expect(winner.history[0]).toMatchObject({ matchId: 'M0001', map: 'B', result: 'W', tradBefore: 0.5 });
+    expect(winner.history[0].contextDelta).toBeCloseTo(K_FACTOR / 2, 3);
+
+    expect(roster.find(p => p.id === 'B1').history[0].result).toBe('L');
+    expect(roster.find(p => p.id === 'X1')).toBe(bench);
+  });
+});
+
+describe('calculateMapFamiliarity', () => {
+  test('scales hours against the roster average and picks the best map', () => {
+    const players = [
+      { id: 'P1', hours: { A: 10, B: 0, C: 5 } },
+      { id: 'P2', hours: { A: 30, B: 20, C: 5 } },
+    ];
+    const [first] = calculateMapFamiliarity(players);
+    expect(first.mapFamiliarity).toEqual({ A: '50.00', B: '0.00', C: '100.00' });
+    expect(first.bestMap).toBe('C');
+  });
+
+  test('only picks a best map that is still in rotation', () => {
+    const pool = [
+      { id: 'A', name: 'Map A', weight: 1, retired: false },
+      { id: 'C', name: 'Map C', weight: 1, retired: true },
+      { id: 'M4', name: 'Harbor', weight: 1, retired: false },
+    ];
+    const players = [
+      { id: 'P1', hours: { A: 10, C: 5 } },
+      { id: 'P2', hours: { A: 30, C: 5, M4: 12 } },
+    ];
+    const [first, second] = calculateMapFamiliarity(players, pool);
+    expect(first.mapFamiliarity).toEqual({ A: '50.00', C: '100.00' });
+    expect(first.bestMap).toBe('A');
+    expect(second.mapFamiliarity.M4).toBe('100.00');
+    expect(second.bestMap).toBe('A');
+  });
+
+  test('leaves players without hours untouched', () => {
+    const players = [{ id: 'P1', hours: {} }];
+    expect(calculateMapFamiliarity(players)).toBe(players);
+  });
+});
+
+describe('predictMatch', () => {
+  test('predicts from each system\'s own ratings', () => {
+    const teamA = makeTeam('A', 0.5, { tradElo: 0.5, contextElo: 0.6 });
+    const teamB = makeTeam('B', 0.5);
+    const { tradExpectedA, contextExpectedA } = predictMatch(teamA, teamB);
+    expect(tradExpectedA).toBeCloseTo(0.5);
+    expect(contextExpectedA).toBeCloseTo(expectedScore(0.6, 0.5));
+    expect(contextExpectedA).toBeGreaterThan(0.9);
+  });
+});
+
+describe('settings', () => {
+  test('rating functions default to the module constants', () => {
+    const teamA = makeTeam('A', 0.5, { networkStability: 0.8 });
+    const teamB = makeTeam('B', 0.5);
+    expect(rateMatch(teamA, teamB, { winner: 'Team A' }, DEFAULT_SETTINGS))
+      .toEqual(rateMatch(teamA, teamB, { winner: 'Team A' }));
+  });
+
+  test('custom weights, scale and bounds change the update', () => {
+    const settings = { ...DEFAULT_SETTINGS, kFactor: 0.2, latencyWeight: 0, expectedScale: 5, maxRating: 0.55 };
+    const teamA = makeTeam('A', 0.5, { networkStability: 0.5 });
+    const teamB = makeTeam('B', 0.6);
+    const { contextAware, expectedA } = rateMatch(teamA, teamB, { winner: 'Team A' }, settings);
+    expect(expectedA).toBeCloseTo(expectedScore(0.5, 0.6, 5));
+    expect(contextAware.teamA[0].contextFactors.latency).toBe(0);
+    expect(contextAware.teamA[0].tradElo).toBe(0.55);
+    expect(contextAware.teamB[0].tradElo).toBeCloseTo(0.6 - 0.2 * (1 - expectedA), 3);
+  });
+
+  test('validateSettings rejects unusable values', () => {
+    expect(validateSettings(DEFAULT_SETTINGS)).toEqual([]);
+    expect(validateSettings({ ...DEFAULT_SETTINGS, kFactor: NaN })).toEqual(['kFactor must be a number']);
+    expect(validateSettings({ ...DEFAULT_SETTINGS, minRating: 1 })).toEqual(['minRating must be below maxRating']);
+    expect(validateSettings({ ...DEFAULT_SETTINGS, expectedScale: 0 })).toEqual(['expectedScale must be positive']);
+    expect(validateSettings({ ...DEFAULT_SETTINGS, marginMode: 'goals' }))
+      .toEqual(['marginMode must be one of off, rounds, kd']);
+    expect(validateSettings({ ...DEFAULT_SETTINGS, contributionWeight: 1.5 }))
+      .toEqual(['contributionWeight must be between 0 and 1']);
+    expect(validateSettings({ ...DEFAULT_SETTINGS, kFactor: -0.1, afkWeight: -0.05 }))
+      .toEqual(['kFactor must not be negative', 'afkWeight must not be negative']);
+    expect(validateSettings({ ...DEFAULT_SETTINGS, latencyWeight: -1, mapFamiliarityWeight: -1 }))
+      .toEqual(['latencyWeight must not be negative', 'mapFamiliarityWeight must not be negative']);
+  });
+});
+
+describe('margin of victory', () => {
+  const contextDelta = (score, settings) => {
+    const { contextAware } = rateMatch(makeTeam('A', 0.5), makeTeam('B', 0.5), { winner: 'Team A', score }, settings);
+    return contextAware.teamA[0].contextElo - 0.5;
+  };
+
+  test('measures the winners\' lead in rounds or K/D', () => {
+    const rounds = { ...DEFAULT_SETTINGS, marginMode: 'rounds' };
+    expect(matchMargin([], [], { winner: 'Team B', score: { teamA: 3, teamB: 13 } }, rounds)).toBeCloseTo(10 / 13);
+    expect(matchMargin([], [], { winner: 'Team A' }, rounds)).toBeNull();
+    const kd = { ...DEFAULT_SETTINGS, marginMode: 'kd' };
+    expect(matchMargin(makeTeam('A', 0.5, { kd: 2 }), makeTeam('B', 0.5, { kd: 0.5 }), { winner: 'Team A' }, kd))
+      .toBeCloseTo(0.75);
+    expect(matchMargin([], [], { winner: 'Team A', score: { teamA: 13, teamB: 0 } }, DEFAULT_SETTINGS)).toBeNull();
+  });
+
+  test('a whitewash moves ratings further than a narrow win', () => {
+    const settings = { ...DEFAULT_SETTINGS, marginMode: 'rounds', marginWeight: 0.5 };
+    const even = contextDelta({ teamA: 13, teamB: 12 }, DEFAULT_SETTINGS);
+    expect(contextDelta({ teamA: 13, teamB: 0 }, settings)).toBeCloseTo(even * 1.5, 3);
+    expect(contextDelta({ teamA: 13, teamB: 12 }, settings)).toBeLessThan(even);
+  });
+
+  test('leaves the traditional system binary', () => {
+    const settings = { ...DEFAULT_SETTINGS, marginMode: 'rounds' };
+    const result = { winner: 'Team A', score: { teamA: 13, teamB: 0 } };
+    const { traditional } = rateMatch(makeTeam('A', 0.5), makeTeam('B', 0.5), result, settings);
+    expect(traditional.teamA[0].tradElo).toBeCloseTo(0.5 + K_FACTOR / 2, 3);
+  });
+});
+
+describe('individual contribution', () => {
+  const teamA = [
+    makePlayer('star', 0.5, { kills: 30, deaths: 10, kd: 3 }),
+    ...[2, 3, 4, 5].map(i => makePlayer(`A${i}`, 0.5, { kills: 15, deaths: 15, kd: 1 })),
+  ];
+  const teamB = makeTeam('B', 0.5, { kills: 15, deaths: 15, kd: 1 });
+
+  test('compares each player with the lobby average', () => {
+    const factors = contributionFactors([...teamA, ...teamB], { ...DEFAULT_SETTINGS, contributionMode: 'kills' });
+    expect(factors.get('star')).toBeCloseTo(30 / 16.5);
+    expect(factors.get('B1')).toBeCloseTo(15 / 16.5);
+    const off = contributionFactors([...teamA, ...teamB], DEFAULT_SETTINGS);
+    expect([...off.values()].every(factor => factor === 1)).toBe(true);
+  });
+
+  test('top performers gain more in a win and lose less in a loss', () => {
+    const settings = { ...DEFAULT_SETTINGS, contributionMode: 'kd', contributionWeight: 1 };
+    const win = rateMatch(teamA, teamB, { winner: 'Team A' }, settings).contextAware.teamA;
+    expect(win[0].contextElo - 0.5).toBeGreaterThan(win[1].contextElo - 0.5);
+    expect(win[0].contextFactors.performance).toBeGreaterThan(1);
+
+    const loss = rateMatch(teamA, teamB, { winner: 'Team B' }, settings).contextAware.teamA;
+    expect(loss[0].contextElo).toBeGreaterThan(loss[1].contextElo);
+    expect(loss[0].contextElo).toBeLessThanOrEqual(0.5);
+  });
+
+  test('weights kills and deaths into a performance score', () => {
+    const settings = { ...DEFAULT_SETTINGS, contributionMode: 'score', killScoreWeight: 1, deathScoreWeight: 1 };
+    const factors = contributionFactors([...teamA, ...teamB], settings);
+    // Only the star scores above zero (30 - 10), ten times the lobby average, capped at 2
+    expect(factors.get('star')).toBe(2);
+    expect(factors.get('A2')).toBe(0);
+  });
+});
+
+describe('placement matches', () => {
+  const newcomer = (matchesPlayed) => makePlayer('N1', 0.5, { matchesPlayed });
+
+  test('K starts at the placement K-factor and eases down to the regular one', () => {
+    expect(playerKFactor(newcomer(0))).toBeCloseTo(DEFAULT_SETTINGS.placementKFactor);
+    expect(playerKFactor(newcomer(5))).toBeCloseTo((DEFAULT_SETTINGS.placementKFactor + K_FACTOR) / 2);
+    expect(playerKFactor(newcomer(10))).toBe(K_FACTOR);
+    expect(playerKFactor(newcomer(0), { ...DEFAULT_SETTINGS, placementMatches: 0 })).toBe(K_FACTOR);
+  });
+
+  test('provisional players count their rating history', () => {
+    const { matchesPlayed, ...fresh } = newcomer(0);
+    expect(isProvisional(fresh)).toBe(true);
+    expect(isProvisional({ ...fresh, history: new Array(10).fill({}) })).toBe(false);
+    expect(ratingUncertainty({ ...fresh, history: new Array(3).fill({}) })).toBeCloseTo(ratingUncertainty(fresh) / 2);
+  });
+
+  test('a newcomer moves further than an established teammate', () => {
+    const teamA = [newcomer(0), ...makeTeam('A', 0.5).slice(1)];
+    const { contextAware } = rateMatch(teamA, makeTeam('B', 0.5), { winner: 'Team A' });
+    expect(contextAware.teamA[0].contextElo - 0.5).toBeCloseTo(DEFAULT_SETTINGS.placementKFactor / 2, 3);
+    expect(contextAware.teamA[1].contextElo - 0.5).toBeCloseTo(K_FACTOR / 2, 3);
+  });
+
+  test('validateSettings wants a whole number of placement matches', () => {
+    expect(validateSettings({ ...DEFAULT_SETTINGS, placementMatches: 2.5 }))
+      .toEqual(['placementMatches must be a whole number of at least 0']);
+  });
+});
+
+describe('per-map ratings', () => {
+  const onMap = (prefix, elo, mapRatings) => makeTeam(prefix, elo, { currentMap: 'A', mapRatings });
+
+  test('only the match\'s map moves, starting from the global rating', () => {
+    const established = { A: { rating: 0.5, matches: 20 }, B: { rating: 0.7, matches: 20 } };
+    const { teamA, teamB } = calculateMapRatings(
+      onMap('A', 0.5, established), onMap('B', 0.5, undefined), { winner: 'Team A' }
+    );
+
+    expect(teamA[0].mapRatings.A).toEqual({ rating: 0.5 + K_FACTOR / 2, matches: 21 });
+    expect(teamA[0].mapRatings.B).toBe(established.B);
+    // First match on the map: placement-sized K
+    expect(teamB[0].mapRatings).toEqual({ A: { rating: 0.5 - DEFAULT_SETTINGS.placementKFactor / 2, matches: 1 } });
+
+    const noMap = makeTeam('C', 0.5);
+    expect(calculateMapRatings(noMap, makeTeam('D', 0.5), { winner: 'Team A' }).teamA[0]).toBe(noMap[0]);
+  });
+
+  test('predictions blend in the map rating as it gets established', () => {
+    const player = (matches) => makePlayer('P1', 0.5, { currentMap: 'A', mapRatings: { A: { rating: 0.7, matches } } });
+    expect(getBlendedRating(player(0))).toBe(0.5);
+    expect(getBlendedRating(player(5))).toBeCloseTo(0.5 + 0.2 * DEFAULT_SETTINGS.mapRatingWeight / 2);
+    expect(getBlendedRating(player(50))).toBeCloseTo(0.5 + 0.2 * DEFAULT_SETTINGS.mapRatingWeight);
+    expect(getBlendedRating({ ...player(50), currentMap: undefined })).toBe(0.5);
+
+    const strongOnA = makeTeam('A', 0.5, { currentMap: 'A', mapRatings: { A: { rating: 0.6, matches: 10 } } });
+    expect(predictMatch(strongOnA, makeTeam('B', 0.5, { currentMap: 'A' })).contextExpectedA).toBeGreaterThan(0.5);
+    expect(predictMatch(strongOnA, makeTeam('B', 0.5, { currentMap: 'A' })).tradExpectedA).toBeCloseTo(0.5);
+  });
+
+  test('the best map follows proven per-map performance before hours', () => {
+    const player = {
+      mapFamiliarity: { A: '150.00', B: '50.00' },
+      mapRatings: { A: { rating: 0.4, matches: 5 }, B: { rating: 0.6, matches: 5 }, C: { rating: 0.9, matches: 1 } },
+    };
+    expect(deriveBestMap(player)).toBe('B');
+    expect(deriveBestMap({ ...player, mapRatings: { C: { rating: 0.9, matches: 1 } } })).toBe('A');
+    expect(deriveBestMap({})).toBe('');
+  });
+
+  test('rated matches carry the new map ratings into the roster and its leaderboard', () => {
+    const teamA = makeTeam('A', 0.5, { currentMap: 'C' });
+    const teamB = makeTeam('B', 0.5, { currentMap: 'C' });
+    const { contextAware } = rateMatch(teamA, teamB, { winner: 'Team B' });
+    const roster = commitMatchResults([...teamA, ...teamB], contextAware, { id: 'M0001', map: 'C', winner: 'Team B' });
+
+    expect(roster[0].mapRatings.C.matches).toBe(1);
+    const leaderboard = mapLeaderboard(roster, 'C');
+    expect(leaderboard).toHaveLength(10);
+    expect(leaderboard[0].id).toMatch(/^B/);
+    expect(leaderboard[0].globalRating).toBe(roster.find(p => p.id === leaderboard[0].id).contextElo);
+    expect(mapLeaderboard(roster, 'A')).toEqual([]);
+  });
+});
+
+describe('AFK players', () => {
+  // A1 was away for 40% of the match
+  const withAfk = () => makeTeam('A', 0.5).map((player, i) => (i === 0 ? { ...player, afkValue: 0.4 } : player));
+
+  test('the team plays short-handed for as long as its players were away', () => {
+    const team = withAfk();
+    expect(shortHandedShare(team[0], team)).toBe(0);
+    expect(shortHandedShare(team[1], team)).toBeCloseTo(0.4);
+    expect(shortHandedShare(team[1], team.map(player => ({ ...player, afkValue: 0.5 })))).toBe(1);
+  });
+
+  test('the rounds actually missed count over the chance of going AFK once the match is played', () => {
+    const team = withAfk().map((player, i) => (i === 0 ? { ...player, afkShare: 0.25 } : player));
+    expect(shortHandedShare(team[1], team)).toBeCloseTo(0.25);
+    const { contextAware } = rateMatch(team, makeTeam('B', 0.5), { winner: 'Team B' });
+    expect(contextAware.teamA[0].contextFactors.afk).toBeCloseTo(-0.25 * DEFAULT_SETTINGS.afkWeight);
+  });
+
+  test('the AFK player is penalised and their teammates lose less', () => {
+    const { contextAware } = rateMatch(withAfk(), makeTeam('B', 0.5), { winner: 'Team B' });
+    const [afk, teammate] = contextAware.teamA;
+
+    expect(afk.contextFactors.afk).toBeCloseTo(-0.4 * DEFAULT_SETTINGS.afkWeight);
+    expect(afk.contextElo).toBeCloseTo(0.5 - K_FACTOR / 2 - 0.4 * DEFAULT_SETTINGS.afkWeight, 3);
+    expect(teammate.contextFactors).toMatchObject({ afk: 0, shortHanded: 0.4 });
+    expect(teammate.contextFactors.compensation).toBeCloseTo(1 - 0.4 * DEFAULT_SETTINGS.afkCompensation);
+    expect(teammate.contextElo).toBeCloseTo(0.5 - (K_FACTOR / 2) * (1 - 0.4 * DEFAULT_SETTINGS.afkCompensation), 3);
+  });
+
+  test('a short-handed win gains as usual', () => {
+    const { contextAware } = rateMatch(withAfk(), makeTeam('B', 0.5), { winner: 'Team A' });
+    expect(contextAware.teamA[1].contextFactors.compensation).toBe(1);
+    expect(contextAware.teamA[1].contextElo).toBeCloseTo(0.5 + K_FACTOR / 2, 3);
+  });
+});
+
+describe('parties', () => {
+  const fiveStack = () => makeTeam('A', 0.5, { partyId: 'G01' });
+
+  test('party stacks are ignored by default', () => {
+    const { contextAware } = rateMatch(fiveStack(), makeTeam('B', 0.5), { winner: 'Team A' });
+    expect(contextAware.teamA[0].contextFactors.party).toBe(1);
+    expect(contextAware.teamA[0].contextElo).toBeCloseTo(0.5 + K_FACTOR / 2, 3);
+  });
+
+  test('a stack beating solo players gains less under the party weight', () => {
+    const settings = { ...DEFAULT_SETTINGS, partyWeight: 0.5 };
+    const won = rateMatch(fiveStack(), makeTeam('B', 0.5), { winner: 'Team A' }, settings).contextAware;
+    expect(won.teamA[0].contextFactors.party).toBe(0.5);
+    expect(won.teamA[0].contextElo).toBeCloseTo(0.5 + K_FACTOR / 4, 3);
+    expect(won.teamB[0].contextElo).toBeCloseTo(0.5 - K_FACTOR / 2, 3);
+
+    // Losses are not softened, and solo players beating a stack gain as usual
+    const lost = rateMatch(fiveStack(), makeTeam('B', 0.5), { winner: 'Team B' }, settings).contextAware;
+    expect(lost.teamA[0].contextFactors.party).toBe(1);
+    expect(lost.teamB[0].contextFactors.party).toBe(1);
+    expect(validateSettings({ ...DEFAULT_SETTINGS, partyWeight: 2 })).toEqual(['partyWeight must be between 0 and 1']);
+  });
+});
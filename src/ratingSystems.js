@@ -0,0 +1,197 @@
+// Alternative rating systems that run alongside the two Elo systems on the same matches: Glicko-2 and a
+// TrueSkill-style Bayesian team model. Each keeps a rating on the same 0-1 scale as Elo plus a deviation
+// (how unsure it is), both converted through the expected-score scale so a rating gap means the same thing.
+// Like the rest of the rating engine this is pure math with no React state or randomness.
+
+// Glicko-2 system constant: how much a player's volatility may change between matches
+export const GLICKO_TAU = 0.5;
+export const GLICKO_VOLATILITY = 0.06;
+// Deviations are given in Elo-scale rating points at the default expected-score scale (350 Glicko points)
+export const INITIAL_DEVIATION = 0.0875;
+// TrueSkill's performance noise (beta) is half its initial deviation; dynamics keep a little uncertainty
+export const TRUESKILL_BETA = INITIAL_DEVIATION / 2;
+export const TRUESKILL_DYNAMICS = INITIAL_DEVIATION / 100;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Standard normal density and distribution (Abramowitz-Stegun 7.1.26 for erf, accurate to ~1e-7)
+const normalPdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Glicko-2 works on its own scale: 0-1 ratings map to mu around 0 and deviations to phi
+const toGlickoScale = (value, settings) => value * settings.expectedScale * Math.LN10;
+const fromGlickoScale = (value, settings) => value / (settings.expectedScale * Math.LN10);
+
+const glickoG = (phi) => 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+const glickoExpected = (mu, opponentMu, opponentPhi) => 1 / (1 + Math.exp(-glickoG(opponentPhi) * (mu - opponentMu)));
+
+// A team as one composite player: average mu and root-mean-square phi
+const glickoTeam = (states, settings) => ({
+  mu: mean(states.map(state => toGlickoScale(state.rating - 0.5, settings))),
+  phi: Math.sqrt(mean(states.map(state => toGlickoScale(state.deviation, settings) ** 2))),
+});
+
+// New volatility (step 5 of Glickman's Glicko-2 paper, Illinois algorithm)
+const glickoVolatility = (phi, sigma, delta, v) => {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * (phi * phi + v + ex) ** 2) - (x - a) / (GLICKO_TAU ** 2);
+  };
+
+  let lower = a;
+  let upper;
+  if (delta * delta > phi * phi + v) {
+    upper = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * GLICKO_TAU) < 0) k++;
+    upper = a - k * GLICKO_TAU;
+  }
+  let fLower = f(lower);
+  let fUpper = f(upper);
+  while (Math.abs(upper - lower) > 1e-6) {
+    const c = lower + ((lower - upper) * fLower) / (fUpper - fLower);
+    const fC = f(c);
+    if (fC * fUpper <= 0) {
+      lower = upper;
+      fLower = fUpper;
+    } else {
+      fLower /= 2;
+    }
+    upper = c;
+    fUpper = fC;
+  }
+  return Math.exp(lower / 2);
+};
+
+// One Glicko-2 rating period of a single match: each player against the other team as a composite opponent,
+// with their own team's average as their side of the expectation
+const glicko2 = {
+  key: "glicko2",
+  label: "Glicko-2",
+  initial: (rating) => ({ rating, deviation: INITIAL_DEVIATION, volatility: GLICKO_VOLATILITY }),
+  expectedA: (statesA, statesB, settings) => {
+    const teamA = glickoTeam(statesA, settings);
+    const teamB = glickoTeam(statesB, settings);
+    return glickoExpected(teamA.mu, teamB.mu, Math.sqrt(teamA.phi ** 2 + teamB.phi ** 2));
+  },
+  update: (statesA, statesB, actualA, settings) => {
+    const teams = [glickoTeam(statesA, settings), glickoTeam(statesB, settings)];
+    const updateSide = (states, own, opponent, actual) => states.map(state => {
+      const mu = toGlickoScale(state.rating - 0.5, settings);
+      const phi = toGlickoScale(state.deviation, settings);
+      const g = glickoG(opponent.phi);
+      const expected = glickoExpected(own.mu, opponent.mu, opponent.phi);
+      const v = 1 / (g * g * expected * (1 - expected));
+      const delta = v * g * (actual - expected);
+
+      const volatility = glickoVolatility(phi, state.volatility, delta, v);
+      const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+      const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+      const newMu = mu + newPhi * newPhi * g * (actual - expected);
+      return {
+        rating: 0.5 + fromGlickoScale(newMu, settings),
+        deviation: fromGlickoScale(newPhi, settings),
+        volatility,
+      };
+    });
+    return {
+      teamA: updateSide(statesA, teams[0], teams[1], actualA),
+      teamB: updateSide(statesB, teams[1], teams[0], 1 - actualA),
+    };
+  },
+};
+
+// Spread of the difference in team performance: everyone's uncertainty plus per-player performance noise
+const trueSkillSpread = (statesA, statesB, settings) => {
+  const beta = TRUESKILL_BETA * (10 / settings.expectedScale);
+  const variance = [...statesA, ...statesB].reduce((sum, state) => sum + state.deviation ** 2, 0);
+  return Math.sqrt(variance + (statesA.length + statesB.length) * beta * beta);
+};
+const teamSkill = (states) => states.reduce((sum, state) => sum + state.rating, 0);
+
+// TrueSkill-style two-team update without draws: team performance is the sum of its players' skills
+const trueSkill = {
+  key: "trueskill",
+  label: "TrueSkill-style",
+  initial: (rating) => ({ rating, deviation: INITIAL_DEVIATION }),
+  expectedA: (statesA, statesB, settings) =>
+    normalCdf((teamSkill(statesA) - teamSkill(statesB)) / trueSkillSpread(statesA, statesB, settings)),
+  update: (statesA, statesB, actualA, settings) => {
+    const dynamics = TRUESKILL_DYNAMICS * (10 / settings.expectedScale);
+    const withDynamics = (states) => states.map(state => ({
+      ...state,
+      deviation: Math.sqrt(state.deviation ** 2 + dynamics ** 2),
+    }));
+    const teamA = withDynamics(statesA);
+    const teamB = withDynamics(statesB);
+
+    const c = trueSkillSpread(teamA, teamB, settings);
+    const [winners, losers] = actualA === 1 ? [teamA, teamB] : [teamB, teamA];
+    const t = (teamSkill(winners) - teamSkill(losers)) / c;
+    const v = normalPdf(t) / Math.max(normalCdf(t), 1e-12);
+    const w = v * (v + t);
+
+    const updateSide = (states, sign) => states.map(state => {
+      const variance = state.deviation ** 2;
+      return {
+        rating: state.rating + sign * (variance / c) * v,
+        deviation: Math.sqrt(variance * Math.max(1 - (variance / (c * c)) * w, 1e-6)),
+      };
+    });
+    return {
+      teamA: updateSide(teamA, actualA === 1 ? 1 : -1),
+      teamB: updateSide(teamB, actualA === 1 ? -1 : 1),
+    };
+  },
+};
+
+export const RATING_SYSTEMS = [glicko2, trueSkill];
+
+export const findRatingSystem = (key) => RATING_SYSTEMS.find(system => system.key === key);
+
+// A player's current state in a system; players new to it start from their Elo with full uncertainty
+export const systemRating = (player, key) =>
+  player.systemRatings?.[key] ?? findRatingSystem(key).initial(parseFloat(player.elo));
+
+/**
+ * Rate a match under every system in `settings.ratingSystems`. Systems listed in `settings.contextSystems`
+ * also get each player's context adjustment (`contextFactors.total`, see calculateContextAwareElo).
+ * @param {object[]} teamA players as rated by the context-aware system
+ * @returns {Object<string, {expectedA: number, teamA: object[], teamB: object[]}>} by system key; each
+ *   team lists {id, before, after} states of {rating, deviation[, volatility]}
+ */
+export const rateWithSystems = (teamA, teamB, matchResult, settings) => {
+  const actualA = matchResult.winner === "Team A" ? 1 : 0;
+  const clamp = (rating) => Math.max(settings.minRating, Math.min(settings.maxRating, rating));
+
+  return Object.fromEntries(settings.ratingSystems.map(key => {
+    const system = findRatingSystem(key);
+    const statesA = teamA.map(player => systemRating(player, key));
+    const statesB = teamB.map(player => systemRating(player, key));
+    const updated = system.update(statesA, statesB, actualA, settings);
+    const withContext = settings.contextSystems.includes(key);
+
+    const describe = (team, before, after) => team.map((player, i) => ({
+      id: player.id,
+      before: before[i],
+      after: {
+        ...after[i],
+        rating: parseFloat(clamp(after[i].rating + (withContext ? player.contextFactors?.total ?? 0 : 0)).toFixed(4)),
+        deviation: parseFloat(after[i].deviation.toFixed(4)),
+      },
+    }));
+
+    return [key, {
+      expectedA: system.expectedA(statesA, statesB, settings),
+      teamA: describe(teamA, statesA, updated.teamA),
+      teamB: describe(teamB, statesB, updated.teamB),
+    }];
+  }));
+};
@@ -0,0 +1,68 @@
+import { DEFAULT_SETTINGS, commitMatchResults, expectedScore, rateMatch, validateSettings } from './ratingEngine';
+import { INITIAL_DEVIATION, findRatingSystem, rateWithSystems, systemRating } from './ratingSystems';
+import { makePlayer, makeTeam } from './testPlayers';
+const states = (rating, deviation) => Array.from({ length: 5 }, () => ({ rating, deviation, volatility: 0.06 }));
+
+test('players new to a system start from their Elo with full uncertainty', () => {
+  expect(systemRating(makePlayer('p', 0.4), 'trueskill')).toEqual({ rating: 0.4, deviation: INITIAL_DEVIATION });
+  const rated = { ...makePlayer('p', 0.4), systemRatings: { trueskill: { rating: 0.45, deviation: 0.05 } } };
+  expect(systemRating(rated, 'trueskill')).toEqual({ rating: 0.45, deviation: 0.05 });
+});
+
+test('Glicko-2 predicts like Elo once it is certain of everyone', () => {
+  const glicko = findRatingSystem('glicko2');
+  expect(glicko.expectedA(states(0.55, 0), states(0.5, 0), DEFAULT_SETTINGS)).toBeCloseTo(expectedScore(0.55, 0.5));
+  expect(glicko.expectedA(states(0.5, 0.05), states(0.5, 0.05), DEFAULT_SETTINGS)).toBeCloseTo(0.5);
+});
+
+describe.each(['glicko2', 'trueskill'])('%s', (key) => {
+  const system = findRatingSystem(key);
+
+  test('moves winners up, losers down and grows more certain', () => {
+    const { teamA, teamB } = system.update(states(0.5, INITIAL_DEVIATION), states(0.5, INITIAL_DEVIATION), 1, DEFAULT_SETTINGS);
+    expect(teamA[0].rating).toBeGreaterThan(0.5);
+    expect(teamB[0].rating).toBeLessThan(0.5);
+    expect(teamA[0].deviation).toBeLessThan(INITIAL_DEVIATION);
+  });
+
+  test('an upset moves ratings more than an expected win', () => {
+    const gain = (ratingA, ratingB) =>
+      system.update(states(ratingA, 0.05), states(ratingB, 0.05), 1, DEFAULT_SETTINGS).teamA[0].rating - ratingA;
+    expect(gain(0.45, 0.55)).toBeGreaterThan(gain(0.55, 0.45));
+  });
+
+  test('uncertain players move further than established ones', () => {
+    const gain = (deviation) =>
+      system.update(states(0.5, deviation), states(0.5, 0.05), 1, DEFAULT_SETTINGS).teamA[0].rating - 0.5;
+    expect(gain(INITIAL_DEVIATION)).toBeGreaterThan(gain(0.02));
+  });
+});
+
+test('rateMatch runs the selected systems and hands their ratings to the roster', () => {
+  const teamA = makeTeam('A', 0.5);
+  const teamB = makeTeam('B', 0.5);
+  const ratings = rateMatch(teamA, teamB, { winner: 'Team A' });
+  expect(Object.keys(ratings.systems)).toEqual(['glicko2', 'trueskill']);
+  expect(ratings.systems.glicko2.expectedA).toBeCloseTo(0.5);
+
+  const roster = commitMatchResults([...teamA, ...teamB], ratings.contextAware, { id: 'M0001', map: 'A', winner: 'Team A' });
+  expect(roster[0].systemRatings.glicko2.rating).toBeGreaterThan(0.5);
+  expect(roster[0].history[0].systemRatings.trueskill).toEqual(roster[0].systemRatings.trueskill);
+
+  const eloOnly = rateMatch(teamA, teamB, { winner: 'Team A' }, { ...DEFAULT_SETTINGS, ratingSystems: [] });
+  expect(eloOnly.systems).toEqual({});
+});
+
+test('context factors are only applied to the systems that ask for them', () => {
+  const teamA = makeTeam('A', 0.5, { contextFactors: { total: -0.01 } });
+  const teamB = makeTeam('B', 0.5, { contextFactors: { total: 0 } });
+  const rating = (contextSystems) =>
+    rateWithSystems(teamA, teamB, { winner: 'Team A' }, { ...DEFAULT_SETTINGS, contextSystems }).glicko2.teamA[0].after.rating;
+  expect(rating(['glicko2'])).toBeCloseTo(rating([]) - 0.01, 3);
+  expect(rating(['trueskill'])).toBe(rating([]));
+});
+
+test('validateSettings rejects unknown rating systems', () => {
+  expect(validateSettings({ ...DEFAULT_SETTINGS, ratingSystems: ['elo2'] }))
+    .toEqual(['ratingSystems must list rating systems from glicko2, trueskill']);
+});
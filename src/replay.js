@@ -0,0 +1,134 @@
+// Replay: re-rate recorded or imported matches under a given set of rating settings.
+import { joinRoster } from "./decay";
+import { DEFAULT_MAP_POOL, findMap } from "./mapPool";
+import { createMatchRecord } from "./matchHistory";
+import { DEFAULT_SETTINGS, commitMatchResults, rateMatch } from "./ratingEngine";
+import { createPlayer } from "./simulation";
+
+/**
+ * Replay matches in order. Each player starts from the ratings they had going into their first
+ * recorded match, with no per-map ratings yet; after that only the replayed updates count.
+ * @param {object[]} matchHistory records as produced by createMatchRecord
+ * @param {object} [settings] rating settings to replay under
+ * @returns {{ratings: Map<string, {tradElo: number, contextElo: number, matchesPlayed: number, mapRatings: object}>,
+ *   predictions: object[]}}
+ *   predictions holds one row per match with both systems' P(Team A wins) and the actual result
+ */
+export const replayMatchHistory = (matchHistory, settings = DEFAULT_SETTINGS) => {
+  const ratings = new Map();
+
+  const toTeam = (team, map) => team.map(player => {
+    if (!ratings.has(player.id)) {
+      ratings.set(player.id, {
+        tradElo: player.tradBefore,
+        contextElo: player.contextBefore,
+        matchesPlayed: player.matchesPlayed ?? 0,
+        mapRatings: {},
+      });
+    }
+    return { ...player, ...ratings.get(player.id), currentMap: map };
+  });
+
+  const predictions = matchHistory.map(match => {
+    // Only the Elo predictions are scored, so the other rating systems are left out
+    const result = rateMatch(
+      toTeam(match.teamA, match.map), toTeam(match.teamB, match.map), { winner: match.winner, score: match.score },
+      { ...settings, ratingSystems: [] }
+    );
+    [...result.contextAware.teamA, ...result.contextAware.teamB].forEach(player => {
+      ratings.set(player.id, {
+        tradElo: player.tradElo,
+        contextElo: player.contextElo,
+        matchesPlayed: player.matchesPlayed + 1,
+        mapRatings: player.mapRatings,
+      });
+    });
+
+    return {
+      matchId: match.id,
+      tradExpectedA: result.expectedA,
+      contextExpectedA: result.contextExpectedA,
+      winner: match.winner,
+    };
+  });
+
+  return { ratings, predictions };
+};
+
+/**
+ * Replay imported matches (see matchLogImport.js) through both rating systems, in the order given.
+ * Players already in the roster start from their current ratings and map familiarity; anyone else
+ * joins at `startingRating`. Matches may give their map by pool id or name. Every match counts as played on
+ * `day`, the simulated calendar day it is applied on, so its players are not decayed as if they sat it out
+ * (see decay.js).
+ * @returns {{players: object[], matches: object[], leaderboard: object[]}} the updated roster, one history
+ *   record per match (createMatchRecord plus its timestamp) and the final standings of everyone who played
+ */
+export const replayMatchLog = (
+  matchLog,
+  roster,
+  { settings = DEFAULT_SETTINGS, startingRating = 0.5, mapPool = DEFAULT_MAP_POOL, day = null } = {}
+) => {
+  let players = [...roster];
+  const records = [];
+
+  matchLog.forEach(match => {
+    const known = new Set(players.map(p => p.id));
+    const newcomers = joinRoster([...match.teamA, ...match.teamB]
+      .filter(p => !known.has(p.id))
+      .map(p => createPlayer(p.id, startingRating)), day);
+    players = [...players, ...newcomers];
+
+    // Logs may name maps rather than use pool ids; maps outside the pool give no familiarity
+    const map = findMap(mapPool, match.map)?.id ?? match.map;
+    const byId = new Map(players.map(p => [p.id, p]));
+    const toTeam = (team) => team.map(entry => {
+      const player = byId.get(entry.id);
+      return {
+        ...player,
+        ...entry,
+        currentMap: map,
+        currentMapFamiliarity: parseFloat(player.mapFamiliarity?.[map] || 0),
+      };
+    });
+
+    const ratings = rateMatch(toTeam(match.teamA), toTeam(match.teamB), { winner: match.winner }, settings);
+    players = commitMatchResults(players, ratings.contextAware, { id: match.id, map, winner: match.winner, day }, mapPool);
+    records.push({
+      ...createMatchRecord({ id: match.id, map, winner: match.winner, ratings, day }),
+      timestamp: match.timestamp,
+    });
+  });
+
+  return { players, matches: records, leaderboard: buildLeaderboard(players, records) };
+};
+
+// Final standings of everyone who appears in `matches`, ranked under each system
+export const buildLeaderboard = (players, matches) => {
+  const stats = new Map();
+  matches.forEach(match => {
+    [["Team A", match.teamA], ["Team B", match.teamB]].forEach(([team, members]) => {
+      members.forEach(({ id }) => {
+        const entry = stats.get(id) || { matches: 0, wins: 0 };
+        entry.matches++;
+        if (match.winner === team) entry.wins++;
+        stats.set(id, entry);
+      });
+    });
+  });
+
+  const rows = players
+    .filter(p => stats.has(p.id))
+    .map(p => ({ id: p.id, tradElo: p.tradElo, contextElo: p.contextElo, ...stats.get(p.id) }));
+
+  const rankBy = (key) => {
+    const ranks = new Map([...rows].sort((a, b) => b[key] - a[key]).map((row, i) => [row.id, i + 1]));
+    return (row) => ranks.get(row.id);
+  };
+  const tradRank = rankBy("tradElo");
+  const contextRank = rankBy("contextElo");
+
+  return rows
+    .map(row => ({ ...row, tradRank: tradRank(row), contextRank: contextRank(row) }))
+    .sort((a, b) => a.contextRank - b.contextRank);
+};
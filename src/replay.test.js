@@ -0,0 +1,59 @@
+import { toAuditRows } from './matchHistory';
+import { buildLeaderboard, replayMatchLog } from './replay';
+import { createPlayer } from './simulation';
+
+const entry = (id, kills, deaths) => ({ id, kills, deaths, kd: kills / Math.max(1, deaths), networkStability: 1, afkValue: 0 });
+
+const matchLog = [
+  { id: 'm1', timestamp: '2024-05-01T00:00:00.000Z', map: 'A', winner: 'Team A', teamA: [entry('ann', 9, 1)], teamB: [entry('ben', 1, 9)] },
+  { id: 'm2', timestamp: '2024-05-02T00:00:00.000Z', map: 'map a', winner: 'Team A', teamA: [entry('ann', 7, 2)], teamB: [entry('cat', 2, 7)] },
+];
+
+test('replayMatchLog rates imported matches in order, adding unknown players', () => {
+  const roster = [{ ...createPlayer('ann', 0.6), mapFamiliarity: { A: '150.00' } }];
+  const { players, matches, leaderboard } = replayMatchLog(matchLog, roster, { startingRating: 0.5 });
+
+  expect(players.map(p => p.id)).toEqual(['ann', 'ben', 'cat']);
+  const ann = players.find(p => p.id === 'ann');
+  expect(ann.history.map(h => h.matchId)).toEqual(['m1', 'm2']);
+  expect(ann.history[1].tradBefore).toBe(ann.history[0].tradAfter);
+  expect(ann.history[0].contextFactors.map).toBeCloseTo(0.03);
+  expect(ann.history[1].contextFactors.map).toBeCloseTo(0.03); // 'map a' is Map A's name
+  expect(matches[1].map).toBe('A');
+
+  expect(matches[0]).toMatchObject({ id: 'm1', timestamp: '2024-05-01T00:00:00.000Z', winner: 'Team A' });
+  expect(matches[0].teamB[0]).toMatchObject({ id: 'ben', tradBefore: 0.5 });
+
+  expect(leaderboard[0]).toMatchObject({ id: 'ann', matches: 2, wins: 2, tradRank: 1, contextRank: 1 });
+});
+
+test('replayMatchLog counts imported matches as played on the day they are applied', () => {
+  const roster = [{ ...createPlayer('ann', 0.6), joinedOn: 0, lastPlayed: 3 }];
+  const { players, matches } = replayMatchLog(matchLog, roster, { day: 12 });
+
+  expect(matches.map(match => match.day)).toEqual([12, 12]);
+  expect(players.find(p => p.id === 'ann').lastPlayed).toBe(12);
+  expect(players.find(p => p.id === 'ben')).toMatchObject({ joinedOn: 12, lastPlayed: 12 });
+});
+
+test('buildLeaderboard only ranks players who played', () => {
+  const players = [
+    { id: 'a', tradElo: 0.4, contextElo: 0.7 },
+    { id: 'b', tradElo: 0.6, contextElo: 0.5 },
+    { id: 'bench', tradElo: 0.9, contextElo: 0.9 },
+  ];
+  const matches = [{ winner: 'Team B', teamA: [{ id: 'a' }], teamB: [{ id: 'b' }] }];
+  expect(buildLeaderboard(players, matches)).toEqual([
+    { id: 'a', tradElo: 0.4, contextElo: 0.7, matches: 1, wins: 0, tradRank: 2, contextRank: 1 },
+    { id: 'b', tradElo: 0.6, contextElo: 0.5, matches: 1, wins: 1, tradRank: 1, contextRank: 2 },
+  ]);
+});
+
+test('toAuditRows gives one row per player per match from their team\'s point of view', () => {
+  const { matches } = replayMatchLog(matchLog.slice(0, 1), []);
+  const rows = toAuditRows(matches);
+  expect(rows).toHaveLength(2);
+  expect(rows[0]).toMatchObject({ matchId: 'm1', team: 'Team A', won: true, id: 'ann' });
+  expect(rows[1]).toMatchObject({ team: 'Team B', won: false, id: 'ben' });
+  expect(rows[0].tradExpected + rows[1].tradExpected).toBeCloseTo(1);
+});
@@ -0,0 +1,97 @@
+// Report exports: per-match results and full rating histories as CSV or JSON.
+import { formatCsv } from "./csv";
+import { toAuditRows } from "./matchHistory";
+import { timeAway } from "./ratingEngine";
+
+const factor = (key) => (row) => row.contextFactors?.[key];
+
+// One column per [header, accessor] pair; rows are audit rows from toAuditRows
+export const MATCH_RESULT_COLUMNS = [
+  ["match_id", row => row.matchId],
+  ["timestamp", row => row.timestamp],
+  ["map", row => row.map],
+  ["team", row => row.team],
+  ["won", row => (row.won ? 1 : 0)],
+  ["rounds_won", row => row.roundsWon],
+  ["rounds_lost", row => row.roundsLost],
+  ["player_id", row => row.id],
+  ["kills", row => row.kills],
+  ["deaths", row => row.deaths],
+  ["kd", row => row.kd],
+  ["network_stability", row => row.networkStability],
+  ["afk", timeAway],
+  ["map_familiarity", row => row.currentMapFamiliarity],
+  ["trad_expected", row => row.tradExpected],
+  ["trad_before", row => row.tradBefore],
+  ["trad_after", row => row.tradAfter],
+  ["context_expected", row => row.contextExpected],
+  ["context_before", row => row.contextBefore],
+  ["context_after", row => row.contextAfter],
+  ["factor_latency", factor("latency")],
+  ["factor_map", factor("map")],
+  ["factor_afk", factor("afk")],
+  ["factor_total", factor("total")],
+  ["factor_margin", factor("margin")],
+  ["factor_performance", factor("performance")],
+  ["factor_short_handed", factor("shortHanded")],
+  ["factor_afk_compensation", factor("compensation")],
+  ["factor_party", factor("party")],
+];
+
+// One row per player per committed match, in the player's history order
+export const RATING_HISTORY_COLUMNS = [
+  ["player_id", row => row.playerId],
+  ["match_id", row => row.matchId],
+  ["map", row => row.map],
+  ["result", row => row.result],
+  ["trad_before", row => row.tradBefore],
+  ["trad_after", row => row.tradAfter],
+  ["trad_delta", row => row.tradDelta],
+  ["context_before", row => row.contextBefore],
+  ["context_after", row => row.contextAfter],
+  ["context_delta", row => row.contextDelta],
+  ["factor_latency", factor("latency")],
+  ["factor_map", factor("map")],
+  ["factor_afk", factor("afk")],
+  ["factor_total", factor("total")],
+  ["factor_margin", factor("margin")],
+  ["factor_performance", factor("performance")],
+  ["factor_short_handed", factor("shortHanded")],
+  ["factor_afk_compensation", factor("compensation")],
+  ["factor_party", factor("party")],
+];
+
+const toCsvWithColumns = (columns, rows) =>
+  formatCsv([columns.map(([header]) => header), ...rows.map(row => columns.map(([, value]) => value(row)))]);
+
+/**
+ * Per-match results as CSV, one row per player per match.
+ * @param {object[]} matchHistory match records from createMatchRecord
+ * @returns {string}
+ */
+export const matchResultsToCsv = (matchHistory) =>
+  toCsvWithColumns(MATCH_RESULT_COLUMNS, toAuditRows(matchHistory));
+
+// Per-match results as JSON: the match records themselves, which nest players under their team
+export const matchResultsToJson = (matchHistory) => JSON.stringify(matchHistory, null, 2);
+
+// Flatten every player's rating history into rows tagged with the player id
+export const toRatingHistoryRows = (players) =>
+  players.flatMap(player => (player.history ?? []).map(entry => ({ playerId: player.id, ...entry })));
+
+/**
+ * Full rating history as CSV, one row per player per committed match.
+ * @param {object[]} players roster players with their history
+ * @returns {string}
+ */
+export const ratingHistoryToCsv = (players) =>
+  toCsvWithColumns(RATING_HISTORY_COLUMNS, toRatingHistoryRows(players));
+
+// Full rating history as JSON, keeping the current ratings next to each player's history
+export const ratingHistoryToJson = (players) =>
+  JSON.stringify(players.map(player => ({
+    id: player.id,
+    tradElo: player.tradElo,
+    contextElo: player.contextElo,
+    history: player.history ?? [],
+  })), null, 2);
@@ -0,0 +1,50 @@
+import { parseCsv } from './csv';
+import { replayMatchLog } from './replay';
+import {
+  MATCH_RESULT_COLUMNS,
+  RATING_HISTORY_COLUMNS,
+  matchResultsToCsv,
+  matchResultsToJson,
+  ratingHistoryToCsv,
+  ratingHistoryToJson,
+} from './reports';
+
+const entry = (id, kills, deaths, extra = {}) =>
+  ({ id, kills, deaths, kd: kills / Math.max(1, deaths), networkStability: 1, afkValue: 0, ...extra });
+
+const { players, matches } = replayMatchLog([
+  { id: 'm1', timestamp: null, map: 'A', winner: 'Team A', teamA: [entry('ann', 9, 1)], teamB: [entry('ben', 1, 9, { afkValue: 0.2 })] },
+  { id: 'm2', timestamp: null, map: 'B', winner: 'Team B', teamA: [entry('ann', 2, 7)], teamB: [entry('cat', 7, 2)] },
+], []);
+
+test('matchResultsToCsv writes one row per player per match with the context factor breakdown', () => {
+  const [header, ...rows] = parseCsv(matchResultsToCsv(matches));
+  expect(header).toEqual(MATCH_RESULT_COLUMNS.map(([name]) => name));
+  expect(rows).toHaveLength(4);
+
+  const ben = Object.fromEntries(header.map((name, i) => [name, rows[1][i]]));
+  const record = matches[0].teamB[0];
+  expect(ben).toMatchObject({
+    match_id: 'm1', team: 'Team B', won: '0', player_id: 'ben', afk: '0.2',
+    trad_after: String(record.tradAfter),
+    context_after: String(record.contextAfter),
+    factor_afk: String(record.contextFactors.afk),
+    factor_total: String(record.contextFactors.total),
+  });
+});
+
+test('matchResultsToJson keeps the nested match records', () => {
+  expect(JSON.parse(matchResultsToJson(matches))).toEqual(JSON.parse(JSON.stringify(matches)));
+});
+
+test('rating history exports cover every committed match of every player', () => {
+  const [header, ...rows] = parseCsv(ratingHistoryToCsv(players));
+  expect(header).toEqual(RATING_HISTORY_COLUMNS.map(([name]) => name));
+  expect(rows.map(row => [row[0], row[1], row[3]])).toEqual([
+    ['ann', 'm1', 'W'], ['ann', 'm2', 'L'], ['ben', 'm1', 'L'], ['cat', 'm2', 'W'],
+  ]);
+
+  const json = JSON.parse(ratingHistoryToJson(players));
+  expect(json[0]).toMatchObject({ id: 'ann', tradElo: players[0].tradElo });
+  expect(json[0].history).toHaveLength(2);
+});
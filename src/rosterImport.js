@@ -0,0 +1,143 @@
+// Roster import: turn parsed CSV rows into players and per-map hours, with row-level validation.
+import { DEFAULT_MAP_POOL, activeMaps } from "./mapPool";
+import { DEFAULT_SETTINGS, calculateMapFamiliarity } from "./ratingEngine";
+import { createPlayer } from "./simulation";
+
+// Columns each import needs, with header names recognised when guessing the mapping
+export const PLAYER_FIELDS = [
+  { key: "id", label: "Player ID", aliases: ["id", "player", "playerid", "player_id", "name"] },
+  { key: "rating", label: "Starting Rating", aliases: ["rating", "elo", "mmr", "startingrating", "starting_rating"] },
+];
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/\s+/g, "");
+
+// One hours column per map in rotation, recognised by the map's id or name
+export const hoursFields = (mapPool = DEFAULT_MAP_POOL) => [
+  { key: "id", label: "Player ID", aliases: ["id", "player", "playerid", "player_id", "name"] },
+  ...activeMaps(mapPool).map(map => {
+    const id = normalizeHeader(map.id);
+    const name = normalizeHeader(map.name);
+    return {
+      key: `hours:${map.id}`,
+      mapId: map.id,
+      label: `Hours on ${map.name}`,
+      aliases: [...new Set([
+        name, `hours${name}`, `hours_${name}`, `hourson${name}`,
+        id, `hours${id}`, `hours_${id}`, `map${id}`, `map_${id}`,
+      ])],
+    };
+  }),
+];
+
+// Best guess of which column holds each field: { fieldKey: columnIndex }, or null when none matches
+export const guessColumnMapping = (headers, fields) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(fields.map(field => {
+    const index = normalized.findIndex(header => field.aliases.includes(header));
+    return [field.key, index === -1 ? null : index];
+  }));
+};
+
+// Fields the mapping does not assign to a column
+export const unmappedFields = (mapping, fields) =>
+  fields.filter(field => mapping[field.key] === null || mapping[field.key] === undefined);
+
+const cellOf = (row, mapping, key) => (row[mapping[key]] ?? "").trim();
+
+// Row numbers in errors are 1-based file lines: the line each data row starts on when the parser reported
+// it (see parseCsvLines), otherwise counted from a header on line 1 with no blank lines
+const rowNumber = (index, lines) => lines?.[index] ?? index + 2;
+
+/**
+ * Build new players from data rows (header row excluded).
+ * @param {number[]} [lines] file line of each data row, for error messages
+ * @returns {{players: object[], errors: {row: number, message: string}[]}} players is empty when any row fails
+ */
+export const importPlayers = (rows, mapping, existingPlayers, settings = DEFAULT_SETTINGS, lines = null) => {
+  const errors = [];
+  const players = [];
+  const rosterIds = new Set(existingPlayers.map(p => p.id));
+  const fileIds = new Map();
+
+  rows.forEach((row, index) => {
+    const line = rowNumber(index, lines);
+    const id = cellOf(row, mapping, "id");
+    const ratingText = cellOf(row, mapping, "rating");
+    const rating = Number(ratingText);
+
+    if (!id) {
+      errors.push({ row: line, message: "missing player ID" });
+      return;
+    }
+    if (fileIds.has(id)) {
+      errors.push({ row: line, message: `duplicate player ID ${id} (first seen on row ${fileIds.get(id)})` });
+      return;
+    }
+    fileIds.set(id, line);
+    if (rosterIds.has(id)) {
+      errors.push({ row: line, message: `player ID ${id} is already in the roster` });
+      return;
+    }
+    if (ratingText === "" || !Number.isFinite(rating)) {
+      errors.push({ row: line, message: `rating "${ratingText}" is not a number` });
+      return;
+    }
+    if (rating < settings.minRating || rating > settings.maxRating) {
+      errors.push({ row: line, message: `rating ${rating} is outside ${settings.minRating}-${settings.maxRating}` });
+      return;
+    }
+
+    players.push(createPlayer(id, parseFloat(rating.toFixed(3))));
+  });
+
+  return { players: errors.length === 0 ? players : [], errors };
+};
+
+/**
+ * Apply per-map hours from data rows to the roster and recompute map familiarity.
+ * @param {number[]} [lines] file line of each data row, for error messages
+ * @returns {{players: object[], errors: {row: number, message: string}[]}} the roster is unchanged when any row fails
+ */
+export const importHours = (rows, mapping, players, mapPool = DEFAULT_MAP_POOL, lines = null) => {
+  const errors = [];
+  const hoursById = new Map();
+  const rosterIds = new Set(players.map(p => p.id));
+  const hourFields = hoursFields(mapPool).filter(field => field.key !== "id");
+
+  rows.forEach((row, index) => {
+    const line = rowNumber(index, lines);
+    const id = cellOf(row, mapping, "id");
+
+    if (!id) {
+      errors.push({ row: line, message: "missing player ID" });
+      return;
+    }
+    if (hoursById.has(id)) {
+      errors.push({ row: line, message: `duplicate player ID ${id}` });
+      return;
+    }
+    if (!rosterIds.has(id)) {
+      errors.push({ row: line, message: `player ID ${id} is not in the roster` });
+      return;
+    }
+
+    const hours = {};
+    for (const field of hourFields) {
+      const text = cellOf(row, mapping, field.key);
+      const value = Number(text);
+      if (text === "" || !Number.isFinite(value) || value < 0) {
+        errors.push({ row: line, message: `${field.label} "${text}" must be a non-negative number` });
+        return;
+      }
+      hours[field.mapId] = value;
+    }
+    hoursById.set(id, hours);
+  });
+
+  if (errors.length > 0) return { players, errors };
+
+  const withHours = players.map(player => (
+    hoursById.has(player.id) ? { ...player, hours: { ...player.hours, ...hoursById.get(player.id) } } : player
+  ));
+  return { players: calculateMapFamiliarity(withHours, mapPool), errors };
+};
@@ -0,0 +1,95 @@
+import { parseCsvLines } from './csv';
+import { PLAYER_FIELDS, hoursFields, guessColumnMapping, importHours, importPlayers, unmappedFields } from './rosterImport';
+import { createPlayer } from './simulation';
+
+const splitCsv = (text) => {
+  const { rows: [headers, ...rows], lines: [, ...lines] } = parseCsvLines(text);
+  return { headers, rows, lines };
+};
+
+describe('guessColumnMapping', () => {
+  test('matches common header names in any order', () => {
+    const mapping = guessColumnMapping(['MMR', 'Player ID'], PLAYER_FIELDS);
+    expect(mapping).toEqual({ id: 1, rating: 0 });
+    expect(unmappedFields(mapping, PLAYER_FIELDS)).toEqual([]);
+  });
+
+  test('leaves unknown columns unmapped', () => {
+    const mapping = guessColumnMapping(['id', 'score'], PLAYER_FIELDS);
+    expect(unmappedFields(mapping, PLAYER_FIELDS).map(f => f.key)).toEqual(['rating']);
+  });
+});
+
+describe('importPlayers', () => {
+  test('creates players starting at the imported rating', () => {
+    const { rows } = splitCsv('id,rating\nalice,0.62\nbob,0.4');
+    const { players, errors } = importPlayers(rows, { id: 0, rating: 1 }, []);
+    expect(errors).toEqual([]);
+    expect(players.map(p => [p.id, p.elo, p.tradElo, p.contextElo])).toEqual([
+      ['alice', '0.620', 0.62, 0.62],
+      ['bob', '0.400', 0.4, 0.4],
+    ]);
+    expect(players[0].history).toEqual([]);
+  });
+
+  test('reports every bad row and imports nothing', () => {
+    const { rows } = splitCsv('id,rating\nalice,0.6\nalice,0.5\nP001,0.5\n,0.5\ncarol,high\ndave,1.5');
+    const { players, errors } = importPlayers(rows, { id: 0, rating: 1 }, [createPlayer('P001', 0.5)]);
+    expect(players).toEqual([]);
+    expect(errors).toEqual([
+      { row: 3, message: 'duplicate player ID alice (first seen on row 2)' },
+      { row: 4, message: 'player ID P001 is already in the roster' },
+      { row: 5, message: 'missing player ID' },
+      { row: 6, message: 'rating "high" is not a number' },
+      { row: 7, message: 'rating 1.5 is outside 0-1' },
+    ]);
+  });
+
+  test('reports the file lines of rows after blank lines and multi-line cells', () => {
+    const { rows, lines } = splitCsv('id,rating,note\n\nalice,0.6,"two\nlines"\nbob,high,');
+    expect(importPlayers(rows, { id: 0, rating: 1 }, [], undefined, lines).errors)
+      .toEqual([{ row: 5, message: 'rating "high" is not a number' }]);
+  });
+});
+
+describe('importHours', () => {
+  const roster = [createPlayer('alice', 0.5), createPlayer('bob', 0.5)];
+  const mapping = guessColumnMapping(['player', 'hours_a', 'hours_b', 'hours_c'], hoursFields());
+
+  test('applies hours and recomputes map familiarity', () => {
+    const { rows } = splitCsv('player,hours_a,hours_b,hours_c\nalice,10,0,5\nbob,30,20,5');
+    const { players, errors } = importHours(rows, mapping, roster);
+    expect(errors).toEqual([]);
+    expect(players[0]).toMatchObject({
+      hours: { A: 10, B: 0, C: 5 },
+      mapFamiliarity: { A: '50.00', B: '0.00', C: '100.00' },
+      bestMap: 'C',
+    });
+  });
+
+  test('rejects unknown players, duplicates and bad hours', () => {
+    const { rows } = splitCsv('player,hours_a,hours_b,hours_c\nalice,1,2,3\nalice,1,2,3\nzed,1,2,3\nbob,-1,2,3');
+    const { players, errors } = importHours(rows, mapping, roster);
+    expect(players).toBe(roster);
+    expect(errors).toEqual([
+      { row: 3, message: 'duplicate player ID alice' },
+      { row: 4, message: 'player ID zed is not in the roster' },
+      { row: 5, message: 'Hours on Map A "-1" must be a non-negative number' },
+    ]);
+  });
+});
+
+test('hoursFields follows the map pool, recognising columns by map name', () => {
+  const pool = [
+    { id: 'A', name: 'Dust', weight: 1, retired: false },
+    { id: 'B', name: 'Old Town', weight: 1, retired: true },
+    { id: 'M3', name: 'Harbor', weight: 2, retired: false },
+  ];
+  const fields = hoursFields(pool);
+  expect(fields.map(field => field.label)).toEqual(['Player ID', 'Hours on Dust', 'Hours on Harbor']);
+  expect(guessColumnMapping(['id', 'Harbor', 'hours_dust'], fields)).toEqual({ id: 0, 'hours:A': 2, 'hours:M3': 1 });
+
+  const { rows } = splitCsv('id,Harbor,hours_dust\nalice,4,8');
+  const { players } = importHours(rows, guessColumnMapping(['id', 'Harbor', 'hours_dust'], fields), [createPlayer('alice', 0.5)], pool);
+  expect(players[0].hours).toEqual({ A: 8, M3: 4 });
+});
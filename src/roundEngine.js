@@ -0,0 +1,102 @@
+// Round-based match engine: a match is played round by round until one team reaches ROUNDS_TO_WIN.
+// Each round is a series of duels between living players until one side is wiped out, so every
+// kill on one team is a death on the other and the winner is whoever takes the most rounds.
+import { assignMatchContext } from "./simulation";
+
+export const ROUNDS_TO_WIN = 13;
+
+// How strongly a player's hidden true skill scales their duel strength (0.5x at skill 0, 1.5x at skill 1)
+const skillMultiplier = (player) => 0.5 + (player.trueSkill ?? 0.5);
+
+// How strongly familiarity with the match's map scales duel strength: 0.85x with no hours on it,
+// 1x for the roster average (100) and up to 1.15x at twice the average. Without a map, no effect.
+const mapMultiplier = (player) =>
+  player.currentMapFamiliarity === undefined ? 1 : 0.85 + 0.15 * Math.min(2, player.currentMapFamiliarity / 100);
+
+// A player's strength in a duel while at the keyboard: skill, map familiarity and connection combined
+export const duelStrength = (player) =>
+  skillMultiplier(player) * mapMultiplier(player) * (player.networkStability ?? 1);
+
+// Chance that a player of strength `a` wins a duel against one of strength `b` (a coin flip if neither can fight)
+export const duelWinChance = (a, b) => (a + b === 0 ? 0.5 : a / (a + b));
+
+// Play one round: duels between random living players until one team has nobody left.
+// Each player is away from the keyboard for the round with the chance of their AFK share, and loses any duel.
+const playRound = (teamA, teamB, rng) => {
+  const afk = [...teamA, ...teamB].filter(player => rng() < (player.afkValue ?? 0)).map(player => player.id);
+  const strength = (player) => (afk.includes(player.id) ? 0 : duelStrength(player));
+  const aliveA = [...teamA];
+  const aliveB = [...teamB];
+  const kills = [];
+
+  while (aliveA.length > 0 && aliveB.length > 0) {
+    const a = aliveA[Math.floor(rng() * aliveA.length)];
+    const b = aliveB[Math.floor(rng() * aliveB.length)];
+    if (rng() < duelWinChance(strength(a), strength(b))) {
+      kills.push({ killer: a.id, victim: b.id });
+      aliveB.splice(aliveB.indexOf(b), 1);
+    } else {
+      kills.push({ killer: b.id, victim: a.id });
+      aliveA.splice(aliveA.indexOf(a), 1);
+    }
+  }
+
+  return { winner: aliveA.length > 0 ? "Team A" : "Team B", kills, afk };
+};
+
+const averageKd = (team) => (team.reduce((sum, player) => sum + player.kd, 0) / team.length).toFixed(2);
+
+/**
+ * Play a match round by round until one team reaches `roundsToWin`.
+ * Players need their match context: networkStability and afkValue (see assignMatchContext) and
+ * currentMapFamiliarity (see assignMapFamiliarity).
+ * @returns {{teamA: object[], teamB: object[], result: object, rounds: object[]}} the teams with kills, deaths,
+ *   K/D and afkShare (the share of rounds the player actually spent away, where afkValue is only the
+ *   chance); result {winner, score: {teamA, teamB}, teamAAvgKD, teamBAvgKD}; and one log entry per round
+ *   {number, winner, kills: [{killer, victim}], afk: string[], score} with the score after it
+ */
+export const playRounds = (teamA, teamB, rng = Math.random, { roundsToWin = ROUNDS_TO_WIN } = {}) => {
+  const rounds = [];
+  let scoreA = 0;
+  let scoreB = 0;
+  while (scoreA < roundsToWin && scoreB < roundsToWin) {
+    const round = playRound(teamA, teamB, rng);
+    if (round.winner === "Team A") scoreA++;
+    else scoreB++;
+    rounds.push({ number: rounds.length + 1, ...round, score: { teamA: scoreA, teamB: scoreB } });
+  }
+
+  const kills = rounds.flatMap(round => round.kills);
+  const withStats = (player) => {
+    const playerKills = kills.filter(kill => kill.killer === player.id).length;
+    const deaths = kills.filter(kill => kill.victim === player.id).length;
+    const roundsAway = rounds.filter(round => round.afk.includes(player.id)).length;
+    return {
+      ...player,
+      kills: playerKills,
+      deaths,
+      kd: parseFloat((playerKills / Math.max(1, deaths)).toFixed(2)), // Avoid division by zero
+      afkShare: parseFloat((roundsAway / rounds.length).toFixed(2)),
+    };
+  };
+  const finalA = teamA.map(withStats);
+  const finalB = teamB.map(withStats);
+
+  return {
+    teamA: finalA,
+    teamB: finalB,
+    result: {
+      winner: scoreA > scoreB ? "Team A" : "Team B",
+      score: { teamA: scoreA, teamB: scoreB },
+      teamAAvgKD: averageKd(finalA),
+      teamBAvgKD: averageKd(finalB),
+    },
+    rounds,
+  };
+};
+
+// Draw the match context (network stability, AFK share) and play the match on teams already placed on a map
+export const simulateMatch = (teamA, teamB, rng = Math.random, options = {}) => {
+  const withContext = assignMatchContext(teamA, teamB, rng);
+  return playRounds(withContext.teamA, withContext.teamB, rng, options);
+};
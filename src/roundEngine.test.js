@@ -0,0 +1,69 @@
+import { createRng } from './random';
+import { ROUNDS_TO_WIN, duelStrength, duelWinChance, playRounds, simulateMatch } from './roundEngine';
+import { makeTeam } from './testPlayers';
+
+// Evenly skilled players who know the map, so only the overrides tip the duels
+const evenTeam = (prefix, overrides = {}) => makeTeam(prefix, 0.5, { trueSkill: 0.5, currentMapFamiliarity: 100, ...overrides });
+
+const totalKills = (team) => team.reduce((sum, player) => sum + player.kills, 0);
+const totalDeaths = (team) => team.reduce((sum, player) => sum + player.deaths, 0);
+
+test('plays until one team reaches the rounds to win and logs every round', () => {
+  const { result, rounds } = playRounds(evenTeam('A'), evenTeam('B'), createRng('rounds'));
+  const { teamA, teamB } = result.score;
+  expect(Math.max(teamA, teamB)).toBe(ROUNDS_TO_WIN);
+  expect(Math.min(teamA, teamB)).toBeLessThan(ROUNDS_TO_WIN);
+  expect(result.winner).toBe(teamA > teamB ? 'Team A' : 'Team B');
+  expect(rounds).toHaveLength(teamA + teamB);
+  expect(rounds[rounds.length - 1].score).toEqual(result.score);
+  expect(rounds.filter(round => round.winner === 'Team A')).toHaveLength(teamA);
+});
+
+test('every kill on one team is a death on the other', () => {
+  const { teamA, teamB, rounds } = simulateMatch(evenTeam('A'), evenTeam('B'), createRng('consistent'));
+  expect(totalKills(teamA)).toBe(totalDeaths(teamB));
+  expect(totalKills(teamB)).toBe(totalDeaths(teamA));
+  // A round ends when the losing team is wiped out
+  rounds.forEach(round => {
+    const losers = round.winner === 'Team A' ? 'B' : 'A';
+    expect(round.kills.filter(kill => kill.victim.startsWith(losers))).toHaveLength(5);
+  });
+});
+
+test('the same seed replays the same match', () => {
+  const play = () => simulateMatch(evenTeam('A'), evenTeam('B'), createRng('replay'));
+  expect(play()).toEqual(play());
+});
+
+test('skill, familiarity and connection strengthen a player in duels', () => {
+  const [base] = evenTeam('A');
+  expect(duelStrength({ ...base, trueSkill: 0.9 })).toBeGreaterThan(duelStrength(base));
+  expect(duelStrength({ ...base, currentMapFamiliarity: 200 })).toBeGreaterThan(duelStrength(base));
+  expect(duelStrength({ ...base, networkStability: 0.3 })).toBeLessThan(duelStrength(base));
+  expect(duelWinChance(0, 0)).toBe(0.5);
+  expect(duelWinChance(0, 1)).toBe(0);
+});
+
+test('the stronger team wins more rounds', () => {
+  const roundsWonByA = (teamA) => playRounds(teamA, evenTeam('B'), createRng('strength')).result.score.teamA;
+  expect(roundsWonByA(evenTeam('A', { trueSkill: 0.9 }))).toBe(ROUNDS_TO_WIN);
+  expect(roundsWonByA(evenTeam('A', { currentMapFamiliarity: 200 })))
+    .toBeGreaterThan(roundsWonByA(evenTeam('A', { currentMapFamiliarity: 0 })));
+});
+
+test('a player away from the keyboard all match never gets a kill', () => {
+  const teamA = evenTeam('A').map((player, i) => (i === 0 ? { ...player, afkValue: 1 } : player));
+  const { teamA: played, rounds } = playRounds(teamA, evenTeam('B'), createRng('afk'));
+  expect(played[0].kills).toBe(0);
+  expect(played[0].deaths).toBeGreaterThan(0);
+  rounds.forEach(round => expect(round.afk).toEqual(['A1']));
+  expect(played[0].afkShare).toBe(1);
+  expect(played[1].afkShare).toBe(0);
+});
+
+test('afkShare is the share of rounds a player actually missed, not their chance per round', () => {
+  const teamA = evenTeam('A').map((player, i) => (i === 0 ? { ...player, afkValue: 0.35 } : player));
+  const { teamA: played, rounds } = playRounds(teamA, evenTeam('B'), createRng('afk share'));
+  const missed = rounds.filter(round => round.afk.includes('A1')).length;
+  expect(played[0].afkShare).toBeCloseTo(missed / rounds.length, 2);
+});
@@ -0,0 +1,215 @@
+// Match simulation: roster generation, matchmaking and random match outcomes.
+// Every generator draws from an injected `rng` (see random.js) so a seeded run can be replayed;
+// it falls back to Math.random when none is given.
+import { DEFAULT_MAP_POOL, activeMaps } from "./mapPool";
+import { PREMADE_GAP_WEIGHT, bestPremadeGap, fillLobby, groupParties, hasParties, partySplits } from "./parties";
+
+export const generateRandomNumber = (min, max, decimals = 3, rng = Math.random) => {
+  return (rng() * (max - min) + min).toFixed(decimals);
+};
+
+// A fresh roster entry starting at `rating` under both systems
+export const createPlayer = (id, rating, extra = {}) => ({
+  id,
+  elo: rating.toFixed(3), // Headline rating shown in the Player List (mirrors contextElo)
+  tradElo: rating, // Rating under the traditional Elo system
+  contextElo: rating, // Rating under the context-aware Elo system
+  lastElo: "-",
+  rankChange: "", // Initially blank
+  bestMap: "", // Initially blank
+  hours: {}, // Hours played per map id, generated later
+  mapFamiliarity: {}, // Per map id, derived from hours by calculateMapFamiliarity
+  history: [], // One entry per committed match
+  lastPlayed: null, // Simulated calendar day of their last match (see decay.js)
+  partyId: null, // Premade party they queue with (see parties.js)
+  ...extra,
+});
+
+export const generatePlayers = (existingPlayers, rng = Math.random) => {
+  const players = [...existingPlayers]; // Preserve existing players
+  const takenIds = new Set(existingPlayers.map(p => p.id)); // Imported rosters may already use P-numbers
+  let nextNumber = existingPlayers.length + 1; // Continue ID sequence
+
+  while (players.length < existingPlayers.length + 50) {
+    const id = `P${(nextNumber++).toString().padStart(3, "0")}`;
+    if (takenIds.has(id)) continue;
+
+    const elo = parseFloat(generateRandomNumber(0, 1, 3, rng)); // Elo between 0-1 (3 decimals)
+    players.push(createPlayer(id, elo, {
+      trueSkill: parseFloat(generateRandomNumber(0, 1, 3, rng)), // Hidden ground truth, independent of the starting Elo
+    }));
+  }
+  return players;
+};
+
+// Random hours (0-30) on every map in rotation; hours on retired maps are kept
+export const generateHours = (players, mapPool = DEFAULT_MAP_POOL, rng = Math.random) => {
+  const maps = activeMaps(mapPool);
+  return players.map(player => ({
+    ...player,
+    hours: { ...player.hours, ...Object.fromEntries(maps.map(map => [map.id, Math.floor(rng() * 31)])) },
+  }));
+};
+
+// Generate network stability with realistic distribution
+export const generateNetworkStability = (rng = Math.random) => {
+  // 80% chance of good connection (0.8-1.0)
+  // 15% chance of moderate issues (0.5-0.79)
+  // 5% chance of poor connection (0.1-0.49)
+  const rand = rng();
+  
+  if (rand < 0.05) {
+    // Poor connection (5% chance)
+    return parseFloat((rng() * 0.39 + 0.1).toFixed(2));
+  } else if (rand < 0.2) {
+    // Moderate issues (15% chance)
+    return parseFloat((rng() * 0.29 + 0.5).toFixed(2));
+  } else {
+    // Good connection (80% chance)
+    return parseFloat((rng() * 0.2 + 0.8).toFixed(2));
+  }
+};
+
+// Simulate an AFK player on the team - ensuring every match has at least one AFK player.
+// afkValue is the chance a player is away in any one round: the AFK player's chance, 0 for their teammates.
+// The share of the match they actually missed is only known once it is played (afkShare, see playRounds).
+export const generateAFKStatus = (teamPlayers, rng = Math.random) => {
+  // Choose one random player to be AFK
+  const afkPlayerIndex = Math.floor(rng() * teamPlayers.length);
+  
+  // Generate how long they were AFK (mostly smaller values to be realistic)
+  // 70% chance of brief AFK (10-30% of match time)
+  // 20% chance of moderate AFK (30-60% of match time)
+  // 10% chance of severe AFK (60-90% of match time)
+  let afkPercentage;
+  const rand = rng();
+  
+  if (rand < 0.7) {
+    // Brief AFK (more common)
+    afkPercentage = parseFloat((rng() * 0.2 + 0.1).toFixed(2));
+  } else if (rand < 0.9) {
+    // Moderate AFK
+    afkPercentage = parseFloat((rng() * 0.3 + 0.3).toFixed(2));
+  } else {
+    // Severe AFK (rare)
+    afkPercentage = parseFloat((rng() * 0.3 + 0.6).toFixed(2));
+  }
+  
+  // Only the AFK player was away; their teammates played the whole match
+  return teamPlayers.map((player, index) => ({
+    ...player,
+    afkValue: index === afkPlayerIndex ? afkPercentage : 0
+  }));
+};
+
+// Pick whole parties (and solo players) for a lobby of 10: the tightest rating window, with a penalty for
+// premades that could not face premades of a similar size (see premadeGap)
+const pickPartiesForMatch = (players) => {
+  const groups = groupParties(players)
+    .map(members => ({
+      members,
+      rating: members.reduce((sum, player) => sum + parseFloat(player.elo), 0) / members.length,
+    }))
+    .sort((a, b) => a.rating - b.rating);
+
+  let best = null;
+  for (let start = 0; start < groups.length; start++) {
+    const lobby = fillLobby(groups, start, group => group.members.length);
+    const gap = lobby && bestPremadeGap(lobby.map(group => group.members.length));
+    if (gap === null) continue;
+
+    const ratings = lobby.flatMap(group => group.members.map(player => parseFloat(player.elo)));
+    const cost = Math.max(...ratings) - Math.min(...ratings) + PREMADE_GAP_WEIGHT * gap;
+    if (!best || cost < best.cost) best = { cost, lobby };
+  }
+
+  return best
+    ? best.lobby.flatMap(group => group.members).sort((a, b) => parseFloat(a.elo) - parseFloat(b.elo))
+    : [];
+};
+
+// Why pickPlayersForMatch picked nobody, for the screens that asked it for a lobby
+export const describeFailedPick = (players) => (players.length < 10
+  ? `A lobby needs 10 players; the roster has ${players.length}.`
+  : "No lobby of 10 keeps every party whole: the parties cannot be split into two teams of 5. Change the parties and try again.");
+
+// Pick 10 players with similar ELO scores, keeping parties whole (see parties.js)
+export const pickPlayersForMatch = (players) => {
+  if (players.length < 10) return [];
+  if (hasParties(players)) return pickPartiesForMatch(players);
+  
+  // Sort players by ELO
+  const sortedPlayers = [...players].sort((a, b) => parseFloat(a.elo) - parseFloat(b.elo));
+  
+  // Find a window of 10 players with minimal ELO difference
+  let bestStartIndex = 0;
+  let minEloDifference = 1; // Max possible difference is 1
+  
+  for (let i = 0; i <= sortedPlayers.length - 10; i++) {
+    const currentDifference = parseFloat(sortedPlayers[i + 9].elo) - parseFloat(sortedPlayers[i].elo);
+    if (currentDifference < minEloDifference) {
+      minEloDifference = currentDifference;
+      bestStartIndex = i;
+    }
+  }
+  
+  // Return the 10 players with the most similar ELO
+  return sortedPlayers.slice(bestStartIndex, bestStartIndex + 10);
+};
+
+// Divide players into two teams at random, keeping parties together (see teamBalance.js for rating-aware splits)
+export const divideIntoTeams = (selectedPlayers, rng = Math.random) => {
+  if (hasParties(selectedPlayers)) {
+    // Every split that keeps the parties whole is equally likely, with either side as Team A
+    const splits = partySplits(selectedPlayers);
+    const split = splits[Math.floor(rng() * splits.length)];
+    return rng() < 0.5 ? split : { teamA: split.teamB, teamB: split.teamA };
+  }
+
+  // Shuffle players (Fisher-Yates, so every split is equally likely)
+  const shuffled = [...selectedPlayers];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  
+  // Split into two teams
+  const teamA = shuffled.slice(0, 5);
+  const teamB = shuffled.slice(5, 10);
+  
+  return { teamA, teamB };
+};
+
+// Draw the match context the rounds are played in: each player's network stability and AFK share
+// (see roundEngine.js for how it shapes the duels)
+export const assignMatchContext = (teamA, teamB, rng = Math.random) => {
+  const assignNetwork = (team) => team.map(player => ({
+    ...player,
+    networkStability: generateNetworkStability(rng),
+    // Will be updated in generateAFKStatus
+    afkValue: 0,
+  }));
+
+  const teamAWithNetwork = assignNetwork(teamA);
+  const teamBWithNetwork = assignNetwork(teamB);
+
+  return {
+    teamA: generateAFKStatus(teamAWithNetwork, rng),
+    teamB: generateAFKStatus(teamBWithNetwork, rng),
+  };
+};
+
+// Give every player the map the match is played on and their familiarity with it
+export const assignMapFamiliarity = (teamA, teamB, selectedMap) => {
+  const withFamiliarity = (player) => ({
+    ...player,
+    currentMap: selectedMap,
+    currentMapFamiliarity: parseFloat(player.mapFamiliarity?.[selectedMap] || 0)
+  });
+  
+  return {
+    selectedMap,
+    teamA: teamA.map(withFamiliarity),
+    teamB: teamB.map(withFamiliarity)
+  };
+};
@@ -0,0 +1,78 @@
+import { DEFAULT_MAP_POOL } from './mapPool';
+import { completeVeto, startVeto } from './mapVeto';
+import { generateParties } from './parties';
+import { createRng } from './random';
+import { calculateMapFamiliarity, rateMatch } from './ratingEngine';
+import { simulateMatch } from './roundEngine';
+import {
+  assignMapFamiliarity,
+  createPlayer,
+  divideIntoTeams,
+  generateAFKStatus,
+  generateHours,
+  generatePlayers,
+  pickPlayersForMatch,
+} from './simulation';
+
+// Run the full Match Simulator pipeline from a seed
+const simulateRun = (seed) => {
+  const rng = createRng(seed);
+  const roster = calculateMapFamiliarity(generateHours(generatePlayers([], rng), DEFAULT_MAP_POOL, rng));
+  const { teamA, teamB } = divideIntoTeams(pickPlayersForMatch(roster), rng);
+  const veto = completeVeto(startVeto(DEFAULT_MAP_POOL), teamA, teamB);
+  const onMap = assignMapFamiliarity(teamA, teamB, veto.map);
+  const match = { selectedMap: veto.map, ...simulateMatch(onMap.teamA, onMap.teamB, rng) };
+  return { roster, match, ratings: rateMatch(match.teamA, match.teamB, match.result) };
+};
+
+test('the same seed reproduces roster, teams, stats and ratings', () => {
+  expect(simulateRun('42')).toEqual(simulateRun('42'));
+});
+
+test('a different seed gives a different run', () => {
+  expect(simulateRun('42').roster).not.toEqual(simulateRun('43').roster);
+});
+
+test('pickPlayersForMatch takes the tightest window of 10 ratings', () => {
+  const roster = generatePlayers([], createRng('window'));
+  const picked = pickPlayersForMatch(roster);
+  const spread = parseFloat(picked[9].elo) - parseFloat(picked[0].elo);
+  const sorted = roster.map(p => parseFloat(p.elo)).sort((a, b) => a - b);
+  for (let i = 0; i <= sorted.length - 10; i++) {
+    expect(sorted[i + 9] - sorted[i]).toBeGreaterThanOrEqual(spread - 1e-9);
+  }
+});
+
+test('with parties, pickPlayersForMatch takes whole parties and divideIntoTeams keeps them together', () => {
+  const rng = createRng('parties');
+  const roster = generateParties(generatePlayers([], rng), rng);
+  const picked = pickPlayersForMatch(roster);
+  expect(picked).toHaveLength(10);
+  picked.filter(player => player.partyId).forEach(player => {
+    expect(picked.filter(p => p.partyId === player.partyId)).toHaveLength(roster.filter(p => p.partyId === player.partyId).length);
+  });
+
+  const { teamA, teamB } = divideIntoTeams(picked, rng);
+  expect(teamA).toHaveLength(5);
+  teamA.filter(player => player.partyId).forEach(player => {
+    expect(teamB.some(p => p.partyId === player.partyId)).toBe(false);
+  });
+});
+
+test('generatePlayers skips IDs already taken by imported players', () => {
+  const roster = generatePlayers([createPlayer('P002', 0.5)], createRng('ids'));
+  const ids = roster.map(p => p.id);
+  expect(new Set(ids).size).toBe(51);
+  expect(ids.slice(0, 3)).toEqual(['P002', 'P003', 'P004']);
+});
+
+test('generateAFKStatus sends one player per team AFK and leaves their teammates at the keyboard', () => {
+  const rng = createRng('afk');
+  for (let i = 0; i < 20; i++) {
+    const team = generateAFKStatus([1, 2, 3, 4, 5].map(n => createPlayer(`P00${n}`, 0.5)), rng);
+    const afk = team.filter(player => player.afkValue > 0);
+    expect(afk).toHaveLength(1);
+    expect(afk[0].afkValue).toBeGreaterThanOrEqual(0.1);
+    expect(afk[0].afkValue).toBeLessThanOrEqual(0.9);
+  }
+});
@@ -0,0 +1,122 @@
+// Team balancing: ways to split the 10 picked players into two teams of 5.
+// Ratings here are the context-aware ratings matchmaking already works with (see getContextRating).
+import { DEFAULT_MAP_POOL } from "./mapPool";
+import { teamFamiliarity, vetoMaps } from "./mapVeto";
+import { PREMADE_GAP_WEIGHT, hasParties, partySplits, premadeGap } from "./parties";
+import { DEFAULT_SETTINGS, getContextRating, predictMatch } from "./ratingEngine";
+import { divideIntoTeams } from "./simulation";
+
+export const TEAM_STRATEGIES = [
+  { key: "random", label: "Random shuffle" },
+  { key: "exhaustive", label: "Exhaustive search (smallest rating gap)" },
+  { key: "snake", label: "Snake draft" },
+  { key: "familiarity", label: "Balance rating and map familiarity" },
+];
+
+// Rating points one point of average map-familiarity gap is worth when balancing both:
+// a gap of 100 (one roster-average player's worth of hours) counts like a 0.01 rating gap
+export const FAMILIARITY_BALANCE_WEIGHT = 0.0001;
+
+const teamRating = (team) => team.reduce((sum, player) => sum + getContextRating(player), 0) / team.length;
+
+// Gap between the teams' average ratings
+export const ratingGap = (teamA, teamB) => Math.abs(teamRating(teamA) - teamRating(teamB));
+
+// Gap between the teams' average familiarity, averaged over the maps the veto can land on
+export const familiarityGap = (teamA, teamB, mapPool = DEFAULT_MAP_POOL) => {
+  const maps = vetoMaps(mapPool);
+  if (maps.length === 0) return 0;
+  const gaps = maps.map(map =>
+    Math.abs(teamFamiliarity(teamA, map.id) / teamA.length - teamFamiliarity(teamB, map.id) / teamB.length)
+  );
+  return gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+};
+
+// Every way to split the players into two equal teams, each split listed once (126 for 10 players)
+export const allSplits = (players) => {
+  const size = players.length / 2;
+  const splits = [];
+  // The first player always goes to Team A, so mirrored splits are not repeated
+  const choose = (start, chosen) => {
+    if (chosen.length === size) {
+      const inA = new Set(chosen);
+      splits.push({
+        teamA: chosen.map(i => players[i]),
+        teamB: players.filter((_, i) => !inA.has(i)),
+      });
+      return;
+    }
+    for (let i = start; i < players.length; i++) choose(i + 1, [...chosen, i]);
+  };
+  choose(1, [0]);
+  return splits;
+};
+
+// The splits a strategy may choose from: with parties, only those that keep every party on one team
+const candidateSplits = (players) => (hasParties(players) ? partySplits(players) : allSplits(players));
+
+// The split with the lowest cost; the first one found wins ties
+const bestSplit = (players, cost) =>
+  candidateSplits(players).reduce((best, split) => (cost(split) < cost(best) ? split : best));
+
+// Rating gap plus a penalty for premades facing smaller stacks or solo players
+const balanceCost = ({ teamA, teamB }) => ratingGap(teamA, teamB) + PREMADE_GAP_WEIGHT * premadeGap(teamA, teamB);
+
+// Strongest player to A, next two to B, next two to A, ... (A B B A A B B A A B).
+// With parties, the split that keeps them together and moves the fewest players from that draft.
+export const snakeDraft = (players) => {
+  const sorted = [...players].sort((a, b) => getContextRating(b) - getContextRating(a));
+  const teamA = [];
+  const teamB = [];
+  sorted.forEach((player, i) => ((i % 4 === 0 || i % 4 === 3) ? teamA : teamB).push(player));
+  if (!hasParties(players)) return { teamA, teamB };
+
+  const draftedA = new Set(teamA.map(player => player.id));
+  const moved = ({ teamA: splitA }) => {
+    const stayed = splitA.filter(player => draftedA.has(player.id)).length;
+    return Math.min(splitA.length - stayed, stayed); // Either side may be Team A
+  };
+  const closest = bestSplit(players, moved);
+  return closest.teamA.filter(player => draftedA.has(player.id)).length * 2 >= closest.teamA.length
+    ? closest
+    : { teamA: closest.teamB, teamB: closest.teamA };
+};
+
+/**
+ * Split the picked players into two teams with one of TEAM_STRATEGIES. Every strategy keeps parties
+ * together; the balancing ones also try to face premades against premades of a similar size.
+ * Only the random shuffle draws from `rng`.
+ * @returns {{teamA: object[], teamB: object[]}}
+ */
+export const formTeams = (players, strategy, { rng = Math.random, mapPool = DEFAULT_MAP_POOL } = {}) => {
+  switch (strategy) {
+    case "random":
+      return divideIntoTeams(players, rng);
+    case "exhaustive":
+      return bestSplit(players, balanceCost);
+    case "snake":
+      return snakeDraft(players);
+    case "familiarity":
+      return bestSplit(players, split =>
+        balanceCost(split) + FAMILIARITY_BALANCE_WEIGHT * familiarityGap(split.teamA, split.teamB, mapPool)
+      );
+    default:
+      throw new Error(`Unknown team strategy: ${strategy}`);
+  }
+};
+
+// Split the players with every strategy, for comparison before the match starts
+export const formTeamsWithEveryStrategy = (players, { rng = Math.random, mapPool = DEFAULT_MAP_POOL } = {}) =>
+  TEAM_STRATEGIES.map(({ key, label }) => ({ key, label, ...formTeams(players, key, { rng, mapPool }) }));
+
+/**
+ * How even a split is.
+ * @returns {{ratingGap: number, familiarityGap: number, premadeGap: number, tradExpectedA: number,
+ *   contextExpectedA: number}} the gaps between the teams and both systems' predicted win probability for Team A
+ */
+export const describeSplit = (teamA, teamB, mapPool = DEFAULT_MAP_POOL, settings = DEFAULT_SETTINGS) => ({
+  ratingGap: ratingGap(teamA, teamB),
+  familiarityGap: familiarityGap(teamA, teamB, mapPool),
+  premadeGap: premadeGap(teamA, teamB),
+  ...predictMatch(teamA, teamB, settings),
+});
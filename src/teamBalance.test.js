@@ -0,0 +1,87 @@
+import { createRng } from './random';
+import { createPlayer } from './simulation';
+import {
+  allSplits,
+  describeSplit,
+  familiarityGap,
+  formTeams,
+  formTeamsWithEveryStrategy,
+  ratingGap,
+  snakeDraft,
+} from './teamBalance';
+
+const ratings = [0.9, 0.8, 0.7, 0.65, 0.6, 0.55, 0.5, 0.45, 0.4, 0.3];
+const players = ratings.map((rating, i) => createPlayer(`P${i + 1}`, rating));
+const ids = (team) => team.map(player => player.id).sort();
+
+test('allSplits lists each of the 126 ways to split 10 players once', () => {
+  const splits = allSplits(players);
+  expect(splits).toHaveLength(126);
+  const keys = new Set(splits.map(({ teamA }) => ids(teamA).join()));
+  expect(keys.size).toBe(126);
+  splits.forEach(({ teamA, teamB }) => {
+    expect(teamA).toHaveLength(5);
+    expect(new Set([...ids(teamA), ...ids(teamB)]).size).toBe(10);
+  });
+});
+
+test('the exhaustive search finds the smallest rating gap', () => {
+  const { teamA, teamB } = formTeams(players, 'exhaustive');
+  const smallest = Math.min(...allSplits(players).map(split => ratingGap(split.teamA, split.teamB)));
+  expect(ratingGap(teamA, teamB)).toBe(smallest);
+  expect(ratingGap(teamA, teamB)).toBeCloseTo(0.01); // Team sums can only differ in steps of 0.05
+});
+
+test('snakeDraft alternates picks A B B A from the top down', () => {
+  const { teamA, teamB } = snakeDraft(players);
+  expect(ids(teamA)).toEqual(['P1', 'P4', 'P5', 'P8', 'P9']);
+  expect(ids(teamB)).toEqual(['P10', 'P2', 'P3', 'P6', 'P7']);
+});
+
+test('balancing familiarity too evens out the map specialists', () => {
+  // Equal ratings, but P1-P5 know map A far better than P6-P10
+  const even = players.map((player, i) => ({
+    ...player,
+    contextElo: 0.5,
+    mapFamiliarity: { A: i < 5 ? '180.00' : '20.00', B: '100.00', C: '100.00' },
+  }));
+  const byRating = formTeams(even, 'exhaustive');
+  const byBoth = formTeams(even, 'familiarity');
+  expect(familiarityGap(byRating.teamA, byRating.teamB)).toBeGreaterThan(50);
+  expect(familiarityGap(byBoth.teamA, byBoth.teamB)).toBeCloseTo(32 / 3, 5);
+});
+
+test('every strategy is compared with its predicted win probability', () => {
+  const options = formTeamsWithEveryStrategy(players, { rng: createRng('teams') });
+  expect(options.map(option => option.key)).toEqual(['random', 'exhaustive', 'snake', 'familiarity']);
+  const exhaustive = describeSplit(options[1].teamA, options[1].teamB);
+  expect(Math.abs(exhaustive.contextExpectedA - 0.5)).toBeLessThan(0.06);
+  expect(exhaustive.tradExpectedA).toBe(exhaustive.contextExpectedA);
+});
+
+test('the random shuffle is reproducible from a seed', () => {
+  expect(formTeams(players, 'random', { rng: createRng('7') })).toEqual(formTeams(players, 'random', { rng: createRng('7') }));
+  expect(() => formTeams(players, 'coin-flip')).toThrow(/unknown team strategy/i);
+});
+
+describe('parties', () => {
+  // A trio and a duo among the 10 players
+  const partied = players.map((player, i) => ({ ...player, partyId: [0, 4, 8].includes(i) ? 'G01' : [1, 9].includes(i) ? 'G02' : null }));
+  const together = ({ teamA, teamB }) =>
+    ['G01', 'G02'].every(partyId => [teamA, teamB].some(team => team.filter(p => p.partyId === partyId).length === partied.filter(p => p.partyId === partyId).length));
+
+  test('every strategy keeps parties on one team', () => {
+    const options = formTeamsWithEveryStrategy(partied, { rng: createRng('parties') });
+    options.forEach(({ teamA, teamB }) => {
+      expect(teamA).toHaveLength(5);
+      expect(together({ teamA, teamB })).toBe(true);
+    });
+  });
+
+  test('the exhaustive search faces premades against premades when the ratings allow it', () => {
+    const { teamA, teamB } = formTeams(partied, 'exhaustive');
+    expect(describeSplit(teamA, teamB).premadeGap).toBe(1); // The trio against the duo
+    const solo = formTeams(players, 'exhaustive');
+    expect(describeSplit(solo.teamA, solo.teamB).premadeGap).toBe(0);
+  });
+});
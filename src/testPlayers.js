@@ -0,0 +1,21 @@
+// Player and team fixtures shared by the rating and round engine tests.
+import { DEFAULT_SETTINGS } from "./ratingEngine";
+
+// A player with the match context the rating functions read, rated `elo` under every system
+export const makePlayer = (id, elo, overrides = {}) => ({
+  id,
+  elo: elo.toFixed(3),
+  tradElo: elo,
+  contextElo: elo,
+  networkStability: 1,
+  afkValue: 0,
+  currentMapFamiliarity: 0,
+  kd: 1,
+  history: [],
+  matchesPlayed: DEFAULT_SETTINGS.placementMatches, // Past their placements, so K is the plain K-factor
+  ...overrides,
+});
+
+// Five players named `${prefix}1` to `${prefix}5`
+export const makeTeam = (prefix, elo, overrides) =>
+  [1, 2, 3, 4, 5].map(i => makePlayer(`${prefix}${i}`, elo, overrides));
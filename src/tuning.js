@@ -0,0 +1,70 @@
+// Weight tuning: search the context-aware settings that best predict a recorded match history.
+import { logLoss, toPredictions } from "./prediction";
+import { replayMatchHistory } from "./replay";
+
+// Parameters the optimizer may change, with the range it searches
+export const TUNABLE_PARAMS = [
+  { key: "kFactor", label: "K-Factor", min: 0.01, max: 0.3 },
+  { key: "latencyWeight", label: "Latency Weight", min: 0, max: 0.1 },
+  { key: "mapFamiliarityWeight", label: "Map Familiarity Weight", min: 0, max: 0.001 },
+  { key: "afkWeight", label: "AFK Weight", min: 0, max: 0.2 },
+];
+
+// Only the tuned parameters, so applying a result keeps any other settings edited since
+export const pickTunedSettings = (settings) =>
+  Object.fromEntries(TUNABLE_PARAMS.map(({ key }) => [key, settings[key]]));
+
+// Log-loss of the context-aware pre-match predictions when the history is replayed under `settings`
+export const scoreSettings = (matchHistory, settings) =>
+  logLoss(toPredictions(replayMatchHistory(matchHistory, settings).predictions, "contextExpectedA"));
+
+const gridValues = ({ min, max }, steps) =>
+  Array.from({ length: steps }, (_, i) => min + ((max - min) * i) / (steps - 1));
+
+// Log-loss across the full range of one parameter, every other setting held fixed
+export const sweepParameter = (matchHistory, settings, param, steps = 9) =>
+  gridValues(param, steps).map(value => ({
+    value,
+    logLoss: scoreSettings(matchHistory, { ...settings, [param.key]: value }),
+  }));
+
+/**
+ * Coordinate descent over TUNABLE_PARAMS: sweep one parameter at a time, keep its best value,
+ * and repeat for a few rounds.
+ * @returns {{best: object, bestScore: number, baseScore: number, sensitivity: object[]}}
+ *   best is a full settings object; sensitivity holds each parameter's sweep around the best settings
+ */
+export const tuneSettings = (matchHistory, baseSettings, { rounds = 3, steps = 9 } = {}) => {
+  const baseScore = scoreSettings(matchHistory, baseSettings);
+  let best = { ...baseSettings };
+  let bestScore = baseScore;
+
+  for (let round = 0; round < rounds; round++) {
+    let improved = false;
+    for (const param of TUNABLE_PARAMS) {
+      for (const { value, logLoss: score } of sweepParameter(matchHistory, best, param, steps)) {
+        if (score < bestScore - 1e-9) {
+          best = { ...best, [param.key]: value };
+          bestScore = score;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  const sensitivity = TUNABLE_PARAMS.map(param => {
+    const sweep = sweepParameter(matchHistory, best, param, steps);
+    const scores = sweep.map(point => point.logLoss);
+    return {
+      key: param.key,
+      label: param.label,
+      bestValue: best[param.key],
+      minLogLoss: Math.min(...scores),
+      maxLogLoss: Math.max(...scores),
+      sweep,
+    };
+  });
+
+  return { best, bestScore, baseScore, sensitivity };
+};
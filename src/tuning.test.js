@@ -0,0 +1,48 @@
+import { DEFAULT_MAP_POOL } from './mapPool';
+import { formatMatchId, playMatch } from './batch';
+import { createRng } from './random';
+import { DEFAULT_SETTINGS, calculateMapFamiliarity } from './ratingEngine';
+import { replayMatchHistory } from './replay';
+import { TUNABLE_PARAMS, pickTunedSettings, scoreSettings, sweepParameter, tuneSettings } from './tuning';
+import { generateHours, generatePlayers } from './simulation';
+
+const recordMatches = (count) => {
+  const rng = createRng('tuning');
+  let roster = calculateMapFamiliarity(generateHours(generatePlayers([], rng), DEFAULT_MAP_POOL, rng));
+  const history = [];
+  for (let i = 1; i <= count; i++) {
+    const { players, match } = playMatch(roster, { rng, matchId: formatMatchId(i) });
+    roster = players;
+    history.push(match);
+  }
+  return { roster, history };
+};
+
+const { roster, history } = recordMatches(40);
+
+test('replaying under the recorded settings reproduces the recorded ratings', () => {
+  const { ratings, predictions } = replayMatchHistory(history, DEFAULT_SETTINGS);
+  expect(predictions).toHaveLength(40);
+  expect(predictions[0].contextExpectedA).toBeCloseTo(history[0].contextExpectedA);
+  ratings.forEach((rating, id) => {
+    const player = roster.find(p => p.id === id);
+    expect(rating.tradElo).toBe(player.tradElo);
+    expect(rating.contextElo).toBe(player.contextElo);
+  });
+});
+
+test('sweepParameter covers the whole search range', () => {
+  const [kFactor] = TUNABLE_PARAMS;
+  const sweep = sweepParameter(history, DEFAULT_SETTINGS, kFactor, 5);
+  [0.01, 0.0825, 0.155, 0.2275, 0.3].forEach((value, i) => expect(sweep[i].value).toBeCloseTo(value));
+  sweep.forEach(point => expect(Number.isFinite(point.logLoss)).toBe(true));
+});
+
+test('tuneSettings never does worse than the starting settings', () => {
+  const report = tuneSettings(history, DEFAULT_SETTINGS, { rounds: 1, steps: 3 });
+  expect(report.baseScore).toBeCloseTo(scoreSettings(history, DEFAULT_SETTINGS));
+  expect(report.bestScore).toBeLessThanOrEqual(report.baseScore);
+  expect(report.bestScore).toBeCloseTo(scoreSettings(history, report.best));
+  expect(report.sensitivity.map(row => row.key)).toEqual(TUNABLE_PARAMS.map(p => p.key));
+  expect(Object.keys(pickTunedSettings(report.best))).toEqual(TUNABLE_PARAMS.map(p => p.key));
+});